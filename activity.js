@@ -0,0 +1,207 @@
+/**
+ * Task Board Pilot - Activity log and card comments
+ * Implements:
+ * - Activity entries (who, when, what) kept on each board in board.activity
+ * - Card comments, stored as activity entries of type 'comment' and
+ *   rendered as Markdown
+ * - The board activity sidebar and the history/comments section of the
+ *   card dialog
+ * - The actor name recorded with each entry, kept per browser
+ *
+ * An entry is a plain object:
+ *   { id, at, actor, type, message, cardId?, listId?, text? }
+ * `at` is a millisecond timestamp; `text` is set for comments.
+ */
+
+const ActivityLog = {
+  ACTOR_KEY: 'taskBoardPilot-actor',
+  DEFAULT_ACTOR: 'Anonymous',
+  // Entries other than comments kept per board; the oldest are dropped
+  LIMIT: 500,
+  actorName: null,
+
+  async init() {
+    try {
+      this.actorName = await BoardStorage.getAdapter().getItem(this.ACTOR_KEY);
+    } catch (err) {
+      console.error('Could not read the activity name:', err);
+    }
+  },
+
+  actor() {
+    return this.actorName || this.DEFAULT_ACTOR;
+  },
+
+  async setActor(name) {
+    this.actorName = name || null;
+    const adapter = BoardStorage.getAdapter();
+    if (this.actorName) {
+      await adapter.setItem(this.ACTOR_KEY, this.actorName);
+    } else {
+      await adapter.removeItem(this.ACTOR_KEY);
+    }
+  },
+
+  applyDefaults(board) {
+    board.activity = Array.isArray(board.activity) ? board.activity : [];
+    return board;
+  },
+
+  // New entry by the current actor; details: { type, message, cardId, listId, text }
+  entry(details) {
+    return { id: IdGenerator.next(), at: Date.now(), actor: this.actor(), ...details };
+  },
+
+  append(board, entry) {
+    this.applyDefaults(board);
+    board.activity.push(entry);
+    const excess = board.activity.filter(e => e.type !== 'comment').length - this.LIMIT;
+    if (excess > 0) {
+      let dropped = 0;
+      board.activity = board.activity.filter(e => e.type === 'comment' || dropped++ >= excess);
+    }
+  },
+
+  remove(board, entryId) {
+    board.activity = (board.activity || []).filter(e => e.id !== entryId);
+  },
+
+  forCard(board, cardId) {
+    return (board.activity || []).filter(e => e.cardId === cardId);
+  },
+
+  // Union of two copies of a board's entries, oldest first (used when merging)
+  merge(a, b) {
+    const byId = new Map();
+    [...(a || []), ...(b || [])].forEach(e => byId.set(e.id, e));
+    return [...byId.values()].sort((x, y) => x.at - y.at);
+  },
+
+  formatTime(at) {
+    const seconds = Math.round((Date.now() - at) / 1000);
+    if (seconds < 45) return 'just now';
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 24) return `${hours} h ago`;
+    return new Date(at).toLocaleString();
+  },
+
+  // One entry as a list item, newest-first lists are built by the callers
+  createEntryElement(entry) {
+    const item = document.createElement('li');
+    item.className = `activity-entry activity-${entry.type}`;
+    item.setAttribute('data-entry-id', entry.id);
+    item.innerHTML = DomRenderer.html`
+      <div class="activity-meta">
+        <strong class="activity-actor">${entry.actor}</strong>
+        <time datetime="${new Date(entry.at).toISOString()}" title="${new Date(entry.at).toLocaleString()}">${this.formatTime(entry.at)}</time>
+      </div>
+      ${entry.type === 'comment'
+        ? DomRenderer.html`<div class="activity-message markdown-body">${Markdown.render(entry.text)}</div>`
+        : DomRenderer.html`<p class="activity-message">${entry.message}</p>`}
+    `;
+    return item;
+  },
+
+  // Sidebar list for the whole board. Entries about cards still on the board
+  // link to them.
+  renderSidebar(container, board, limit = 100) {
+    container.innerHTML = '';
+    const entries = (board.activity || []).slice(-limit).reverse();
+    if (entries.length === 0) {
+      container.innerHTML = '<li class="activity-empty">No activity yet.</li>';
+      return;
+    }
+    const cardIds = new Set();
+    board.lists.forEach(list => list.cards.forEach(card => cardIds.add(card.id)));
+
+    entries.forEach(entry => {
+      const item = this.createEntryElement(entry);
+      if (entry.cardId && cardIds.has(entry.cardId)) {
+        item.setAttribute('data-action', 'open-activity-card');
+        item.setAttribute('data-card-id', entry.cardId);
+        item.setAttribute('tabindex', '0');
+        item.classList.add('activity-link');
+        item.addEventListener('keydown', (e) => {
+          if (e.key === 'Enter') item.click();
+        });
+      }
+      container.appendChild(item);
+    });
+  },
+
+  // Comments and history section of the card dialog. actions:
+  //   addComment(text), deleteComment(entryId), getBoard() -> current board
+  buildCardSection(cardId, actions) {
+    const section = document.createElement('div');
+    section.className = 'form-group card-activity';
+    section.innerHTML = `
+      <label for="card-comment">Comments</label>
+      <textarea id="card-comment" rows="2" placeholder="Write a comment..."></textarea>
+      <div class="card-comment-actions">
+        <button type="button" class="btn btn-small btn-secondary" data-comment-action="add">Comment</button>
+      </div>
+      <ul class="activity-list card-comments"></ul>
+      <details class="card-history">
+        <summary>History</summary>
+        <ul class="activity-list"></ul>
+      </details>
+    `;
+    const input = section.querySelector('#card-comment');
+    const comments = section.querySelector('.card-comments');
+    const history = section.querySelector('.card-history .activity-list');
+
+    const render = () => {
+      const entries = this.forCard(actions.getBoard(), cardId).slice().reverse();
+      comments.innerHTML = '';
+      history.innerHTML = '';
+      entries.forEach(entry => {
+        const item = this.createEntryElement(entry);
+        if (entry.type === 'comment') {
+          const remove = document.createElement('button');
+          remove.type = 'button';
+          remove.className = 'icon-btn';
+          remove.setAttribute('aria-label', 'Delete comment');
+          remove.setAttribute('data-comment-action', 'delete');
+          remove.innerHTML = '<i class="fas fa-trash delete-icon"></i>';
+          item.querySelector('.activity-meta').appendChild(remove);
+          comments.appendChild(item);
+        } else {
+          history.appendChild(item);
+        }
+      });
+      if (history.children.length === 0) {
+        history.innerHTML = '<li class="activity-empty">No history yet.</li>';
+      }
+    };
+
+    const addComment = () => {
+      const text = input.value.trim();
+      if (!text) return;
+      actions.addComment(text);
+      input.value = '';
+      render();
+    };
+    section.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-comment-action]');
+      if (!button) return;
+      if (button.getAttribute('data-comment-action') === 'add') {
+        addComment();
+      } else if (confirm('Delete this comment?')) {
+        actions.deleteComment(button.closest('.activity-entry').getAttribute('data-entry-id'));
+        render();
+      }
+    });
+    // Ctrl/Cmd+Enter posts the comment rather than submitting the card form
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        addComment();
+      }
+    });
+
+    render();
+    return section;
+  }
+};
@@ -0,0 +1,344 @@
+/**
+ * Task Board Pilot - Board analytics
+ * Implements:
+ * - Per-card lead time, cycle time and age, from the list transitions that
+ *   moveCard records in card.transitions and the completion time of done lists
+ * - A cumulative flow diagram, weekly throughput and aging work in progress
+ * - SVG charts drawn locally, and CSV export of the data behind them
+ *
+ * Definitions:
+ * - Lead time: created -> completed
+ * - Cycle time: started -> completed, where a card starts when it first
+ *   enters a list other than the board's first list (or on creation if it
+ *   was created further along)
+ * - Age: time since an open card started (or was created, if not started)
+ * Archived cards count towards throughput and timings, and stay in the
+ * cumulative flow until they were archived. Cards created before
+ * transitions were recorded are treated as having always been in their
+ * current list.
+ */
+
+const BoardAnalytics = {
+  DAY_MS: 24 * 60 * 60 * 1000,
+  CFD_DAYS: 30,
+  THROUGHPUT_WEEKS: 12,
+  TABLE_LIMIT: 50,
+
+  // Cards on the board and in its archive: { card, listId, archivedAt }
+  entries(board) {
+    const archive = board.archive || { lists: [], cards: [] };
+    return [
+      ...board.lists.flatMap(list => list.cards.map(card => ({ card, listId: list.id, archivedAt: null }))),
+      ...archive.cards.map(({ card, listId, archivedAt }) => ({ card, listId, archivedAt })),
+      ...archive.lists.flatMap(({ list, archivedAt }) => list.cards.map(card => ({ card, listId: list.id, archivedAt })))
+    ];
+  },
+
+  // The lists a card has been in, [{ listId, at }] oldest first
+  transitions(card, listId) {
+    if (Array.isArray(card.transitions) && card.transitions.length > 0) return card.transitions;
+    return [{ listId, at: card.createdAt || 0 }];
+  },
+
+  listName(board, listId) {
+    const archived = (board.archive ? board.archive.lists : []).find(r => r.list.id === listId);
+    const list = board.lists.find(l => l.id === listId) || (archived && archived.list);
+    return list ? list.name : 'Unknown list';
+  },
+
+  // Timings for every card: { card, listName, archived, created, started,
+  // completed, leadTime, cycleTime, age, timeInList } (times in ms, null
+  // where they don't apply)
+  cardMetrics(board, now = Date.now()) {
+    const firstListId = board.lists.length > 0 ? board.lists[0].id : null;
+    return this.entries(board).map(({ card, listId, archivedAt }) => {
+      const transitions = this.transitions(card, listId);
+      const created = card.createdAt || transitions[0].at;
+      const start = transitions.find(t => t.listId !== firstListId);
+      const started = start ? start.at : null;
+      const completed = card.completedAt || null;
+      const open = !completed && !archivedAt;
+      return {
+        card,
+        listName: this.listName(board, listId),
+        archived: Boolean(archivedAt),
+        created,
+        started,
+        completed,
+        leadTime: completed ? completed - created : null,
+        cycleTime: completed ? completed - (started || created) : null,
+        age: open ? now - (started || created) : null,
+        timeInList: open ? now - transitions[transitions.length - 1].at : null
+      };
+    });
+  },
+
+  // Cards per list at the end of each of the last `days` days, for the
+  // lists now on the board: { dates, series: [{ list, counts }] }
+  cumulativeFlow(board, days = this.CFD_DAYS, now = Date.now()) {
+    const endOfToday = new Date(now);
+    endOfToday.setHours(23, 59, 59, 999);
+    const dates = Array.from({ length: days }, (_, i) => {
+      const date = new Date(endOfToday);
+      date.setDate(date.getDate() - (days - 1 - i));
+      return Math.min(date.getTime(), now);
+    });
+    const index = new Map(board.lists.map((list, i) => [list.id, i]));
+    const series = board.lists.map(list => ({ list, counts: dates.map(() => 0) }));
+
+    this.entries(board).forEach(({ card, listId, archivedAt }) => {
+      const transitions = this.transitions(card, listId);
+      dates.forEach((date, d) => {
+        if (archivedAt && archivedAt <= date) return;
+        // The list the card was in at that moment
+        let where = null;
+        for (const transition of transitions) {
+          if (transition.at > date) break;
+          where = transition.listId;
+        }
+        if (index.has(where)) series[index.get(where)].counts[d] += 1;
+      });
+    });
+    return { dates, series };
+  },
+
+  // Completed cards per week (weeks start on Monday), oldest first:
+  // [{ start, count }]
+  throughput(board, weeks = this.THROUGHPUT_WEEKS, now = Date.now()) {
+    const monday = new Date(now);
+    monday.setHours(0, 0, 0, 0);
+    monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+    const buckets = Array.from({ length: weeks }, (_, i) => {
+      const start = new Date(monday);
+      start.setDate(start.getDate() - 7 * (weeks - 1 - i));
+      return { start: start.getTime(), count: 0 };
+    });
+    this.entries(board).forEach(({ card }) => {
+      if (!card.completedAt) return;
+      for (let i = buckets.length - 1; i >= 0; i--) {
+        if (card.completedAt >= buckets[i].start) {
+          buckets[i].count += 1;
+          break;
+        }
+      }
+    });
+    return buckets;
+  },
+
+  average(values) {
+    return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+  },
+
+  median(values) {
+    if (values.length === 0) return null;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  },
+
+  formatDays(ms) {
+    return ms === null ? '–' : `${(ms / this.DAY_MS).toFixed(1)} d`;
+  },
+
+  formatDate(at) {
+    return at ? new Date(at).toLocaleDateString() : '–';
+  },
+
+  // CSV text; values that a spreadsheet would run as formulas are quoted
+  // with a leading apostrophe
+  toCsv(rows) {
+    const cell = (value) => {
+      let text = value === null || value === undefined ? '' : String(value);
+      if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows.map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
+  },
+
+  csv(board, dataset, now = Date.now()) {
+    const iso = (at) => (at ? new Date(at).toISOString() : '');
+    const days = (ms) => (ms === null ? '' : (ms / this.DAY_MS).toFixed(2));
+    if (dataset === 'cfd') {
+      const { dates, series } = this.cumulativeFlow(board, this.CFD_DAYS, now);
+      return this.toCsv([
+        ['date', ...series.map(s => s.list.name)],
+        ...dates.map((date, d) => [new Date(date).toISOString().slice(0, 10), ...series.map(s => s.counts[d])])
+      ]);
+    }
+    if (dataset === 'throughput') {
+      return this.toCsv([
+        ['week_start', 'completed'],
+        ...this.throughput(board, this.THROUGHPUT_WEEKS, now).map(week => [new Date(week.start).toISOString().slice(0, 10), week.count])
+      ]);
+    }
+    return this.toCsv([
+      ['card', 'list', 'archived', 'created', 'started', 'completed', 'lead_time_days', 'cycle_time_days', 'age_days', 'days_in_list'],
+      ...this.cardMetrics(board, now).map(m => [
+        m.card.title, m.listName, m.archived ? 'yes' : 'no', iso(m.created), iso(m.started), iso(m.completed),
+        days(m.leadTime), days(m.cycleTime), days(m.age), days(m.timeInList)
+      ])
+    ]);
+  },
+
+  // The metrics view for a board. onExport(dataset) is called by the CSV
+  // buttons with 'cfd', 'throughput' or 'cards'.
+  render(container, board, onExport, now = Date.now()) {
+    const metrics = this.cardMetrics(board, now);
+    const done = metrics.filter(m => m.completed).sort((a, b) => b.completed - a.completed);
+    const open = metrics.filter(m => m.age !== null).sort((a, b) => b.age - a.age);
+    const cycleTimes = done.map(m => m.cycleTime);
+    const averageCycle = this.average(cycleTimes);
+    const flow = this.cumulativeFlow(board, this.CFD_DAYS, now);
+    const weeks = this.throughput(board, this.THROUGHPUT_WEEKS, now);
+    const recentWeeks = weeks.slice(-4);
+    const colors = MetricsCharts.colors(board.lists.length);
+
+    const exportButton = (dataset) => DomRenderer.html`
+      <button type="button" class="btn btn-small btn-secondary" data-export="${dataset}">
+        <i class="fas fa-file-csv"></i> CSV
+      </button>`;
+
+    container.innerHTML = DomRenderer.html`
+      <div class="metrics-summary">
+        <div class="metric"><span class="metric-value">${this.formatDays(this.average(done.map(m => m.leadTime)))}</span><span class="metric-label">Average lead time</span></div>
+        <div class="metric"><span class="metric-value">${this.formatDays(averageCycle)}</span><span class="metric-label">Average cycle time</span></div>
+        <div class="metric"><span class="metric-value">${this.formatDays(this.median(cycleTimes))}</span><span class="metric-label">Median cycle time</span></div>
+        <div class="metric"><span class="metric-value">${(this.average(recentWeeks.map(w => w.count)) || 0).toFixed(1)}</span><span class="metric-label">Cards done per week (last 4 weeks)</span></div>
+        <div class="metric"><span class="metric-value">${open.length}</span><span class="metric-label">Open cards</span></div>
+      </div>
+
+      <section class="metrics-section">
+        <div class="metrics-section-header">
+          <h3>Cumulative flow, last ${this.CFD_DAYS} days</h3>
+          ${exportButton('cfd')}
+        </div>
+        <div class="metrics-chart">${MetricsCharts.stackedArea(flow.dates, flow.series.map((s, i) => ({ name: s.list.name, color: colors[i], values: s.counts })))}</div>
+        <ul class="metrics-legend">
+          ${flow.series.map((s, i) => DomRenderer.html`<li><span class="metrics-swatch" style="background-color: ${colors[i]}"></span>${s.list.name}</li>`)}
+        </ul>
+      </section>
+
+      <section class="metrics-section">
+        <div class="metrics-section-header">
+          <h3>Weekly throughput</h3>
+          ${exportButton('throughput')}
+        </div>
+        <div class="metrics-chart">${MetricsCharts.bars(weeks.map(week => ({ label: new Date(week.start).toLocaleDateString(undefined, { month: 'short', day: 'numeric' }), value: week.count })))}</div>
+      </section>
+
+      <section class="metrics-section">
+        <div class="metrics-section-header">
+          <h3>Aging work in progress</h3>
+        </div>
+        ${open.length === 0 ? DomRenderer.html`<p class="metrics-empty">No open cards.</p>` : DomRenderer.html`
+          <table class="metrics-table">
+            <thead><tr><th>Card</th><th>List</th><th>Age</th><th>In this list</th></tr></thead>
+            <tbody>
+              ${open.slice(0, this.TABLE_LIMIT).map(m => DomRenderer.html`
+                <tr class="${averageCycle !== null && m.age > averageCycle ? 'aging-warning' : ''}">
+                  <td>${m.card.title}</td><td>${m.listName}</td><td>${this.formatDays(m.age)}</td><td>${this.formatDays(m.timeInList)}</td>
+                </tr>`)}
+            </tbody>
+          </table>`}
+      </section>
+
+      <section class="metrics-section">
+        <div class="metrics-section-header">
+          <h3>Cycle and lead time</h3>
+          ${exportButton('cards')}
+        </div>
+        ${done.length === 0 ? DomRenderer.html`<p class="metrics-empty">No completed cards yet. Mark a list as a done list to record completions.</p>` : DomRenderer.html`
+          <table class="metrics-table">
+            <thead><tr><th>Card</th><th>Completed</th><th>Cycle time</th><th>Lead time</th></tr></thead>
+            <tbody>
+              ${done.slice(0, this.TABLE_LIMIT).map(m => DomRenderer.html`
+                <tr>
+                  <td>${m.card.title}${m.archived ? DomRenderer.html` <span class="metrics-tag">archived</span>` : ''}</td>
+                  <td>${this.formatDate(m.completed)}</td><td>${this.formatDays(m.cycleTime)}</td><td>${this.formatDays(m.leadTime)}</td>
+                </tr>`)}
+            </tbody>
+          </table>`}
+      </section>
+    `;
+
+    container.querySelectorAll('[data-export]').forEach(button => {
+      button.addEventListener('click', () => onExport(button.getAttribute('data-export')));
+    });
+  }
+};
+
+// Minimal SVG charts. Each returns markup for DomRenderer.html.
+const MetricsCharts = {
+  WIDTH: 640,
+  HEIGHT: 220,
+  PADDING: { top: 10, right: 10, bottom: 24, left: 32 },
+  PALETTE: ['#9b87f5', '#0079bf', '#61bd4f', '#ff9f1a', '#eb5a46', '#00c2e0', '#c377e0', '#7E69AB'],
+
+  colors(count) {
+    return Array.from({ length: count }, (_, i) => this.PALETTE[i % this.PALETTE.length]);
+  },
+
+  plot() {
+    const { top, right, bottom, left } = this.PADDING;
+    return { left, top, width: this.WIDTH - left - right, height: this.HEIGHT - top - bottom, bottom: this.HEIGHT - bottom };
+  },
+
+  // Y axis with its top value, and a baseline
+  axes(max) {
+    const p = this.plot();
+    return DomRenderer.html`
+      <line class="chart-axis" x1="${p.left}" y1="${p.bottom}" x2="${p.left + p.width}" y2="${p.bottom}"></line>
+      <line class="chart-axis" x1="${p.left}" y1="${p.top}" x2="${p.left}" y2="${p.bottom}"></line>
+      <text class="chart-label" x="${p.left - 6}" y="${p.top + 10}" text-anchor="end">${max}</text>
+      <text class="chart-label" x="${p.left - 6}" y="${p.bottom}" text-anchor="end">0</text>`;
+  },
+
+  svg(title, content) {
+    return DomRenderer.html`<svg class="chart" viewBox="0 0 ${this.WIDTH} ${this.HEIGHT}" role="img" aria-label="${title}">${content}</svg>`;
+  },
+
+  // Stacked areas, first series on top, over one x position per date
+  stackedArea(dates, series) {
+    const p = this.plot();
+    const totals = dates.map((_, d) => series.reduce((sum, s) => sum + s.values[d], 0));
+    const max = Math.max(1, ...totals);
+    const x = (d) => p.left + (dates.length > 1 ? (d / (dates.length - 1)) * p.width : p.width / 2);
+    const y = (value) => p.bottom - (value / max) * p.height;
+
+    // Stack from the last series (usually the done list) upwards
+    const below = dates.map(() => 0);
+    const areas = series.slice().reverse().map(s => {
+      const lower = below.slice();
+      s.values.forEach((value, d) => {
+        below[d] += value;
+      });
+      const points = [
+        ...dates.map((_, d) => `${x(d).toFixed(1)},${y(below[d]).toFixed(1)}`),
+        ...dates.map((_, d) => `${x(d).toFixed(1)},${y(lower[d]).toFixed(1)}`).reverse()
+      ].join(' ');
+      return DomRenderer.html`<polygon points="${points}" fill="${s.color}"><title>${s.name}</title></polygon>`;
+    });
+
+    const dateLabel = (at) => new Date(at).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    return this.svg('Cumulative flow diagram', DomRenderer.html`
+      ${areas}
+      ${this.axes(max)}
+      <text class="chart-label" x="${p.left}" y="${this.HEIGHT - 6}">${dates.length ? dateLabel(dates[0]) : ''}</text>
+      <text class="chart-label" x="${p.left + p.width}" y="${this.HEIGHT - 6}" text-anchor="end">${dates.length ? dateLabel(dates[dates.length - 1]) : ''}</text>`);
+  },
+
+  // One bar per { label, value }
+  bars(items) {
+    const p = this.plot();
+    const max = Math.max(1, ...items.map(item => item.value));
+    const slot = p.width / Math.max(1, items.length);
+    const bars = items.map((item, i) => {
+      const height = (item.value / max) * p.height;
+      const left = p.left + i * slot + slot * 0.15;
+      return DomRenderer.html`
+        <rect class="chart-bar" x="${left.toFixed(1)}" y="${(p.bottom - height).toFixed(1)}" width="${(slot * 0.7).toFixed(1)}" height="${height.toFixed(1)}"><title>${item.label}: ${item.value}</title></rect>
+        <text class="chart-label" x="${(left + slot * 0.35).toFixed(1)}" y="${this.HEIGHT - 6}" text-anchor="middle">${i % 2 === 0 ? item.label : ''}</text>`;
+    });
+    return this.svg('Cards completed per week', DomRenderer.html`${bars}${this.axes(max)}`);
+  }
+};
@@ -0,0 +1,44 @@
+/**
+ * Task Board Pilot - App shell files
+ * Every file the app loads, relative to index.html. The service worker
+ * (sw.js) caches these, and the sync server (server/server.js) hosts only
+ * these, so a file index.html loads must be listed here.
+ */
+
+const APP_SHELL = [
+  'index.html',
+  'style.css',
+  'icons.css',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'ids.js',
+  'render.js',
+  'markdown.js',
+  'modal.js',
+  'card-details.js',
+  'attachments.js',
+  'list-policies.js',
+  'activity.js',
+  'archive.js',
+  'templates.js',
+  'analytics.js',
+  'board-views.js',
+  'automation.js',
+  'shortcuts.js',
+  'storage.js',
+  'history.js',
+  'transfer.js',
+  'router.js',
+  'search.js',
+  'card-movement.js',
+  'sync.js',
+  'rest-sync.js',
+  'offline.js',
+  'plugins.js',
+  'script.js'
+];
+
+// The sync server reads the list with require
+if (typeof module !== 'undefined') module.exports = APP_SHELL;
@@ -0,0 +1,198 @@
+/**
+ * Task Board Pilot - Archive and trash
+ * Implements:
+ * - Archived lists and cards, kept on their board in board.archive together
+ *   with the position they were archived from
+ * - A trash for deleted boards, lists and cards, kept in its own storage key
+ *   and purged after a configurable retention period
+ *
+ * Archived lists keep their cards. Trash entries hold a copy of the item and
+ * where it was: { id, type: 'board'|'list'|'card', item, boardId, listId,
+ * index, boardName, listName, deletedAt }.
+ */
+
+const BoardArchive = {
+  applyDefaults(board) {
+    const archive = board.archive || {};
+    board.archive = {
+      lists: Array.isArray(archive.lists) ? archive.lists : [],
+      cards: Array.isArray(archive.cards) ? archive.cards : []
+    };
+    return board;
+  },
+
+  addList(board, list, index) {
+    this.applyDefaults(board);
+    board.archive.lists.push({ list, index, archivedAt: Date.now() });
+  },
+
+  addCard(board, card, listId, index) {
+    this.applyDefaults(board);
+    board.archive.cards.push({ card, listId, index, archivedAt: Date.now() });
+  },
+
+  // Take an archived list or card out of the archive; returns its record
+  takeList(board, listId) {
+    const record = board.archive.lists.find(r => r.list.id === listId);
+    board.archive.lists = board.archive.lists.filter(r => r !== record);
+    return record || null;
+  },
+
+  takeCard(board, cardId) {
+    const record = board.archive.cards.find(r => r.card.id === cardId);
+    board.archive.cards = board.archive.cards.filter(r => r !== record);
+    return record || null;
+  },
+
+  // Put a record back (used by undo), keeping the archive in archiving order
+  restoreRecord(board, key, record) {
+    board.archive[key].push(record);
+    board.archive[key].sort((a, b) => a.archivedAt - b.archivedAt);
+  },
+
+  // Archived cards across all boards, including those inside archived lists,
+  // as { board, list, card, listArchived } where list may be null if gone
+  cards(boards) {
+    const results = [];
+    boards.forEach(board => {
+      const archive = board.archive || { lists: [], cards: [] };
+      archive.cards.forEach(({ card, listId }) => {
+        const list = board.lists.find(l => l.id === listId)
+          || (archive.lists.find(r => r.list.id === listId) || {}).list
+          || null;
+        results.push({ board, list, card, listArchived: false });
+      });
+      archive.lists.forEach(({ list }) => {
+        list.cards.forEach(card => results.push({ board, list, card, listArchived: true }));
+      });
+    });
+    return results;
+  }
+};
+
+const BoardTrash = {
+  KEY: 'taskBoardPilot-trash',
+  RETENTION_KEY: 'taskBoardPilot-trash-retention',
+  DEFAULT_RETENTION_DAYS: 30,
+  // Choices offered in the trash view; 0 keeps items until emptied by hand
+  RETENTION_CHOICES: [1, 7, 30, 90, 0],
+  DAY_MS: 24 * 60 * 60 * 1000,
+  entries: [],
+  retentionDays: 30,
+  listeners: [],
+  channel: null,
+
+  // Called once at startup; keeps the trash current when other tabs change
+  // it. The storage event only covers localStorage, so changes are also
+  // announced on the channel TabSync uses, which works with any backend.
+  async init() {
+    await this.load();
+    const reload = () => this.load().then(() => this.notify());
+    window.addEventListener('storage', (e) => {
+      if (e.key === this.KEY || e.key === this.RETENTION_KEY) {
+        reload();
+      }
+    });
+    if (typeof BroadcastChannel === 'function') {
+      this.channel = new BroadcastChannel(TabSync.CHANNEL_NAME);
+      this.channel.onmessage = (e) => {
+        if (e.data && e.data.type === 'trash') {
+          reload();
+        }
+      };
+    }
+  },
+
+  async load() {
+    const adapter = BoardStorage.getAdapter();
+    try {
+      const raw = await adapter.getItem(this.KEY);
+      this.entries = raw ? JSON.parse(raw) : [];
+      const retention = await adapter.getItem(this.RETENTION_KEY);
+      this.retentionDays = retention !== null && Number.isFinite(Number(retention)) ? Number(retention) : this.DEFAULT_RETENTION_DAYS;
+    } catch (err) {
+      console.error('Could not read the trash:', err);
+      this.entries = [];
+    }
+    if (!Array.isArray(this.entries)) this.entries = [];
+    this.purge();
+  },
+
+  save() {
+    return BoardStorage.getAdapter().setItem(this.KEY, JSON.stringify(this.entries)).then(() => this.published()).catch(err => {
+      console.error('Failed to save the trash:', err);
+    });
+  },
+
+  // Tell other tabs the trash or its retention was saved
+  published() {
+    if (this.channel) {
+      this.channel.postMessage({ type: 'trash' });
+    }
+  },
+
+  // Called with no arguments whenever the trash changes
+  onChange(listener) {
+    this.listeners.push(listener);
+  },
+
+  notify() {
+    this.listeners.forEach(listener => listener());
+  },
+
+  // Trash entry for an item removed from `index`; where is { boardId,
+  // listId, boardName, listName } as far as they apply
+  entry(type, item, index, where = {}) {
+    return { id: IdGenerator.next(), type, item, index, deletedAt: Date.now(), ...where };
+  },
+
+  add(entry) {
+    this.purge();
+    this.entries.push(entry);
+    this.save();
+    this.notify();
+  },
+
+  remove(entryId) {
+    this.entries = this.entries.filter(e => e.id !== entryId);
+    this.save();
+    this.notify();
+  },
+
+  get(entryId) {
+    return this.entries.find(e => e.id === entryId) || null;
+  },
+
+  clear() {
+    this.entries = [];
+    this.save();
+    this.notify();
+  },
+
+  setRetention(days) {
+    this.retentionDays = days;
+    BoardStorage.getAdapter().setItem(this.RETENTION_KEY, String(days)).then(() => this.published()).catch(err => {
+      console.error('Failed to save the trash retention:', err);
+    });
+    this.purge();
+    this.notify();
+  },
+
+  // Drop entries older than the retention period. Runs at startup, when
+  // something is trashed and when the trash is shown.
+  purge(now = Date.now()) {
+    if (!this.retentionDays) return;
+    const cutoff = now - this.retentionDays * this.DAY_MS;
+    const kept = this.entries.filter(e => e.deletedAt >= cutoff);
+    if (kept.length !== this.entries.length) {
+      this.entries = kept;
+      this.save();
+      this.notify();
+    }
+  },
+
+  // When the entry will be purged, or null if it is kept until emptied
+  expiresAt(entry) {
+    return this.retentionDays ? entry.deletedAt + this.retentionDays * this.DAY_MS : null;
+  }
+};
@@ -0,0 +1,329 @@
+/**
+ * Task Board Pilot - Card attachments
+ * Implements:
+ * - Image and PDF attachments, with the files kept in IndexedDB
+ * - Thumbnails for images, used for the attachment list and as card covers
+ * - Size limits, with browser storage usage and quota shown to the user
+ * - The attachments section of the card dialog
+ * - Removal of stored files that no card refers to any more
+ *
+ * Cards carry only metadata: attachments: [{ id, name, type, size, addedAt }]
+ * and coverId (the id of an image attachment, or null). Files live in this
+ * browser only, so cards synced or imported from elsewhere may list
+ * attachments whose files are not available here.
+ */
+
+const CardAttachments = {
+  DB_NAME: 'taskBoardPilot-attachments',
+  STORE: 'files',
+  TYPES: ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf'],
+  MAX_FILE_BYTES: 10 * 1024 * 1024,
+  // Share of the browser's quota attachments may fill, leaving room for boards
+  QUOTA_SHARE: 0.8,
+  THUMBNAIL_SIZE: 320,
+  // Unreferenced files are kept this long, in case a card dialog in another
+  // tab has added them but not been saved yet
+  GRACE_MS: 24 * 60 * 60 * 1000,
+  dbPromise: null,
+  // Object URLs by `${id}:thumbnail` or `${id}:file`, kept for the session
+  urls: new Map(),
+
+  isAvailable() {
+    return typeof window.indexedDB !== 'undefined' && window.indexedDB !== null;
+  },
+
+  isImage(attachment) {
+    return attachment.type.startsWith('image/');
+  },
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = window.indexedDB.open(this.DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(this.STORE, { keyPath: 'id' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  },
+
+  async run(mode, action) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.STORE, mode);
+      const request = action(tx.objectStore(this.STORE));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  },
+
+  // Browser storage use for this site, or null where it can't be told
+  async estimate() {
+    if (!navigator.storage || typeof navigator.storage.estimate !== 'function') return null;
+    try {
+      const { usage, quota } = await navigator.storage.estimate();
+      return Number.isFinite(usage) && Number.isFinite(quota) ? { usage, quota } : null;
+    } catch (err) {
+      return null;
+    }
+  },
+
+  // Reason a file can't be attached, or null
+  async rejection(file) {
+    if (!this.TYPES.includes(file.type)) {
+      return `"${file.name}" isn't an image (PNG, JPEG, GIF, WebP) or a PDF.`;
+    }
+    if (file.size > this.MAX_FILE_BYTES) {
+      return `"${file.name}" is ${this.formatSize(file.size)}; attachments can be at most ${this.formatSize(this.MAX_FILE_BYTES)}.`;
+    }
+    const estimate = await this.estimate();
+    if (estimate && estimate.usage + file.size > estimate.quota * this.QUOTA_SHARE) {
+      return `Not enough browser storage for "${file.name}": ${this.formatSize(estimate.usage)} of ${this.formatSize(estimate.quota)} is in use.`;
+    }
+    return null;
+  },
+
+  // Store a file; resolves to the metadata to keep on the card. Rejects with
+  // a user-facing message when the file can't be attached.
+  async add(file) {
+    if (!this.isAvailable()) throw new Error('Attachments need IndexedDB, which this browser does not provide.');
+    const reason = await this.rejection(file);
+    if (reason) throw new Error(reason);
+    const attachment = { id: IdGenerator.next(), name: file.name, type: file.type, size: file.size, addedAt: Date.now() };
+    const thumbnail = this.isImage(attachment) ? await this.createThumbnail(file) : null;
+    try {
+      await this.run('readwrite', store => store.put({ ...attachment, file, thumbnail }));
+    } catch (err) {
+      console.error('Failed to store an attachment:', err);
+      throw new Error(err && err.name === 'QuotaExceededError'
+        ? `Browser storage is full; "${file.name}" was not attached.`
+        : `"${file.name}" could not be stored.`);
+    }
+    return attachment;
+  },
+
+  // Scaled-down copy of an image, or null if the browser can't make one
+  async createThumbnail(file) {
+    if (typeof createImageBitmap !== 'function') return null;
+    try {
+      const bitmap = await createImageBitmap(file);
+      const scale = Math.min(1, this.THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+      canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+      canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+      if (bitmap.close) bitmap.close();
+      return await new Promise(resolve => canvas.toBlob(resolve, file.type === 'image/jpeg' ? 'image/jpeg' : 'image/png', 0.85));
+    } catch (err) {
+      return null;
+    }
+  },
+
+  async get(id) {
+    if (!this.isAvailable()) return null;
+    try {
+      return (await this.run('readonly', store => store.get(id))) || null;
+    } catch (err) {
+      console.error('Could not read an attachment:', err);
+      return null;
+    }
+  },
+
+  // Object URL for the file or its thumbnail (the file when there is no
+  // thumbnail), or null when the file isn't stored in this browser
+  async url(id, { thumbnail = false } = {}) {
+    const key = `${id}:${thumbnail ? 'thumbnail' : 'file'}`;
+    if (!this.urls.has(key)) {
+      const record = await this.get(id);
+      if (!record) return null;
+      this.urls.set(key, URL.createObjectURL((thumbnail && record.thumbnail) || record.file));
+    }
+    return this.urls.get(key);
+  },
+
+  // Show a card's cover image in img once it has loaded from storage
+  fillCover(img, id) {
+    this.url(id, { thumbnail: true }).then(src => {
+      if (src) {
+        img.src = src;
+      } else {
+        img.closest('.card-cover').remove();
+      }
+    });
+  },
+
+  // Attachment ids referred to anywhere in the given values (boards, trash
+  // entries, templates)
+  referencedIds(...roots) {
+    const ids = new Set();
+    const walk = (value) => {
+      if (Array.isArray(value)) {
+        value.forEach(walk);
+      } else if (value && typeof value === 'object') {
+        if (Array.isArray(value.attachments)) value.attachments.forEach(a => a && ids.add(a.id));
+        Object.values(value).forEach(walk);
+      }
+    };
+    roots.forEach(walk);
+    return ids;
+  },
+
+  // Delete stored files that nothing refers to (and that are past the grace
+  // period). Runs at startup; removing an attachment from a card leaves its
+  // file in place so undo can bring it back.
+  async collectGarbage(referenced, now = Date.now()) {
+    if (!this.isAvailable()) return 0;
+    try {
+      const keys = await this.run('readonly', store => store.getAllKeys());
+      const stale = [];
+      for (const id of keys) {
+        if (referenced.has(id)) continue;
+        const record = await this.get(id);
+        if (record && now - record.addedAt > this.GRACE_MS) stale.push(id);
+      }
+      if (stale.length > 0) {
+        await this.run('readwrite', store => {
+          stale.forEach(id => store.delete(id));
+          return store.count();
+        });
+      }
+      return stale.length;
+    } catch (err) {
+      console.error('Failed to clean up attachments:', err);
+      return 0;
+    }
+  },
+
+  formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+  },
+
+  // Attachments section of the card dialog. Changes are made to
+  // draft.attachments and draft.coverId only; files are stored as soon as
+  // they are picked.
+  buildSection(draft) {
+    const section = CardDetails.createSection('Attachments');
+    section.classList.add('card-attachments');
+    const list = document.createElement('ul');
+    list.className = 'attachment-list';
+    const status = document.createElement('p');
+    status.className = 'field-error';
+    status.setAttribute('role', 'alert');
+    const showStatus = (message) => {
+      status.textContent = message;
+      status.hidden = !message;
+    };
+    const usage = document.createElement('p');
+    usage.className = 'form-hint attachment-usage';
+    const picker = document.createElement('label');
+    picker.className = 'btn btn-small btn-secondary attachment-picker';
+    picker.innerHTML = DomRenderer.html`
+      <i class="fas fa-paperclip"></i> Attach files
+      <input type="file" class="sr-only" multiple accept="${this.TYPES.join(',')}">
+    `;
+    const input = picker.querySelector('input');
+
+    const renderUsage = async () => {
+      const own = draft.attachments.reduce((sum, a) => sum + a.size, 0);
+      const estimate = await this.estimate();
+      usage.textContent = [
+        `${draft.attachments.length} file${draft.attachments.length === 1 ? '' : 's'} (${this.formatSize(own)}) on this card; up to ${this.formatSize(this.MAX_FILE_BYTES)} per file.`,
+        estimate ? `Browser storage: ${this.formatSize(estimate.usage)} of ${this.formatSize(estimate.quota)} used.` : ''
+      ].join(' ').trim();
+    };
+
+    const render = () => {
+      list.innerHTML = '';
+      draft.attachments.forEach(attachment => {
+        const isCover = draft.coverId === attachment.id;
+        const item = document.createElement('li');
+        item.className = 'attachment';
+        item.innerHTML = DomRenderer.html`
+          <span class="attachment-thumb">
+            <i class="fas ${this.isImage(attachment) ? 'fa-image' : 'fa-file-pdf'}" aria-hidden="true"></i>
+          </span>
+          <span class="attachment-info">
+            <a class="attachment-name" target="_blank" rel="noopener">${attachment.name}</a>
+            <span class="attachment-meta">${this.formatSize(attachment.size)}${isCover ? ' · Cover' : ''}</span>
+          </span>
+          <span class="attachment-actions">
+            ${this.isImage(attachment) ? DomRenderer.html`<button type="button" class="btn-link" data-attachment-action="cover">${isCover ? 'Remove cover' : 'Make cover'}</button>` : ''}
+            <button type="button" class="btn-link" data-attachment-action="remove" aria-label="${`Remove ${attachment.name}`}">Remove</button>
+          </span>
+        `;
+        item.setAttribute('data-attachment-id', attachment.id);
+        list.appendChild(item);
+
+        const link = item.querySelector('.attachment-name');
+        this.url(attachment.id).then(src => {
+          if (src) {
+            link.href = src;
+          } else {
+            link.removeAttribute('target');
+            link.title = 'This file is not stored in this browser';
+            item.classList.add('missing');
+          }
+        });
+        if (this.isImage(attachment)) {
+          this.url(attachment.id, { thumbnail: true }).then(src => {
+            if (!src) return;
+            const thumb = item.querySelector('.attachment-thumb');
+            thumb.innerHTML = '';
+            const img = document.createElement('img');
+            img.alt = '';
+            img.src = src;
+            thumb.appendChild(img);
+          });
+        }
+      });
+      renderUsage();
+    };
+
+    list.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-attachment-action]');
+      if (!button) return;
+      const id = button.closest('[data-attachment-id]').getAttribute('data-attachment-id');
+      if (button.getAttribute('data-attachment-action') === 'cover') {
+        draft.coverId = draft.coverId === id ? null : id;
+      } else {
+        draft.attachments = draft.attachments.filter(a => a.id !== id);
+        if (draft.coverId === id) draft.coverId = null;
+      }
+      render();
+    });
+
+    input.addEventListener('change', async () => {
+      const files = [...input.files];
+      input.value = '';
+      showStatus('');
+      const errors = [];
+      for (const file of files) {
+        try {
+          const attachment = await this.add(file);
+          draft.attachments.push(attachment);
+          // The first image becomes the cover unless one was chosen
+          if (!draft.coverId && this.isImage(attachment)) draft.coverId = attachment.id;
+        } catch (err) {
+          errors.push(err.message);
+        }
+      }
+      showStatus(errors.join(' '));
+      render();
+    });
+
+    if (!this.isAvailable()) {
+      picker.hidden = true;
+      showStatus('Attachments need IndexedDB, which this browser does not provide.');
+    } else {
+      showStatus('');
+    }
+    section.append(list, picker, status, usage);
+    render();
+    return section;
+  }
+};
@@ -0,0 +1,497 @@
+/**
+ * Task Board Pilot - Board automation
+ * Implements:
+ * - Per-board rules: a trigger (card moved into a list, card added to a
+ *   list, due date passed, checklists completed), optional conditions (card
+ *   has a label, card is in a list) and actions (move the card, add a label,
+ *   set the due date, archive the card, create a card)
+ * - Recurring cards, added to a list every day, week or month
+ * - The rule editor used by the automation dialog
+ *
+ * Rules run after the change that set them off and their changes join its
+ * undo step (see BoardManager.execute). Actions can set off further rules;
+ * a rule runs at most once per card in a chain and a chain stops after
+ * MAX_DEPTH rounds, so rules that set each other off can't loop.
+ *
+ * Board fields:
+ *   rules: [{ id, name, enabled, trigger: { type, listId }, conditions,
+ *     actions }], where listId null means any list, conditions are
+ *     { type: 'label', labelId } or { type: 'list', listId } and actions are
+ *     { type: 'move', listId }, { type: 'add-label', labelId },
+ *     { type: 'set-due', days }, { type: 'archive' } or
+ *     { type: 'create-card', listId, title }
+ *   recurring: [{ id, title, description, listId, every: 'day'|'week'|'month',
+ *     weekday (0 is Sunday), monthDay, time: 'HH:MM', enabled, nextAt }]
+ * Card field: dueHandled, the due date the due date rules last ran for.
+ */
+
+const BoardAutomation = {
+  MAX_DEPTH: 5,
+  TICK_MS: 60 * 1000,
+  LOCK_KEY: 'taskBoardPilot-automation-lock',
+  TRIGGERS: {
+    'card-moved': 'Card moved into',
+    'card-created': 'Card added to',
+    'due-passed': 'Due date passed in',
+    'checklist-completed': 'Checklists completed in'
+  },
+  CONDITIONS: {
+    label: 'Card has label',
+    list: 'Card is in'
+  },
+  ACTIONS: {
+    move: 'Move card to',
+    'add-label': 'Add label',
+    'set-due': 'Set due date',
+    archive: 'Archive card',
+    'create-card': 'Create card'
+  },
+  SCHEDULES: { day: 'Every day', week: 'Every week', month: 'Every month' },
+  manager: null,
+  tabId: null,
+  // Credited in the activity log while a rule or recurring card runs
+  actor: null,
+  // Events queued by the current round of a chain
+  pending: null,
+
+  applyDefaults(board) {
+    const isRule = (rule) => Boolean(rule) && Boolean(rule.trigger) && Array.isArray(rule.conditions) && Array.isArray(rule.actions);
+    board.rules = Array.isArray(board.rules) ? board.rules.filter(isRule) : [];
+    board.recurring = Array.isArray(board.recurring) ? board.recurring.filter(item => item && item.listId) : [];
+    return board;
+  },
+
+  // Called once at startup with the BoardManager; starts the clock that
+  // runs due date rules and recurring cards
+  init(manager) {
+    this.manager = manager;
+    this.tabId = IdGenerator.next();
+    this.tick();
+    setInterval(() => this.tick(), this.TICK_MS);
+    window.addEventListener('pagehide', () => this.releaseLock());
+  },
+
+  // Run the rules set off by events ({ type, boardId, listId, cardId }).
+  // Actions go through the BoardManager, which queues the events of the
+  // changes they make for the next round.
+  run(events) {
+    const fired = new Set();
+    let round = events;
+    for (let depth = 0; round.length > 0; depth++) {
+      if (depth === this.MAX_DEPTH) {
+        const board = this.manager.getBoard(round[0].boardId);
+        this.manager.showToast(`Automation stopped: rules on "${board ? board.name : 'a board'}" kept setting each other off.`);
+        break;
+      }
+      this.pending = [];
+      round.forEach(event => this.handle(event, fired));
+      round = this.pending;
+    }
+    this.pending = null;
+  },
+
+  // Called by the BoardManager for changes made while a chain runs
+  queue(events) {
+    if (this.pending && events) this.pending.push(...[].concat(events));
+  },
+
+  handle(event, fired) {
+    const board = this.manager.getBoard(event.boardId);
+    if (!board) return;
+    this.applyDefaults(board);
+    board.rules.filter(rule => rule.enabled && this.matches(rule, event)).forEach(rule => {
+      const key = `${rule.id}:${event.cardId}`;
+      const found = this.manager.locateCard(board.id, event.cardId);
+      if (fired.has(key) || !found || !this.meetsConditions(rule, found)) return;
+      fired.add(key);
+      this.actor = `Rule "${rule.name}"`;
+      try {
+        rule.actions.forEach(action => this.perform(action, board.id, event.cardId));
+      } finally {
+        this.actor = null;
+      }
+    });
+  },
+
+  matches(rule, event) {
+    return rule.trigger.type === event.type && (!rule.trigger.listId || rule.trigger.listId === event.listId);
+  },
+
+  meetsConditions(rule, { list, card }) {
+    return rule.conditions.every(condition => (
+      condition.type === 'label' ? card.labelIds.includes(condition.labelId) : list.id === condition.listId
+    ));
+  },
+
+  // Actions whose list or label no longer exists are skipped, as are actions
+  // on a card an earlier action archived
+  perform(action, boardId, cardId) {
+    const manager = this.manager;
+    if (action.type === 'create-card') {
+      if (manager.getList(boardId, action.listId)) manager.createCard(boardId, action.listId, action.title);
+      return;
+    }
+    const found = manager.locateCard(boardId, cardId);
+    if (!found) return;
+    const { list, card } = found;
+    if (action.type === 'move') {
+      const target = manager.getList(boardId, action.listId);
+      if (target && target !== list) manager.moveCard(boardId, list.id, cardId, boardId, target.id, target.cards.length);
+    } else if (action.type === 'add-label') {
+      const exists = manager.getBoard(boardId).labels.some(label => label.id === action.labelId);
+      if (exists && !card.labelIds.includes(action.labelId)) {
+        manager.updateCard(boardId, list.id, cardId, card.title, card.description, { labelIds: [...card.labelIds, action.labelId] });
+      }
+    } else if (action.type === 'set-due') {
+      const due = new Date();
+      due.setDate(due.getDate() + (Number(action.days) || 0));
+      manager.updateCard(boardId, list.id, cardId, card.title, card.description, { dueDate: CardDetails.toDateString(due) });
+    } else if (action.type === 'archive') {
+      manager.archiveCard(boardId, list.id, cardId);
+    }
+  },
+
+  // Clock-driven work: due date rules for cards that became overdue, and
+  // recurring cards whose time has come
+  tick(now = Date.now()) {
+    if (!this.holdLock(now)) return;
+    this.manager.boards.forEach(board => {
+      this.applyDefaults(board);
+      this.runDueRules(board);
+      this.createRecurringCards(board, now);
+    });
+  },
+
+  runDueRules(board) {
+    if (!board.rules.some(rule => rule.enabled && rule.trigger.type === 'due-passed')) return;
+    const events = [];
+    board.lists.forEach(list => list.cards.forEach(card => {
+      if (card.dueHandled === card.dueDate || CardDetails.dueStatus(card) !== 'overdue') return;
+      card.dueHandled = card.dueDate;
+      events.push({ type: 'due-passed', boardId: board.id, listId: list.id, cardId: card.id });
+    }));
+    if (events.length === 0) return;
+    this.manager.save();
+    this.manager.runScheduledRules('Run due date rules', events);
+  },
+
+  // Occurrences missed while the app was closed add one card, not one each
+  createRecurringCards(board, now) {
+    board.recurring.filter(item => item.enabled && item.nextAt <= now).forEach(item => {
+      item.nextAt = this.nextOccurrence(item, now);
+      // Nothing matches its schedule, so it would be due on every tick
+      if (item.nextAt === null) {
+        item.enabled = false;
+        this.manager.save();
+        return;
+      }
+      if (!this.manager.getList(board.id, item.listId)) {
+        this.manager.save();
+        return;
+      }
+      this.actor = `Recurring card "${item.title}"`;
+      try {
+        this.manager.createCard(board.id, item.listId, item.title, item.description || '');
+      } finally {
+        this.actor = null;
+      }
+    });
+  },
+
+  // The first time after `after` that a recurring card is due
+  nextOccurrence(item, after) {
+    const [hours, minutes] = (item.time || '09:00').split(':').map(Number);
+    const start = new Date(after);
+    for (let offset = 0; offset <= 62; offset++) {
+      const day = new Date(start.getFullYear(), start.getMonth(), start.getDate() + offset, hours, minutes);
+      if (day.getTime() <= after) continue;
+      const lastDay = new Date(day.getFullYear(), day.getMonth() + 1, 0).getDate();
+      if (item.every === 'day'
+        || (item.every === 'week' && day.getDay() === Number(item.weekday))
+        || (item.every === 'month' && day.getDate() === Math.min(Number(item.monthDay) || 1, lastDay))) {
+        return day.getTime();
+      }
+    }
+    return null;
+  },
+
+  // Only one tab runs the clock-driven work, so recurring cards aren't
+  // added twice. A lock not renewed for two ticks is taken over.
+  holdLock(now) {
+    try {
+      const lock = JSON.parse(window.localStorage.getItem(this.LOCK_KEY) || 'null');
+      if (lock && lock.tabId !== this.tabId && now - lock.at < this.TICK_MS * 2) return false;
+      window.localStorage.setItem(this.LOCK_KEY, JSON.stringify({ tabId: this.tabId, at: now }));
+    } catch (err) {
+      // Without localStorage there are no other tabs to share the work with
+    }
+    return true;
+  },
+
+  releaseLock() {
+    try {
+      const lock = JSON.parse(window.localStorage.getItem(this.LOCK_KEY) || 'null');
+      if (lock && lock.tabId === this.tabId) window.localStorage.removeItem(this.LOCK_KEY);
+    } catch (err) {
+      // Nothing to release
+    }
+  },
+
+  // Point rules and recurring cards copied with a board at the copies of
+  // their lists and labels (renamed maps old ids to new ones)
+  remap(board, renamed) {
+    const rename = (id) => renamed.get(id) || id;
+    const withRefs = (item) => {
+      const copy = { ...item };
+      if (copy.listId) copy.listId = rename(copy.listId);
+      if (copy.labelId) copy.labelId = rename(copy.labelId);
+      return copy;
+    };
+    this.applyDefaults(board);
+    board.rules = board.rules.map(rule => ({
+      ...rule,
+      trigger: withRefs(rule.trigger),
+      conditions: rule.conditions.map(withRefs),
+      actions: rule.actions.map(withRefs)
+    }));
+    board.recurring = board.recurring.map(withRefs);
+    return board;
+  },
+
+  newRule(board) {
+    return {
+      id: IdGenerator.next(),
+      name: '',
+      enabled: true,
+      trigger: { type: 'card-moved', listId: board.lists.length > 0 ? board.lists[0].id : null },
+      conditions: [],
+      actions: []
+    };
+  },
+
+  newRecurring(board) {
+    return {
+      id: IdGenerator.next(),
+      title: '',
+      description: '',
+      listId: board.lists.length > 0 ? board.lists[0].id : null,
+      every: 'week',
+      weekday: 1,
+      monthDay: 1,
+      time: '09:00',
+      enabled: true,
+      nextAt: null
+    };
+  },
+
+  // One-line summary of a rule, e.g. 'When a card is moved into "Done":
+  // archive it'
+  describe(rule, board) {
+    const list = (id) => {
+      const found = board.lists.find(l => l.id === id);
+      return found ? `"${found.name}"` : 'a deleted list';
+    };
+    const label = (id) => {
+      const found = board.labels.find(l => l.id === id);
+      return found ? `"${found.name}"` : 'a deleted label';
+    };
+    const where = rule.trigger.listId ? ` ${list(rule.trigger.listId)}` : ' any list';
+    const trigger = {
+      'card-moved': `a card is moved into${where}`,
+      'card-created': `a card is added to${where}`,
+      'due-passed': `a card in${where} is overdue`,
+      'checklist-completed': `all checklists of a card in${where} are done`
+    }[rule.trigger.type];
+    const conditions = rule.conditions.map(condition => (
+      condition.type === 'label' ? `it has label ${label(condition.labelId)}` : `it is in ${list(condition.listId)}`
+    ));
+    const actions = rule.actions.map(action => ({
+      move: `move it to ${list(action.listId)}`,
+      'add-label': `add label ${label(action.labelId)}`,
+      'set-due': `set it due in ${action.days} day${Number(action.days) === 1 ? '' : 's'}`,
+      archive: 'archive it',
+      'create-card': `create card "${action.title}" in ${list(action.listId)}`
+    }[action.type]));
+    const when = conditions.length > 0 ? `When ${trigger}, if ${conditions.join(' and ')}` : `When ${trigger}`;
+    return `${when}: ${actions.join(', ') || 'do nothing'}`;
+  },
+
+  weekdayName(weekday) {
+    // 7 January 2024 was a Sunday
+    return new Date(2024, 0, 7 + Number(weekday)).toLocaleDateString(undefined, { weekday: 'long' });
+  },
+
+  describeSchedule(item) {
+    const when = {
+      day: 'Every day',
+      week: `Every ${this.weekdayName(item.weekday)}`,
+      month: `Monthly on day ${item.monthDay}`
+    }[item.every];
+    return `${when} at ${item.time}`;
+  },
+
+  // Editor for a rule's trigger, conditions and actions. Changes are made
+  // to `draft` only; showError(message) reports a problem under it.
+  buildRuleEditor(board, draft) {
+    const editor = document.createElement('div');
+    editor.className = 'rule-editor';
+    const error = document.createElement('p');
+    error.className = 'field-error';
+    error.setAttribute('role', 'alert');
+    error.hidden = true;
+    const listOptions = board.lists.map(list => ({ value: list.id, label: list.name }));
+    const labelOptions = board.labels.map(label => ({ value: label.id, label: label.name }));
+
+    const render = () => {
+      editor.innerHTML = '';
+      editor.appendChild(this.buildTriggerSection(draft, listOptions, render));
+      editor.appendChild(this.buildRowsSection('If', draft.conditions, {
+        types: this.CONDITIONS,
+        available: { label: labelOptions.length > 0, list: listOptions.length > 0 },
+        create: (type) => (type === 'label' ? { type, labelId: labelOptions[0].value } : { type, listId: listOptions[0].value }),
+        controls: (condition) => [condition.type === 'label'
+          ? this.createSelect(labelOptions, condition.labelId, 'Label', value => { condition.labelId = value; })
+          : this.createSelect(listOptions, condition.listId, 'List', value => { condition.listId = value; })],
+        addLabel: 'Add condition',
+        empty: 'Every card'
+      }, render));
+      editor.appendChild(this.buildRowsSection('Then', draft.actions, {
+        types: this.ACTIONS,
+        available: { move: listOptions.length > 0, 'add-label': labelOptions.length > 0, 'set-due': true, archive: true, 'create-card': listOptions.length > 0 },
+        create: (type) => ({
+          move: { type, listId: listOptions.length > 0 ? listOptions[0].value : null },
+          'add-label': { type, labelId: labelOptions.length > 0 ? labelOptions[0].value : null },
+          'set-due': { type, days: 1 },
+          archive: { type },
+          'create-card': { type, listId: listOptions.length > 0 ? listOptions[0].value : null, title: 'New card' }
+        }[type]),
+        controls: (action) => this.actionControls(action, listOptions, labelOptions),
+        addLabel: 'Add action',
+        empty: 'No actions yet'
+      }, render));
+      editor.appendChild(error);
+    };
+    render();
+
+    editor.showError = (message) => {
+      error.textContent = message;
+      error.hidden = !message;
+    };
+    return editor;
+  },
+
+  buildTriggerSection(draft, listOptions, render) {
+    const section = CardDetails.createSection('When');
+    const row = document.createElement('div');
+    row.className = 'rule-row';
+    const types = Object.entries(this.TRIGGERS).map(([value, label]) => ({ value, label }));
+    row.appendChild(this.createSelect(types, draft.trigger.type, 'Trigger', value => {
+      draft.trigger.type = value;
+      render();
+    }));
+    row.appendChild(this.createSelect([{ value: '', label: 'any list' }, ...listOptions], draft.trigger.listId || '', 'Trigger list', value => {
+      draft.trigger.listId = value || null;
+    }));
+    section.appendChild(row);
+    return section;
+  },
+
+  // Rows of conditions or actions, each with a type, its own controls and a
+  // remove button, and a picker to add another
+  buildRowsSection(title, items, { types, available, create, controls, addLabel, empty }, render) {
+    const section = CardDetails.createSection(title);
+    if (items.length === 0) {
+      const note = document.createElement('p');
+      note.className = 'rule-empty';
+      note.textContent = empty;
+      section.appendChild(note);
+    }
+    const options = Object.entries(types).filter(([type]) => available[type]).map(([value, label]) => ({ value, label }));
+
+    items.forEach((item, index) => {
+      const row = document.createElement('div');
+      row.className = 'rule-row';
+      row.appendChild(this.createSelect(options, item.type, `${title} type`, value => {
+        items.splice(index, 1, create(value));
+        render();
+      }));
+      row.append(...controls(item));
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'icon-btn';
+      removeBtn.title = 'Remove';
+      removeBtn.innerHTML = '<i class="fas fa-times"></i>';
+      removeBtn.addEventListener('click', () => {
+        items.splice(index, 1);
+        render();
+      });
+      row.appendChild(removeBtn);
+      section.appendChild(row);
+    });
+
+    if (options.length > 0) {
+      const addRow = document.createElement('div');
+      addRow.className = 'inline-add';
+      const typeSelect = this.createSelect(options, options[0].value, addLabel);
+      const addBtn = document.createElement('button');
+      addBtn.type = 'button';
+      addBtn.className = 'btn btn-small btn-secondary';
+      addBtn.textContent = addLabel;
+      addBtn.addEventListener('click', () => {
+        items.push(create(typeSelect.value));
+        render();
+      });
+      addRow.append(typeSelect, addBtn);
+      section.appendChild(addRow);
+    }
+    return section;
+  },
+
+  actionControls(action, listOptions, labelOptions) {
+    if (action.type === 'move') {
+      return [this.createSelect(listOptions, action.listId, 'Target list', value => { action.listId = value; })];
+    }
+    if (action.type === 'add-label') {
+      return [this.createSelect(labelOptions, action.labelId, 'Label', value => { action.labelId = value; })];
+    }
+    if (action.type === 'set-due') {
+      const days = document.createElement('input');
+      days.type = 'number';
+      days.min = '0';
+      days.value = action.days;
+      days.setAttribute('aria-label', 'Days from now');
+      days.addEventListener('input', () => {
+        action.days = Math.max(0, parseInt(days.value, 10) || 0);
+      });
+      const suffix = document.createElement('span');
+      suffix.textContent = 'days from now';
+      return [days, suffix];
+    }
+    if (action.type === 'create-card') {
+      const title = document.createElement('input');
+      title.type = 'text';
+      title.value = action.title;
+      title.setAttribute('aria-label', 'New card title');
+      title.addEventListener('input', () => {
+        action.title = title.value;
+      });
+      return [title, this.createSelect(listOptions, action.listId, 'List for the new card', value => { action.listId = value; })];
+    }
+    return [];
+  },
+
+  createSelect(options, value, label, onChange = null) {
+    const select = document.createElement('select');
+    select.setAttribute('aria-label', label);
+    Modal.fillSelect(select, options, value);
+    if (onChange) select.addEventListener('change', () => onChange(select.value));
+    return select;
+  },
+
+  // A problem that keeps a rule from being saved, or null
+  validateRule(rule) {
+    if (rule.actions.length === 0) return 'Add at least one action.';
+    if (rule.actions.some(action => action.type === 'create-card' && !action.title.trim())) return 'Give every new card a title.';
+    return null;
+  }
+};
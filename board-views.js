@@ -0,0 +1,429 @@
+/**
+ * Task Board Pilot - Alternative board views
+ * Implements:
+ * - A table of every card with sortable columns
+ * - A month calendar placing cards by due date; dragging a card to another
+ *   day (or to "No due date") reschedules it
+ * - Swimlanes: the board's columns repeated per assignee or per label
+ * - The last view used on each board, remembered per device
+ *
+ * The views read the same board data as the column view and change it only
+ * through BoardManager (updateCard, moveCard), so undo, activity, sync and
+ * the filter bar work the same everywhere. Cards can be dragged between
+ * lists within a swimlane; assignees and labels are changed in the card
+ * dialog.
+ */
+
+const BoardViews = {
+  KEY: 'taskBoardPilot-board-views',
+  MODES: [
+    { id: 'columns', name: 'Columns' },
+    { id: 'table', name: 'Table' },
+    { id: 'calendar', name: 'Calendar' },
+    { id: 'swimlanes', name: 'Swimlanes' }
+  ],
+  LANE_FIELDS: [
+    { id: 'member', name: 'By assignee' },
+    { id: 'label', name: 'By label' }
+  ],
+  TABLE_COLUMNS: [
+    { key: 'title', name: 'Title' },
+    { key: 'list', name: 'List' },
+    { key: 'due', name: 'Due date' },
+    { key: 'labels', name: 'Labels' },
+    { key: 'members', name: 'Members' }
+  ],
+  manager: null,
+  // { [boardId]: { mode, laneBy, sortKey, sortDir } }
+  prefs: {},
+  // Month shown in each board's calendar, as 'YYYY-MM'; not saved
+  months: {},
+  // Card being dragged in a view: { cardId, listId, laneId }
+  dragged: null,
+
+  // Called once at startup with the BoardManager
+  async init(manager) {
+    this.manager = manager;
+    await this.load();
+    window.addEventListener('storage', (e) => {
+      if (e.key === this.KEY) this.load();
+    });
+  },
+
+  async load() {
+    try {
+      const raw = await BoardStorage.getAdapter().getItem(this.KEY);
+      this.prefs = raw ? JSON.parse(raw) : {};
+    } catch (err) {
+      console.error('Could not read the board view settings:', err);
+      this.prefs = {};
+    }
+    if (!this.prefs || typeof this.prefs !== 'object' || Array.isArray(this.prefs)) this.prefs = {};
+  },
+
+  persist() {
+    return BoardStorage.getAdapter().setItem(this.KEY, JSON.stringify(this.prefs)).catch(err => {
+      console.error('Failed to save the board view settings:', err);
+    });
+  },
+
+  // View settings for a board, with defaults for anything not chosen yet
+  get(boardId) {
+    const prefs = { mode: 'columns', laneBy: 'member', sortKey: 'list', sortDir: 'asc', ...this.prefs[boardId] };
+    if (!this.MODES.some(mode => mode.id === prefs.mode)) prefs.mode = 'columns';
+    if (!this.LANE_FIELDS.some(field => field.id === prefs.laneBy)) prefs.laneBy = 'member';
+    return prefs;
+  },
+
+  set(boardId, changes) {
+    this.prefs[boardId] = { ...this.get(boardId), ...changes };
+    this.persist();
+  },
+
+  // Cards on the board as [{ list, card, index }] in board order, leaving
+  // out those the filter bar hides
+  rows(board, filter) {
+    const active = BoardSearch.isFilterActive(filter);
+    return board.lists.flatMap(list => list.cards.map((card, index) => ({ list, card, index })))
+      .filter(({ card }) => !active || BoardSearch.matchesFilter(card, filter));
+  },
+
+  names(ids, items) {
+    return ids.map(id => items.find(item => item.id === id)).filter(Boolean).map(item => item.name);
+  },
+
+  // Rows sorted by a table column. Cards without a due date, labels or
+  // members sort last either way; ties keep board order.
+  sortRows(rows, board, key, dir) {
+    const listIndex = new Map(board.lists.map((list, i) => [list.id, i]));
+    const boardOrder = (a, b) => listIndex.get(a.list.id) - listIndex.get(b.list.id) || a.index - b.index;
+    const value = {
+      title: row => row.card.title.toLowerCase(),
+      list: row => listIndex.get(row.list.id),
+      due: row => row.card.dueDate,
+      labels: row => this.names(row.card.labelIds, board.labels).join(', ').toLowerCase() || null,
+      members: row => this.names(row.card.memberIds, board.members).join(', ').toLowerCase() || null
+    }[key] || (() => 0);
+    const sign = dir === 'desc' ? -1 : 1;
+    return rows.slice().sort((a, b) => {
+      const x = value(a);
+      const y = value(b);
+      if (x === y) return boardOrder(a, b);
+      if (x === null) return 1;
+      if (y === null) return -1;
+      return (x < y ? -1 : 1) * sign;
+    });
+  },
+
+  // Weeks (Monday first) covering a month given as 'YYYY-MM'; each week is
+  // seven 'YYYY-MM-DD' strings
+  monthGrid(month) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    const day = new Date(year, monthIndex - 1, 1);
+    day.setDate(day.getDate() - ((day.getDay() + 6) % 7));
+    const weeks = [];
+    do {
+      const week = [];
+      for (let i = 0; i < 7; i++) {
+        week.push(CardDetails.toDateString(day));
+        day.setDate(day.getDate() + 1);
+      }
+      weeks.push(week);
+    } while (day.getMonth() === monthIndex - 1);
+    return weeks;
+  },
+
+  shiftMonth(month, by) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    return CardDetails.toDateString(new Date(year, monthIndex - 1 + by, 1)).slice(0, 7);
+  },
+
+  // Swimlanes for a board: one per member or label, then one for cards
+  // with none. A card with several members or labels shows in each lane.
+  lanes(board, laneBy) {
+    const field = laneBy === 'label' ? 'labelIds' : 'memberIds';
+    const items = laneBy === 'label' ? board.labels : board.members;
+    return [
+      ...items.map(item => ({ id: item.id, name: item.name, item, has: card => card[field].includes(item.id) })),
+      { id: '', name: laneBy === 'label' ? 'No label' : 'Unassigned', item: null, has: card => card[field].length === 0 }
+    ];
+  },
+
+  // Index to pass to moveCard for a drop before card `beforeId`, or after
+  // the last of `laneCardIds` when dropped at the end of a swimlane cell
+  dropPosition(list, cardId, beforeId, laneCardIds) {
+    const remaining = list.cards.filter(card => card.id !== cardId);
+    if (beforeId) return remaining.findIndex(card => card.id === beforeId);
+    const last = remaining.map(card => laneCardIds.includes(card.id)).lastIndexOf(true);
+    return last === -1 ? remaining.length : last + 1;
+  },
+
+  // Render a non-column view into container; returns how many cards it
+  // shows and how many there are, for the filter bar
+  render(container, board, filter) {
+    const view = this.get(board.id);
+    const rows = this.rows(board, filter);
+    const focused = container.contains(document.activeElement) ? document.activeElement.getAttribute('data-card-id') : null;
+
+    container.setAttribute('data-view', view.mode);
+    if (view.mode === 'table') {
+      this.renderTable(container, board, rows, view);
+    } else if (view.mode === 'calendar') {
+      this.renderCalendar(container, board, rows);
+    } else {
+      this.renderSwimlanes(container, board, rows, view);
+    }
+
+    if (focused) {
+      const again = container.querySelector(`[data-card-id="${focused}"]`);
+      if (again) again.focus();
+    }
+    return { shown: rows.length, total: board.lists.reduce((sum, list) => sum + list.cards.length, 0) };
+  },
+
+  renderTable(container, board, rows, view) {
+    const sorted = this.sortRows(rows, board, view.sortKey, view.sortDir);
+    const ariaSort = (key) => (key === view.sortKey ? (view.sortDir === 'desc' ? 'descending' : 'ascending') : 'none');
+
+    container.innerHTML = DomRenderer.html`
+      <table class="board-table">
+        <thead>
+          <tr>
+            ${this.TABLE_COLUMNS.map(column => DomRenderer.html`
+              <th scope="col" aria-sort="${ariaSort(column.key)}">
+                <button type="button" class="sort-button" data-sort="${column.key}">
+                  ${column.name}
+                  <i class="fas ${column.key !== view.sortKey ? 'fa-sort' : view.sortDir === 'desc' ? 'fa-sort-down' : 'fa-sort-up'}" aria-hidden="true"></i>
+                </button>
+              </th>`)}
+          </tr>
+        </thead>
+        <tbody>
+          ${sorted.map(({ list, card }) => DomRenderer.html`
+            <tr data-action="open-card" data-list-id="${list.id}" data-card-id="${card.id}" tabindex="0">
+              <td>${card.title}</td>
+              <td>${list.name}</td>
+              <td class="${CardDetails.dueStatus(card) || ''}">${card.dueDate ? CardDetails.formatDueDate(card.dueDate) : ''}</td>
+              <td>${this.names(card.labelIds, board.labels).join(', ')}</td>
+              <td>${this.names(card.memberIds, board.members).join(', ')}</td>
+            </tr>`)}
+        </tbody>
+      </table>
+      ${sorted.length === 0 ? DomRenderer.html`<p class="view-empty">No cards to show.</p>` : ''}
+    `;
+
+    container.querySelectorAll('[data-sort]').forEach(button => {
+      button.addEventListener('click', () => {
+        const key = button.getAttribute('data-sort');
+        const sortDir = key === view.sortKey && view.sortDir === 'asc' ? 'desc' : 'asc';
+        this.set(board.id, { sortKey: key, sortDir });
+        this.manager.renderBoard();
+        const again = container.querySelector(`[data-sort="${key}"]`);
+        if (again) again.focus();
+      });
+    });
+    container.querySelectorAll('tr[data-card-id]').forEach(row => this.bindOpenKey(row));
+  },
+
+  renderCalendar(container, board, rows) {
+    const month = this.months[board.id] || CardDetails.toDateString(new Date()).slice(0, 7);
+    this.months[board.id] = month;
+    const weeks = this.monthGrid(month);
+    const today = CardDetails.toDateString(new Date());
+    const byDate = new Map();
+    rows.filter(row => row.card.dueDate).forEach(row => {
+      byDate.set(row.card.dueDate, [...(byDate.get(row.card.dueDate) || []), row]);
+    });
+    const undated = rows.filter(row => !row.card.dueDate);
+    const [year, monthIndex] = month.split('-').map(Number);
+    const title = new Date(year, monthIndex - 1, 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+    const weekdays = weeks[0].map(date => {
+      const [y, m, d] = date.split('-').map(Number);
+      return new Date(y, m - 1, d).toLocaleDateString(undefined, { weekday: 'short' });
+    });
+
+    container.innerHTML = DomRenderer.html`
+      <div class="calendar-toolbar">
+        <button type="button" class="btn btn-small btn-secondary" data-month="-1" aria-label="Previous month"><i class="fas fa-chevron-left"></i></button>
+        <h3 class="calendar-title">${title}</h3>
+        <button type="button" class="btn btn-small btn-secondary" data-month="1" aria-label="Next month"><i class="fas fa-chevron-right"></i></button>
+        <button type="button" class="btn btn-small btn-secondary" data-month="0">Today</button>
+      </div>
+      <div class="calendar-layout">
+        <div class="calendar-grid" role="grid" aria-label="${title}">
+          <div class="calendar-row" role="row">
+            ${weekdays.map(name => DomRenderer.html`<div class="calendar-weekday" role="columnheader">${name}</div>`)}
+          </div>
+          ${weeks.map(week => DomRenderer.html`
+            <div class="calendar-row" role="row">
+              ${week.map(date => DomRenderer.html`
+                <div class="calendar-day${date.slice(0, 7) !== month ? ' outside-month' : ''}${date === today ? ' today' : ''}" role="gridcell" data-date="${date}">
+                  <span class="calendar-date">${Number(date.slice(8))}</span>
+                </div>`)}
+            </div>`)}
+        </div>
+        <div class="calendar-undated" data-date="">
+          <h4>No due date</h4>
+        </div>
+      </div>
+    `;
+
+    container.querySelectorAll('[data-date]').forEach(cell => {
+      const date = cell.getAttribute('data-date');
+      (date ? byDate.get(date) || [] : undated).forEach(({ list, card }) => {
+        cell.appendChild(this.createViewCard(card, list, board, { compact: Boolean(date) }));
+      });
+      this.bindDateDropTarget(cell, board);
+    });
+    container.querySelectorAll('[data-month]').forEach(button => {
+      button.addEventListener('click', () => {
+        const by = Number(button.getAttribute('data-month'));
+        this.months[board.id] = by ? this.shiftMonth(month, by) : today.slice(0, 7);
+        this.manager.renderBoard();
+      });
+    });
+  },
+
+  renderSwimlanes(container, board, rows, view) {
+    const lanes = this.lanes(board, view.laneBy);
+    container.innerHTML = DomRenderer.html`
+      <div class="swimlanes">
+        <div class="swimlane-row swimlane-head">
+          <div class="swimlane-name"></div>
+          ${board.lists.map(list => DomRenderer.html`<div class="swimlane-cell"><h3 class="list-title">${list.name}</h3></div>`)}
+        </div>
+        ${lanes.map(lane => DomRenderer.html`
+          <section class="swimlane-row" data-lane-id="${lane.id}" aria-label="${lane.name}">
+            <h3 class="swimlane-name">${lane.name}</h3>
+            ${board.lists.map(list => DomRenderer.html`<div class="swimlane-cell" data-list-id="${list.id}" data-lane-id="${lane.id}" aria-label="${list.name}"></div>`)}
+          </section>`)}
+      </div>
+    `;
+
+    container.querySelectorAll('.swimlane-cell[data-lane-id]').forEach(cell => {
+      const lane = lanes.find(l => l.id === cell.getAttribute('data-lane-id'));
+      const listId = cell.getAttribute('data-list-id');
+      rows.filter(row => row.list.id === listId && lane.has(row.card)).forEach(({ list, card }) => {
+        cell.appendChild(this.createViewCard(card, list, board, { laneId: lane.id }));
+      });
+      this.bindLaneDropTarget(cell, board, lane);
+    });
+  },
+
+  // Card face used by the calendar and the swimlanes. Clicking opens the
+  // card dialog through the board view's open-card action.
+  createViewCard(card, list, board, { compact = false, laneId = null } = {}) {
+    const cardEl = document.createElement('div');
+    cardEl.className = `view-card${compact ? ' compact' : ''}`;
+    cardEl.setAttribute('draggable', 'true');
+    cardEl.setAttribute('tabindex', '0');
+    cardEl.setAttribute('data-action', 'open-card');
+    cardEl.setAttribute('data-card-id', card.id);
+    cardEl.setAttribute('data-list-id', list.id);
+    if (compact) {
+      const status = CardDetails.dueStatus(card);
+      if (status) cardEl.classList.add(status);
+      cardEl.title = `${card.title} (${list.name})`;
+      cardEl.textContent = card.title;
+    } else {
+      cardEl.innerHTML = DomRenderer.html`<h4 class="card-title">${card.title}</h4>`;
+      const labelStrip = CardDetails.createLabelStrip(card, board);
+      if (labelStrip) cardEl.insertBefore(labelStrip, cardEl.firstChild);
+      const badges = CardDetails.createBadges(card, board);
+      if (badges) cardEl.appendChild(badges);
+    }
+
+    cardEl.addEventListener('dragstart', (e) => {
+      this.dragged = { cardId: card.id, listId: list.id, laneId };
+      if (e.dataTransfer) e.dataTransfer.effectAllowed = 'move';
+      setTimeout(() => cardEl.classList.add('dragging'), 0);
+    });
+    cardEl.addEventListener('dragend', () => {
+      cardEl.classList.remove('dragging');
+      this.dragged = null;
+      document.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+    });
+    this.bindOpenKey(cardEl);
+    return cardEl;
+  },
+
+  // Enter opens a focused card or table row
+  bindOpenKey(el) {
+    el.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && e.target === el) {
+        e.preventDefault();
+        el.click();
+      }
+    });
+  },
+
+  // Calendar days (and the "No due date" column) take cards to reschedule
+  bindDateDropTarget(cell, board) {
+    cell.addEventListener('dragover', (e) => {
+      if (!this.dragged) return;
+      e.preventDefault();
+      cell.classList.add('drop-target');
+    });
+    cell.addEventListener('dragleave', (e) => {
+      if (!cell.contains(e.relatedTarget)) cell.classList.remove('drop-target');
+    });
+    cell.addEventListener('drop', (e) => {
+      const dragged = this.dragged;
+      if (!dragged) return;
+      e.preventDefault();
+      this.dragged = null;
+      const card = this.manager.getCard(board.id, dragged.listId, dragged.cardId);
+      const dueDate = cell.getAttribute('data-date') || null;
+      if (!card || card.dueDate === dueDate) {
+        this.manager.renderBoard();
+        return;
+      }
+      if (this.manager.updateCard(board.id, dragged.listId, card.id, card.title, card.description, { dueDate }) === false) {
+        this.manager.renderBoard();
+        return;
+      }
+      // A plugin may have set a different date
+      const due = card.dueDate;
+      this.manager.announce(due ? `"${card.title}" is now due ${CardDetails.formatDueDate(due)}.` : `"${card.title}" no longer has a due date.`);
+    });
+  },
+
+  // Swimlane cells take cards from the same lane, moving them between lists
+  bindLaneDropTarget(cell, board, lane) {
+    const listId = cell.getAttribute('data-list-id');
+    const accepts = () => {
+      const dragged = this.dragged;
+      if (!dragged || dragged.laneId !== lane.id) return false;
+      const list = this.manager.getList(board.id, listId);
+      return Boolean(list) && (dragged.listId === listId || ListPolicies.acceptsCard(list));
+    };
+    cell.addEventListener('dragover', (e) => {
+      if (!accepts()) return;
+      e.preventDefault();
+      cell.classList.add('drop-target');
+    });
+    cell.addEventListener('dragleave', (e) => {
+      if (!cell.contains(e.relatedTarget)) cell.classList.remove('drop-target');
+    });
+    cell.addEventListener('drop', (e) => {
+      if (!accepts()) return;
+      e.preventDefault();
+      const dragged = this.dragged;
+      this.dragged = null;
+      const list = this.manager.getList(board.id, listId);
+      const laneCards = [...cell.querySelectorAll('.view-card')].filter(el => el.getAttribute('data-card-id') !== dragged.cardId);
+      const before = laneCards.find(el => {
+        const box = el.getBoundingClientRect();
+        return e.clientY < box.top + box.height / 2;
+      });
+      const position = this.dropPosition(
+        list,
+        dragged.cardId,
+        before ? before.getAttribute('data-card-id') : null,
+        laneCards.map(el => el.getAttribute('data-card-id'))
+      );
+      const moved = this.manager.moveCard(board.id, dragged.listId, dragged.cardId, board.id, listId, position);
+      if (moved !== false) this.manager.announceCardPosition(dragged.cardId);
+    });
+  }
+};
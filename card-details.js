@@ -0,0 +1,467 @@
+/**
+ * Task Board Pilot - Rich card details
+ * Implements:
+ * - Board-level label and member definitions
+ * - Due date status (overdue / due soon) and checklist progress
+ * - Card face badges: labels, due date, checklist progress, member avatars
+ * - The labels/due date/checklists/members editor used by the card modal
+ *
+ * Card fields: labelIds, memberIds, dueDate ('YYYY-MM-DD' or null),
+ * checklists: [{ id, title, items: [{ id, text, done }] }], attachments
+ * and coverId (see attachments.js), and pluginData: { [pluginId]: value }
+ * (see plugins.js).
+ * Board fields: labels: [{ id, name, color }], members: [{ id, name }].
+ */
+
+const CardDetails = {
+  LABEL_COLORS: {
+    green: '#61bd4f',
+    yellow: '#f2d600',
+    orange: '#ff9f1a',
+    red: '#eb5a46',
+    purple: '#c377e0',
+    blue: '#0079bf'
+  },
+  AVATAR_COLORS: ['#9b87f5', '#7E69AB', '#0079bf', '#61bd4f', '#ff9f1a', '#eb5a46', '#00c2e0'],
+  DUE_SOON_DAYS: 1,
+
+  // Fill in any missing rich fields on a board and its cards
+  applyDefaults(board) {
+    board.labels = Array.isArray(board.labels) ? board.labels : [];
+    board.members = Array.isArray(board.members) ? board.members : [];
+    board.lists.forEach(list => {
+      list.cards.forEach(card => this.applyCardDefaults(card));
+    });
+    if (board.archive) {
+      BoardArchive.cards([board]).forEach(({ card }) => this.applyCardDefaults(card));
+    }
+    return board;
+  },
+
+  applyCardDefaults(card) {
+    card.description = card.description || '';
+    card.labelIds = Array.isArray(card.labelIds) ? card.labelIds : [];
+    card.memberIds = Array.isArray(card.memberIds) ? card.memberIds : [];
+    card.dueDate = card.dueDate || null;
+    card.checklists = Array.isArray(card.checklists) ? card.checklists : [];
+    card.attachments = Array.isArray(card.attachments) ? card.attachments : [];
+    card.coverId = card.coverId || null;
+    card.pluginData = card.pluginData && typeof card.pluginData === 'object' && !Array.isArray(card.pluginData) ? card.pluginData : {};
+    return card;
+  },
+
+  // Copy of the editable rich fields, safe to change without touching the card
+  draftFrom(card) {
+    return {
+      labelIds: card ? card.labelIds.slice() : [],
+      memberIds: card ? card.memberIds.slice() : [],
+      dueDate: card ? card.dueDate : null,
+      checklists: card ? card.checklists.map(checklist => ({
+        ...checklist,
+        items: checklist.items.map(item => ({ ...item }))
+      })) : [],
+      attachments: card ? card.attachments.map(attachment => ({ ...attachment })) : [],
+      coverId: card ? card.coverId : null,
+      pluginData: card ? JSON.parse(JSON.stringify(card.pluginData)) : {}
+    };
+  },
+
+  // Drop label and member references that don't exist on the board, and a
+  // cover that isn't one of the card's images
+  pruneReferences(details, board) {
+    const labelIds = new Set(board.labels.map(label => label.id));
+    const memberIds = new Set(board.members.map(member => member.id));
+    const cover = details.attachments.find(a => a.id === details.coverId && CardAttachments.isImage(a));
+    return {
+      ...details,
+      labelIds: details.labelIds.filter(id => labelIds.has(id)),
+      memberIds: details.memberIds.filter(id => memberIds.has(id)),
+      coverId: cover ? cover.id : null
+    };
+  },
+
+  // Local calendar date as 'YYYY-MM-DD'
+  toDateString(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  },
+
+  // 'overdue', 'due-soon', 'due-later' or null when there is no due date.
+  // A card whose checklists are all complete is never overdue.
+  dueStatus(card, now = new Date()) {
+    if (!card.dueDate) return null;
+    const progress = this.checklistProgress(card);
+    if (progress.total > 0 && progress.done === progress.total) return 'due-later';
+    if (card.completedAt) return 'due-later';
+
+    const today = this.toDateString(now);
+    const soon = new Date(now);
+    soon.setDate(soon.getDate() + this.DUE_SOON_DAYS);
+
+    if (card.dueDate < today) return 'overdue';
+    if (card.dueDate <= this.toDateString(soon)) return 'due-soon';
+    return 'due-later';
+  },
+
+  formatDueDate(dueDate) {
+    const [year, month, day] = dueDate.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  },
+
+  checklistProgress(card) {
+    const items = card.checklists.reduce((all, checklist) => all.concat(checklist.items), []);
+    return { done: items.filter(item => item.done).length, total: items.length };
+  },
+
+  initials(name) {
+    return name.trim().split(/\s+/).slice(0, 2).map(part => part[0].toUpperCase()).join('');
+  },
+
+  avatarColor(name) {
+    let hash = 0;
+    for (const ch of name) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+    return this.AVATAR_COLORS[hash % this.AVATAR_COLORS.length];
+  },
+
+  createAvatar(member) {
+    const avatar = document.createElement('span');
+    avatar.className = 'avatar';
+    avatar.textContent = this.initials(member.name);
+    avatar.title = member.name;
+    avatar.style.backgroundColor = this.avatarColor(member.name);
+    return avatar;
+  },
+
+  // Label strip shown above the card title
+  createLabelStrip(card, board) {
+    const labels = card.labelIds.map(id => board.labels.find(label => label.id === id)).filter(Boolean);
+    if (labels.length === 0) return null;
+
+    const strip = document.createElement('div');
+    strip.className = 'card-labels';
+    labels.forEach(label => {
+      const chip = document.createElement('span');
+      chip.className = 'card-label';
+      chip.style.backgroundColor = this.LABEL_COLORS[label.color] || label.color;
+      chip.textContent = label.name;
+      chip.title = label.name;
+      strip.appendChild(chip);
+    });
+    return strip;
+  },
+
+  // Badge row shown under the card title
+  createBadges(card, board) {
+    const badges = document.createElement('div');
+    badges.className = 'card-badges';
+
+    const status = this.dueStatus(card);
+    if (status) {
+      const due = document.createElement('span');
+      due.className = `badge badge-${status}`;
+      due.title = status === 'overdue' ? 'Overdue' : status === 'due-soon' ? 'Due soon' : 'Due date';
+      due.innerHTML = '<i class="far fa-clock"></i> ';
+      due.appendChild(document.createTextNode(this.formatDueDate(card.dueDate)));
+      badges.appendChild(due);
+    }
+
+    if (card.completedAt) {
+      const done = document.createElement('span');
+      done.className = 'badge badge-complete';
+      done.title = `Completed ${new Date(card.completedAt).toLocaleString()}`;
+      done.innerHTML = '<i class="fas fa-check"></i> Done';
+      badges.appendChild(done);
+    }
+
+    const progress = this.checklistProgress(card);
+    if (progress.total > 0) {
+      const checklist = document.createElement('span');
+      checklist.className = 'badge' + (progress.done === progress.total ? ' badge-complete' : '');
+      checklist.title = 'Checklist items';
+      checklist.innerHTML = '<i class="far fa-check-square"></i> ';
+      checklist.appendChild(document.createTextNode(`${progress.done}/${progress.total}`));
+      badges.appendChild(checklist);
+    }
+
+    if (card.attachments.length > 0) {
+      const attachments = document.createElement('span');
+      attachments.className = 'badge';
+      attachments.title = 'Attachments';
+      attachments.innerHTML = '<i class="fas fa-paperclip"></i> ';
+      attachments.appendChild(document.createTextNode(String(card.attachments.length)));
+      badges.appendChild(attachments);
+    }
+
+    const members = card.memberIds.map(id => board.members.find(member => member.id === id)).filter(Boolean);
+    if (members.length > 0) {
+      const avatars = document.createElement('span');
+      avatars.className = 'card-members';
+      members.forEach(member => avatars.appendChild(this.createAvatar(member)));
+      badges.appendChild(avatars);
+    }
+
+    return badges.children.length > 0 ? badges : null;
+  },
+
+  // Editor for the rich fields. Changes are made to `draft` only; the caller
+  // reads it back on submit. `actions.createLabel(name, color)` and
+  // `actions.createMember(name)` add definitions to the board and return them.
+  buildEditor(board, draft, actions) {
+    const editor = document.createElement('div');
+    editor.className = 'card-details-editor';
+
+    const render = () => {
+      editor.innerHTML = '';
+      editor.appendChild(this.buildLabelsSection(board, draft, actions, render));
+      editor.appendChild(this.buildDueDateSection(draft));
+      editor.appendChild(this.buildMembersSection(board, draft, actions, render));
+      editor.appendChild(this.buildChecklistsSection(draft, render));
+    };
+    render();
+    return editor;
+  },
+
+  createSection(title) {
+    const section = document.createElement('div');
+    section.className = 'form-group details-section';
+    const label = document.createElement('label');
+    label.textContent = title;
+    section.appendChild(label);
+    return section;
+  },
+
+  // Toggle a value in an array in place
+  toggle(values, value) {
+    const index = values.indexOf(value);
+    if (index === -1) {
+      values.push(value);
+    } else {
+      values.splice(index, 1);
+    }
+  },
+
+  buildLabelsSection(board, draft, actions, render) {
+    const section = this.createSection('Labels');
+    const chips = document.createElement('div');
+    chips.className = 'chip-picker';
+
+    board.labels.forEach(label => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'chip label-chip' + (draft.labelIds.includes(label.id) ? ' selected' : '');
+      chip.style.backgroundColor = this.LABEL_COLORS[label.color] || label.color;
+      chip.textContent = label.name;
+      chip.setAttribute('aria-pressed', String(draft.labelIds.includes(label.id)));
+      chip.addEventListener('click', () => {
+        this.toggle(draft.labelIds, label.id);
+        render();
+      });
+      chips.appendChild(chip);
+    });
+    section.appendChild(chips);
+
+    const row = document.createElement('div');
+    row.className = 'inline-add';
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.placeholder = 'New label';
+    const colorSelect = document.createElement('select');
+    Object.keys(this.LABEL_COLORS).forEach(color => {
+      const option = document.createElement('option');
+      option.value = color;
+      option.textContent = color;
+      colorSelect.appendChild(option);
+    });
+    const addBtn = document.createElement('button');
+    addBtn.type = 'button';
+    addBtn.className = 'btn btn-small btn-secondary';
+    addBtn.textContent = 'Add';
+    addBtn.addEventListener('click', () => {
+      const name = nameInput.value.trim();
+      if (!name) return;
+      const label = actions.createLabel(name, colorSelect.value);
+      if (label) draft.labelIds.push(label.id);
+      render();
+    });
+    row.append(nameInput, colorSelect, addBtn);
+    section.appendChild(row);
+    return section;
+  },
+
+  buildDueDateSection(draft) {
+    const section = this.createSection('Due date');
+    const row = document.createElement('div');
+    row.className = 'inline-add';
+    const input = document.createElement('input');
+    input.type = 'date';
+    input.value = draft.dueDate || '';
+    input.addEventListener('change', () => {
+      draft.dueDate = input.value || null;
+    });
+    const clearBtn = document.createElement('button');
+    clearBtn.type = 'button';
+    clearBtn.className = 'btn btn-small btn-secondary';
+    clearBtn.textContent = 'Clear';
+    clearBtn.addEventListener('click', () => {
+      draft.dueDate = null;
+      input.value = '';
+    });
+    row.append(input, clearBtn);
+    section.appendChild(row);
+    return section;
+  },
+
+  buildMembersSection(board, draft, actions, render) {
+    const section = this.createSection('Members');
+    const chips = document.createElement('div');
+    chips.className = 'chip-picker';
+
+    board.members.forEach(member => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'chip member-chip' + (draft.memberIds.includes(member.id) ? ' selected' : '');
+      chip.setAttribute('aria-pressed', String(draft.memberIds.includes(member.id)));
+      chip.appendChild(this.createAvatar(member));
+      chip.appendChild(document.createTextNode(member.name));
+      chip.addEventListener('click', () => {
+        this.toggle(draft.memberIds, member.id);
+        render();
+      });
+      chips.appendChild(chip);
+    });
+    section.appendChild(chips);
+
+    const row = document.createElement('div');
+    row.className = 'inline-add';
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.placeholder = 'Add a board member';
+    const addBtn = document.createElement('button');
+    addBtn.type = 'button';
+    addBtn.className = 'btn btn-small btn-secondary';
+    addBtn.textContent = 'Add';
+    addBtn.addEventListener('click', () => {
+      const name = nameInput.value.trim();
+      if (!name) return;
+      const member = actions.createMember(name);
+      if (member) draft.memberIds.push(member.id);
+      render();
+    });
+    row.append(nameInput, addBtn);
+    section.appendChild(row);
+    return section;
+  },
+
+  buildChecklistsSection(draft, render) {
+    const section = this.createSection('Checklists');
+
+    draft.checklists.forEach(checklist => {
+      const block = document.createElement('div');
+      block.className = 'checklist';
+
+      const header = document.createElement('div');
+      header.className = 'checklist-header';
+      const titleInput = document.createElement('input');
+      titleInput.type = 'text';
+      titleInput.value = checklist.title;
+      titleInput.setAttribute('aria-label', 'Checklist title');
+      titleInput.addEventListener('input', () => {
+        checklist.title = titleInput.value;
+      });
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'icon-btn';
+      removeBtn.title = 'Remove checklist';
+      removeBtn.innerHTML = '<i class="fas fa-trash delete-icon"></i>';
+      removeBtn.addEventListener('click', () => {
+        draft.checklists.splice(draft.checklists.indexOf(checklist), 1);
+        render();
+      });
+      header.append(titleInput, removeBtn);
+      block.appendChild(header);
+
+      const progress = this.checklistProgress({ checklists: [checklist] });
+      if (progress.total > 0) {
+        const bar = document.createElement('div');
+        bar.className = 'checklist-progress';
+        const fill = document.createElement('div');
+        fill.style.width = `${Math.round((progress.done / progress.total) * 100)}%`;
+        bar.appendChild(fill);
+        block.appendChild(bar);
+      }
+
+      checklist.items.forEach(item => {
+        const row = document.createElement('div');
+        row.className = 'checklist-item' + (item.done ? ' done' : '');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = item.done;
+        checkbox.addEventListener('change', () => {
+          item.done = checkbox.checked;
+          render();
+        });
+        const text = document.createElement('input');
+        text.type = 'text';
+        text.value = item.text;
+        text.setAttribute('aria-label', 'Checklist item');
+        text.addEventListener('input', () => {
+          item.text = text.value;
+        });
+        const removeItemBtn = document.createElement('button');
+        removeItemBtn.type = 'button';
+        removeItemBtn.className = 'icon-btn';
+        removeItemBtn.title = 'Remove item';
+        removeItemBtn.innerHTML = '<i class="fas fa-times"></i>';
+        removeItemBtn.addEventListener('click', () => {
+          checklist.items.splice(checklist.items.indexOf(item), 1);
+          render();
+        });
+        row.append(checkbox, text, removeItemBtn);
+        block.appendChild(row);
+      });
+
+      const addRow = document.createElement('div');
+      addRow.className = 'inline-add';
+      const itemInput = document.createElement('input');
+      itemInput.type = 'text';
+      itemInput.placeholder = 'Add an item';
+      itemInput.setAttribute('data-add-item-for', checklist.id);
+      const addItem = () => {
+        const text = itemInput.value.trim();
+        if (!text) return;
+        checklist.items.push({ id: IdGenerator.next(), text, done: false });
+        render();
+        // Keep typing into the re-rendered input
+        const nextInput = document.querySelector(`[data-add-item-for="${checklist.id}"]`);
+        if (nextInput) nextInput.focus();
+      };
+      itemInput.addEventListener('keydown', (e) => {
+        // Enter adds an item instead of submitting the card form
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          addItem();
+        }
+      });
+      const addBtn = document.createElement('button');
+      addBtn.type = 'button';
+      addBtn.className = 'btn btn-small btn-secondary';
+      addBtn.textContent = 'Add';
+      addBtn.addEventListener('click', addItem);
+      addRow.append(itemInput, addBtn);
+      block.appendChild(addRow);
+
+      section.appendChild(block);
+    });
+
+    const addChecklistBtn = document.createElement('button');
+    addChecklistBtn.type = 'button';
+    addChecklistBtn.className = 'btn btn-small btn-secondary';
+    addChecklistBtn.innerHTML = '<i class="fas fa-plus"></i> Add checklist';
+    addChecklistBtn.addEventListener('click', () => {
+      draft.checklists.push({ id: IdGenerator.next(), title: 'Checklist', items: [] });
+      render();
+    });
+    section.appendChild(addChecklistBtn);
+    return section;
+  }
+};
@@ -0,0 +1,325 @@
+/**
+ * Task Board Pilot - Touch and keyboard card movement
+ * Implements:
+ * - Pointer-event dragging for touch and pen (long-press to pick a card up),
+ *   alongside the HTML5 drag and drop used for the mouse
+ * - Auto-scroll of #lists-container (and the list under the pointer) near edges
+ * - Keyboard focus navigation across cards and lists
+ * - Keyboard shortcuts that move the focused card or list
+ * - ARIA live announcements describing each move
+ *
+ * Keyboard (focus on a card or list header):
+ *   Arrow keys         move focus between cards and lists
+ *   Enter              open the focused card
+ *   Alt + Arrow keys   move the focused card up/down or to the previous/next list
+ *   Alt + Left/Right   move the focused list (when a list header has focus)
+ */
+
+const CardMovement = {
+  LONG_PRESS_MS: 250,
+  MOVE_TOLERANCE: 8,
+  EDGE_SIZE: 60,
+  MAX_SCROLL_SPEED: 18,
+  manager: null,
+  drag: null,
+
+  // Called once at startup with the BoardManager
+  init(manager) {
+    this.manager = manager;
+    document.addEventListener('keydown', (e) => this.handleKeydown(e));
+    // Prevent the page from scrolling while a touch drag is in progress
+    document.addEventListener('touchmove', (e) => {
+      if (this.drag && this.drag.active) e.preventDefault();
+    }, { passive: false });
+  },
+
+  // Called for each card element when it is created
+  attach(card) {
+    card.addEventListener('pointerdown', (e) => this.handlePointerDown(e, card));
+    // A long press would otherwise open the context menu
+    card.addEventListener('contextmenu', (e) => {
+      if (this.drag && this.drag.card === card) e.preventDefault();
+    });
+  },
+
+  // Pointer dragging (touch and pen; the mouse keeps native drag and drop)
+  handlePointerDown(e, card) {
+    if (e.pointerType === 'mouse' || e.button !== 0 || e.target.closest('.card-actions')) return;
+
+    const drag = {
+      card,
+      pointerId: e.pointerId,
+      startX: e.clientX,
+      startY: e.clientY,
+      x: e.clientX,
+      y: e.clientY,
+      active: false,
+      ghost: null,
+      frame: null,
+      sourceListId: card.getAttribute('data-list-id')
+    };
+    drag.timer = setTimeout(() => this.startPointerDrag(drag), this.LONG_PRESS_MS);
+    this.drag = drag;
+    // Keep the browser's own touch drag and drop (and its pointercancel) out of the way
+    card.setAttribute('draggable', 'false');
+
+    const onMove = (ev) => {
+      if (ev.pointerId !== drag.pointerId) return;
+      drag.x = ev.clientX;
+      drag.y = ev.clientY;
+      if (!drag.active) {
+        // Moving before the long press fires means the user is scrolling
+        if (Math.hypot(drag.x - drag.startX, drag.y - drag.startY) > this.MOVE_TOLERANCE) {
+          cleanup();
+        }
+        return;
+      }
+      ev.preventDefault();
+      this.updatePointerDrag(drag);
+    };
+    const onUp = (ev) => {
+      if (ev.pointerId !== drag.pointerId) return;
+      const wasActive = drag.active;
+      cleanup();
+      if (wasActive) this.finishPointerDrag(drag);
+    };
+    const onCancel = (ev) => {
+      if (ev.pointerId !== drag.pointerId) return;
+      const wasActive = drag.active;
+      cleanup();
+      if (wasActive) this.manager.renderBoard();
+    };
+    const cleanup = () => {
+      clearTimeout(drag.timer);
+      cancelAnimationFrame(drag.frame);
+      if (drag.ghost) drag.ghost.remove();
+      drag.card.classList.remove('drag-source');
+      drag.card.setAttribute('draggable', 'true');
+      drag.active = false;
+      this.drag = null;
+      document.removeEventListener('pointermove', onMove);
+      document.removeEventListener('pointerup', onUp);
+      document.removeEventListener('pointercancel', onCancel);
+    };
+
+    document.addEventListener('pointermove', onMove, { passive: false });
+    document.addEventListener('pointerup', onUp);
+    document.addEventListener('pointercancel', onCancel);
+  },
+
+  startPointerDrag(drag) {
+    drag.active = true;
+    const rect = drag.card.getBoundingClientRect();
+    drag.offsetX = drag.startX - rect.left;
+    drag.offsetY = drag.startY - rect.top;
+
+    // A floating copy follows the finger; the original marks the drop position
+    const ghost = drag.card.cloneNode(true);
+    ghost.classList.add('drag-ghost');
+    ghost.setAttribute('aria-hidden', 'true');
+    ghost.style.width = `${rect.width}px`;
+    document.body.appendChild(ghost);
+    drag.ghost = ghost;
+    drag.card.classList.add('drag-source');
+
+    if (navigator.vibrate) navigator.vibrate(20);
+    this.updatePointerDrag(drag);
+
+    const tick = () => {
+      this.autoScroll(drag.x, drag.y);
+      drag.frame = requestAnimationFrame(tick);
+    };
+    drag.frame = requestAnimationFrame(tick);
+  },
+
+  updatePointerDrag(drag) {
+    drag.ghost.style.transform = `translate(${drag.x - drag.offsetX}px, ${drag.y - drag.offsetY}px)`;
+
+    const target = document.elementFromPoint(drag.x, drag.y);
+    const container = target && target.closest('.cards-container');
+    if (!container) return;
+    const afterElement = this.manager.getDragAfterElement(container, drag.y);
+    if (afterElement == null) {
+      container.appendChild(drag.card);
+    } else if (afterElement !== drag.card) {
+      container.insertBefore(drag.card, afterElement);
+    }
+  },
+
+  finishPointerDrag(drag) {
+    const container = drag.card.closest('.cards-container');
+    const position = [...container.querySelectorAll('.card')].indexOf(drag.card);
+    this.moveAndAnnounce(
+      drag.sourceListId,
+      drag.card.getAttribute('data-card-id'),
+      container.getAttribute('data-list-id'),
+      position,
+      false
+    );
+  },
+
+  // Scroll #lists-container sideways, and the list under the pointer up or
+  // down, when the pointer is near their edges. Faster closer to the edge.
+  autoScroll(x, y) {
+    const speedFor = (distance) => {
+      if (distance >= this.EDGE_SIZE) return 0;
+      return Math.ceil(((this.EDGE_SIZE - Math.max(distance, 0)) / this.EDGE_SIZE) * this.MAX_SCROLL_SPEED);
+    };
+
+    const listsContainer = document.getElementById('lists-container');
+    const box = listsContainer.getBoundingClientRect();
+    if (y >= box.top && y <= box.bottom) {
+      listsContainer.scrollLeft += speedFor(box.right - x) - speedFor(x - box.left);
+    }
+
+    const under = document.elementFromPoint(x, y);
+    const cardsContainer = under && under.closest('.cards-container');
+    if (cardsContainer) {
+      const listBox = cardsContainer.getBoundingClientRect();
+      cardsContainer.scrollTop += speedFor(listBox.bottom - y) - speedFor(y - listBox.top);
+    }
+  },
+
+  // Keyboard navigation and movement
+  handleKeydown(e) {
+    const target = e.target;
+    if (!(target instanceof Element) || !target.closest('#lists-container')) return;
+    if (target.closest('input, textarea, select, button')) return;
+
+    const card = target.closest('.card');
+    const header = target.closest('.list-header');
+    if (!card && !header) return;
+
+    const arrows = { ArrowUp: 'up', ArrowDown: 'down', ArrowLeft: 'left', ArrowRight: 'right' };
+    const direction = arrows[e.key];
+
+    if (card && e.key === 'Enter') {
+      e.preventDefault();
+      this.manager.showEditCardModal(card.getAttribute('data-list-id'), card.getAttribute('data-card-id'));
+      return;
+    }
+    if (!direction || e.ctrlKey || e.metaKey) return;
+    e.preventDefault();
+
+    if (e.altKey) {
+      if (card) {
+        this.moveFocusedCard(card, direction);
+      } else if (direction === 'left' || direction === 'right') {
+        this.moveFocusedList(header.closest('.list'), direction);
+      }
+    } else if (card) {
+      this.focusFromCard(card, direction);
+    } else {
+      this.focusFromHeader(header, direction);
+    }
+  },
+
+  listElements() {
+    return [...document.querySelectorAll('#lists-container .list')];
+  },
+
+  // Visible cards only; cards hidden by the board filter are skipped
+  cardsOf(listEl) {
+    return [...listEl.querySelectorAll('.cards-container .card:not(.filtered-out)')];
+  },
+
+  // Every card in the list, in data order, including filtered-out ones
+  allCardsOf(listEl) {
+    return [...listEl.querySelectorAll('.cards-container .card')];
+  },
+
+  focusFromCard(card, direction) {
+    const listEl = card.closest('.list');
+    const cards = this.cardsOf(listEl);
+    const index = cards.indexOf(card);
+
+    if (direction === 'up') {
+      (index > 0 ? cards[index - 1] : listEl.querySelector('.list-header')).focus();
+    } else if (direction === 'down') {
+      if (index < cards.length - 1) cards[index + 1].focus();
+    } else {
+      const lists = this.listElements();
+      const next = lists[lists.indexOf(listEl) + (direction === 'left' ? -1 : 1)];
+      if (next) {
+        const nextCards = this.cardsOf(next);
+        (nextCards[Math.min(index, nextCards.length - 1)] || next.querySelector('.list-header')).focus();
+      }
+    }
+  },
+
+  focusFromHeader(header, direction) {
+    const listEl = header.closest('.list');
+    if (direction === 'down') {
+      const first = this.cardsOf(listEl)[0];
+      if (first) first.focus();
+    } else if (direction === 'left' || direction === 'right') {
+      const lists = this.listElements();
+      const next = lists[lists.indexOf(listEl) + (direction === 'left' ? -1 : 1)];
+      if (next) next.querySelector('.list-header').focus();
+    }
+  },
+
+  // Moves step over the visible neighbours, so positions are translated back
+  // to data positions that account for cards hidden by the filter
+  moveFocusedCard(card, direction) {
+    const listEl = card.closest('.list');
+    const cards = this.cardsOf(listEl);
+    const index = cards.indexOf(card);
+    const listId = listEl.getAttribute('data-list-id');
+    const cardId = card.getAttribute('data-card-id');
+
+    if (direction === 'up' || direction === 'down') {
+      const neighbour = cards[index + (direction === 'up' ? -1 : 1)];
+      if (!neighbour) {
+        this.manager.announce(`Card is already at the ${direction === 'up' ? 'top' : 'bottom'} of the list.`);
+        return;
+      }
+      const position = this.allCardsOf(listEl).indexOf(neighbour);
+      this.moveAndAnnounce(listId, cardId, listId, position, true);
+    } else {
+      const lists = this.listElements();
+      const next = lists[lists.indexOf(listEl) + (direction === 'left' ? -1 : 1)];
+      if (!next) {
+        this.manager.announce(`There is no list to the ${direction}.`);
+        return;
+      }
+      const before = this.cardsOf(next)[index];
+      const allCards = this.allCardsOf(next);
+      const position = before ? allCards.indexOf(before) : allCards.length;
+      this.moveAndAnnounce(listId, cardId, next.getAttribute('data-list-id'), position, true);
+    }
+  },
+
+  moveFocusedList(listEl, direction) {
+    const lists = this.listElements();
+    const position = lists.indexOf(listEl) + (direction === 'left' ? -1 : 1);
+    const listId = listEl.getAttribute('data-list-id');
+    const list = this.manager.getList(this.manager.activeBoardId, listId);
+    if (position < 0 || position >= lists.length) {
+      this.manager.announce(`List "${list.name}" is already the ${direction === 'left' ? 'first' : 'last'} list.`);
+      return;
+    }
+    if (this.manager.moveList(this.manager.activeBoardId, listId, position) === false) return;
+    // A plugin may have moved it somewhere else
+    const moved = this.manager.getBoard(this.manager.activeBoardId).lists.indexOf(list);
+    this.manager.announce(`Moved list "${list.name}" to position ${moved + 1} of ${lists.length}.`);
+    const header = document.querySelector(`.list[data-list-id="${listId}"] .list-header`);
+    if (header) header.focus();
+  },
+
+  // Move a card on the active board, announce it and optionally refocus it
+  moveAndAnnounce(sourceListId, cardId, targetListId, position, refocus) {
+    const manager = this.manager;
+    const boardId = manager.activeBoardId;
+    const card = manager.getCard(boardId, sourceListId, cardId);
+    if (!card) return;
+
+    if (manager.moveCard(boardId, sourceListId, cardId, boardId, targetListId, position) === false) return;
+    manager.announceCardPosition(cardId);
+
+    if (refocus) {
+      const cardEl = document.querySelector(`.card[data-card-id="${cardId}"]`);
+      if (cardEl) cardEl.focus();
+    }
+  }
+};
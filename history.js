@@ -0,0 +1,79 @@
+/**
+ * Task Board Pilot - Undo/redo history
+ * Implements:
+ * - Command stack where every mutation is recorded with its inverse
+ * - Undo/redo with a bounded history size
+ * - Change notifications so the UI can refresh toolbar state
+ *
+ * A command is a plain object:
+ *   { label: 'Delete card "Foo"', destructive: true, do() {...}, undo() {...} }
+ * do() must be safe to run again after undo() (that is how redo works).
+ */
+
+const UndoHistory = {
+  undoStack: [],
+  redoStack: [],
+  limit: 100,
+  listeners: [],
+
+  // Run a command for the first time and record it
+  execute(command) {
+    command.do();
+    return this.record(command);
+  },
+
+  // Record a command whose changes have already been made
+  record(command) {
+    this.undoStack.push(command);
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this.notify('execute', command);
+    return command;
+  },
+
+  undo() {
+    const command = this.undoStack.pop();
+    if (!command) return null;
+    command.undo();
+    this.redoStack.push(command);
+    this.notify('undo', command);
+    return command;
+  },
+
+  redo() {
+    const command = this.redoStack.pop();
+    if (!command) return null;
+    command.do();
+    this.undoStack.push(command);
+    this.notify('redo', command);
+    return command;
+  },
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  },
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  },
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.notify('clear', null);
+  },
+
+  // Subscribe to history changes; returns an unsubscribe function
+  onChange(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(fn => fn !== listener);
+    };
+  },
+
+  notify(type, command) {
+    this.listeners.forEach(listener => listener(type, command));
+  }
+};
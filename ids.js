@@ -0,0 +1,137 @@
+/**
+ * Task Board Pilot - Id generation and referential integrity
+ * Implements:
+ * - ULID-style ids: 48-bit timestamp + 80 random bits, Crockford base32,
+ *   monotonic within the same millisecond so bulk creates never collide
+ * - Integrity pass that finds duplicate, missing or dangling ids and repairs them
+ */
+
+const IdGenerator = {
+  ALPHABET: '0123456789ABCDEFGHJKMNPQRSTVWXYZ',
+  lastTime: -1,
+  lastRandom: null,
+
+  next() {
+    const now = Date.now();
+    if (now === this.lastTime) {
+      this.lastRandom = this.increment(this.lastRandom);
+    } else {
+      this.lastTime = now;
+      this.lastRandom = this.randomDigits(16);
+    }
+    return this.encodeTime(now) + this.lastRandom.map(d => this.ALPHABET[d]).join('');
+  },
+
+  encodeTime(time) {
+    let out = '';
+    for (let i = 0; i < 10; i++) {
+      out = this.ALPHABET[time % 32] + out;
+      time = Math.floor(time / 32);
+    }
+    return out;
+  },
+
+  randomDigits(length) {
+    const bytes = new Uint8Array(length);
+    if (window.crypto && window.crypto.getRandomValues) {
+      window.crypto.getRandomValues(bytes);
+    } else {
+      for (let i = 0; i < length; i++) bytes[i] = Math.floor(Math.random() * 256);
+    }
+    return Array.from(bytes, b => b % 32);
+  },
+
+  // Add one to the random part so ids from the same millisecond stay ordered
+  increment(digits) {
+    const next = digits.slice();
+    for (let i = next.length - 1; i >= 0; i--) {
+      if (next[i] < 31) {
+        next[i] += 1;
+        return next;
+      }
+      next[i] = 0;
+    }
+    // Overflowed 80 bits within one millisecond; start a fresh random run
+    return this.randomDigits(digits.length);
+  },
+
+  isValid(id) {
+    return typeof id === 'string' && id.trim() !== '';
+  }
+};
+
+const BoardIntegrity = {
+  // Repair boards in place. Every board, list and card must have a non-empty
+  // id that is unique across all three, archived and trashed ones included,
+  // since restoring puts those back. The first occurrence of an id keeps it;
+  // later duplicates and missing ids get a fresh one, live items coming
+  // first. Label and member ids must be unique on their board, and card
+  // references to board labels or members that no longer exist are dropped.
+  // trash: optional BoardTrash entries, repaired along with the boards.
+  // Returns a report: { duplicates, missing, dangling, repaired }.
+  repair(boards, trash = []) {
+    const seen = new Set();
+    const report = { duplicates: [], missing: [], dangling: [], repaired: 0 };
+
+    const check = (entity, kind, label, ids = seen) => {
+      if (!IdGenerator.isValid(entity.id)) {
+        report.missing.push({ kind, label });
+      } else if (ids.has(entity.id)) {
+        report.duplicates.push({ kind, label, id: entity.id });
+      } else {
+        ids.add(entity.id);
+        return;
+      }
+      entity.id = IdGenerator.next();
+      ids.add(entity.id);
+      report.repaired += 1;
+    };
+
+    const prune = (card, field, validIds) => {
+      const kept = card[field].filter(id => validIds.has(id));
+      if (kept.length !== card[field].length) {
+        report.dangling.push({ kind: 'card', label: card.title, field });
+        report.repaired += card[field].length - kept.length;
+        card[field] = kept;
+      }
+    };
+
+    // Label and member ids of each board, by board id
+    const refs = new Map();
+    const checkCard = (card, boardId) => {
+      check(card, 'card', card.title);
+      const { labelIds, memberIds } = refs.get(boardId) || {};
+      if (labelIds && Array.isArray(card.labelIds)) prune(card, 'labelIds', labelIds);
+      if (memberIds && Array.isArray(card.memberIds)) prune(card, 'memberIds', memberIds);
+    };
+    const checkList = (list, boardId) => {
+      check(list, 'list', list.name);
+      list.cards.forEach(card => checkCard(card, boardId));
+    };
+    const checkBoard = (board) => {
+      check(board, 'board', board.name);
+      const labelIds = new Set();
+      const memberIds = new Set();
+      (board.labels || []).forEach(label => check(label, 'label', label.name, labelIds));
+      (board.members || []).forEach(member => check(member, 'member', member.name, memberIds));
+      refs.set(board.id, { labelIds, memberIds });
+      board.lists.forEach(list => checkList(list, board.id));
+    };
+    const checkArchive = (board) => {
+      const archive = board.archive || {};
+      (archive.lists || []).forEach(record => checkList(record.list, board.id));
+      (archive.cards || []).forEach(record => checkCard(record.card, board.id));
+    };
+
+    boards.forEach(checkBoard);
+    trash.filter(entry => entry.type === 'board').forEach(entry => checkBoard(entry.item));
+    boards.forEach(checkArchive);
+    trash.forEach(entry => {
+      if (entry.type === 'board') checkArchive(entry.item);
+      else if (entry.type === 'list') checkList(entry.item, entry.boardId);
+      else if (entry.type === 'card') checkCard(entry.item, entry.boardId);
+    });
+
+    return report;
+  }
+};
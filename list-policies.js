@@ -0,0 +1,49 @@
+/**
+ * Task Board Pilot - List policies
+ * Implements:
+ * - Per-list work-in-progress (WIP) limits, optionally blocking cards from
+ *   being moved into a list that is at its limit
+ * - "Done" lists, whose cards count as completed and carry the time they
+ *   were completed in card.completedAt
+ *
+ * A list carries { wipLimit: number|null, blockOverLimit, isDone }. Only
+ * moves into a list are blocked; adding new cards and reordering within a
+ * list are always allowed, so a list can still end up over its limit.
+ */
+
+const ListPolicies = {
+  applyDefaults(list) {
+    list.wipLimit = Number.isInteger(list.wipLimit) && list.wipLimit > 0 ? list.wipLimit : null;
+    list.blockOverLimit = Boolean(list.blockOverLimit);
+    list.isDone = Boolean(list.isDone);
+    return list;
+  },
+
+  hasLimit(list) {
+    return Boolean(list.wipLimit);
+  },
+
+  isOverLimit(list) {
+    return this.hasLimit(list) && list.cards.length > list.wipLimit;
+  },
+
+  // Whether a card from another list may be moved into this one
+  acceptsCard(list) {
+    return !(list.blockOverLimit && this.hasLimit(list) && list.cards.length >= list.wipLimit);
+  },
+
+  blockedMessage(list) {
+    return `"${list.name}" is at its limit of ${list.wipLimit} card${list.wipLimit === 1 ? '' : 's'}.`;
+  },
+
+  // Card count for the list header, e.g. "3 / 5" with a limit
+  countLabel(list) {
+    return this.hasLimit(list) ? `${list.cards.length} / ${list.wipLimit}` : String(list.cards.length);
+  },
+
+  // completedAt for a card now in `list`: kept if it was already completed,
+  // set to now on entering a done list and cleared on leaving one
+  completedAt(card, list, now = Date.now()) {
+    return list.isDone ? (card.completedAt || now) : null;
+  }
+};
@@ -0,0 +1,231 @@
+/**
+ * Task Board Pilot - Markdown for card descriptions and comments
+ * Implements:
+ * - A small Markdown renderer: headings, paragraphs, line breaks, bold,
+ *   italic, strikethrough, inline code, fenced code blocks, block quotes,
+ *   bulleted and numbered lists, rules and links (including bare URLs)
+ * - A sanitizer that every rendered result passes through, keeping only
+ *   allowed elements and attributes and only http(s), mailto and relative
+ *   link targets
+ * - Plain-text previews for card faces, and a Write/Preview toggle for
+ *   textareas
+ *
+ * The renderer escapes all text as it goes, so raw HTML in the source shows
+ * as text; the sanitizer is the second line of defence.
+ */
+
+const Markdown = {
+  PREVIEW_LENGTH: 140,
+  // Allowed elements and the attributes each may keep
+  ALLOWED: {
+    p: [], br: [], strong: [], em: [], del: [], code: [], pre: [], blockquote: [],
+    ul: [], ol: [], li: [], hr: [], h3: [], h4: [], h5: [], h6: [],
+    a: ['href']
+  },
+  // Dropped along with their content; other disallowed elements are
+  // replaced by their content
+  DROPPED: ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'svg', 'math', 'form', 'textarea', 'select'],
+
+  // Rendered and sanitized markup for DomRenderer.html or innerHTML
+  render(text) {
+    return new SafeHtml(this.sanitize(this.toHtml(String(text || ''))));
+  },
+
+  toHtml(text) {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let i = 0;
+    const collect = (pattern) => {
+      const items = [];
+      while (i < lines.length && pattern.test(lines[i])) {
+        items.push(lines[i].replace(pattern, ''));
+        i++;
+      }
+      return items;
+    };
+
+    while (i < lines.length) {
+      const line = lines[i];
+      if (/^\s*$/.test(line)) {
+        i++;
+      } else if (/^\s*```/.test(line)) {
+        const code = [];
+        i++;
+        while (i < lines.length && !/^\s*```/.test(lines[i])) {
+          code.push(lines[i]);
+          i++;
+        }
+        i++;
+        blocks.push(`<pre><code>${DomRenderer.escape(code.join('\n'))}</code></pre>`);
+      } else if (/^#{1,6}\s+/.test(line)) {
+        // Headings start at h3 so they sit below the dialog and list titles
+        const [, hashes, content] = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+        const level = Math.min(6, hashes.length + 2);
+        blocks.push(`<h${level}>${this.inline(content)}</h${level}>`);
+        i++;
+      } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        blocks.push('<hr>');
+        i++;
+      } else if (/^\s*>/.test(line)) {
+        blocks.push(`<blockquote>${this.toHtml(collect(/^\s*>\s?/).join('\n'))}</blockquote>`);
+      } else if (/^\s*[-*+]\s+/.test(line)) {
+        blocks.push(`<ul>${collect(/^\s*[-*+]\s+/).map(item => `<li>${this.inline(item)}</li>`).join('')}</ul>`);
+      } else if (/^\s*\d+[.)]\s+/.test(line)) {
+        blocks.push(`<ol>${collect(/^\s*\d+[.)]\s+/).map(item => `<li>${this.inline(item)}</li>`).join('')}</ol>`);
+      } else {
+        const paragraph = [line];
+        i++;
+        while (i < lines.length && !/^\s*$/.test(lines[i]) && !/^(\s*```|#{1,6}\s|\s*>|\s*[-*+]\s|\s*\d+[.)]\s)/.test(lines[i])) {
+          paragraph.push(lines[i]);
+          i++;
+        }
+        blocks.push(`<p>${paragraph.map(part => this.inline(part.trim())).join('<br>')}</p>`);
+      }
+    }
+    return blocks.join('');
+  },
+
+  // Inline formatting for one line of text
+  inline(text) {
+    // Code spans and links become placeholders so later patterns leave them alone
+    const tokens = [];
+    const hold = (markup) => `\u0000${tokens.push(markup) - 1}\u0000`;
+    let out = text.replace(/`([^`]+)`/g, (_, code) => hold(`<code>${DomRenderer.escape(code)}</code>`));
+    out = DomRenderer.escape(out);
+    out = out.replace(/\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g, (match, label, url) => (
+      this.isSafeUrl(this.unescape(url)) ? hold(`<a href="${url}">${label}</a>`) : label
+    ));
+    out = out.replace(/(^|[\s(])(https?:\/\/[^\s<\u0000]+[^\s<\u0000.,;:!?)])/g, (_, before, url) => `${before}${hold(`<a href="${url}">${url}</a>`)}`);
+    out = out
+      .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '<strong>$2</strong>')
+      .replace(/(^|[^*\w])\*(?=\S)(.+?)(?<=\S)\*(?!\*)/g, '$1<em>$2</em>')
+      .replace(/(^|[^_\w])_(?=\S)(.+?)(?<=\S)_(?![_\w])/g, '$1<em>$2</em>')
+      .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, '<del>$1</del>');
+    // Placeholders can nest (a code span inside a link label)
+    while (/\u0000\d+\u0000/.test(out)) {
+      out = out.replace(/\u0000(\d+)\u0000/g, (_, index) => tokens[index]);
+    }
+    return out;
+  },
+
+  unescape(text) {
+    const entities = Object.fromEntries(Object.entries(DomRenderer.ESCAPES).map(([ch, entity]) => [entity, ch]));
+    return text.replace(/&(amp|lt|gt|quot|#39);/g, entity => entities[entity]);
+  },
+
+  // http(s) and mailto links, and relative links. Anything before a colon
+  // counts as a scheme, so disguised ones are refused too.
+  isSafeUrl(url) {
+    const trimmed = url.trim();
+    const scheme = trimmed.match(/^([^/]*):/);
+    return scheme ? ['http', 'https', 'mailto'].includes(scheme[1].toLowerCase()) : !trimmed.startsWith('//');
+  },
+
+  // Keep only allowed elements and attributes. Parsed in a template, so
+  // nothing in the markup runs or loads while it is cleaned.
+  sanitize(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    this.clean(template.content);
+    const container = document.createElement('div');
+    container.appendChild(template.content);
+    return container.innerHTML;
+  },
+
+  clean(parent) {
+    [...parent.childNodes].forEach(node => {
+      if (node.nodeType === Node.TEXT_NODE) return;
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        node.remove();
+        return;
+      }
+      const tag = node.tagName.toLowerCase();
+      if (!Object.prototype.hasOwnProperty.call(this.ALLOWED, tag)) {
+        if (!this.DROPPED.includes(tag)) {
+          this.clean(node);
+          node.replaceWith(...node.childNodes);
+        } else {
+          node.remove();
+        }
+        return;
+      }
+      [...node.attributes].forEach(attribute => {
+        if (!this.ALLOWED[tag].includes(attribute.name)) node.removeAttribute(attribute.name);
+      });
+      if (tag === 'a') {
+        if (!this.isSafeUrl(node.getAttribute('href') || '')) node.removeAttribute('href');
+        node.setAttribute('target', '_blank');
+        node.setAttribute('rel', 'noopener noreferrer');
+      }
+      this.clean(node);
+    });
+  },
+
+  // The text without Markdown syntax, on one line
+  toPlainText(text) {
+    return String(text || '')
+      .replace(/^\s*```.*$/gm, '')
+      .replace(/^#{1,6}\s+/gm, '')
+      .replace(/^\s*>\s?/gm, '')
+      .replace(/^\s*([-*+]|\d+[.)])\s+/gm, '')
+      .replace(/^\s*([-*_])(\s*\1){2,}\s*$/gm, '')
+      .replace(/\[([^\]]+)\]\((?:[^()\s]|\([^()\s]*\))+\)/g, '$1')
+      .replace(/(\*\*|__|~~|`)/g, '')
+      .replace(/(^|\W)[*_](?=\S)(.+?)(?<=\S)[*_](?=\W|$)/g, '$1$2')
+      .replace(/\s+/g, ' ')
+      .trim();
+  },
+
+  // Shortened plain text for card faces
+  preview(text, length = this.PREVIEW_LENGTH) {
+    const plain = this.toPlainText(text);
+    return plain.length > length ? `${plain.slice(0, length - 1).trimEnd()}…` : plain;
+  },
+
+  // Write/Preview tabs for a textarea. Starts on the preview when asked to
+  // and there is text to show.
+  attachPreview(textarea, { preview = false } = {}) {
+    const tabs = document.createElement('div');
+    tabs.className = 'markdown-tabs';
+    tabs.setAttribute('role', 'group');
+    tabs.setAttribute('aria-label', 'Description mode');
+    tabs.innerHTML = DomRenderer.html`
+      <button type="button" class="markdown-tab" data-markdown-tab="write" aria-pressed="true">Write</button>
+      <button type="button" class="markdown-tab" data-markdown-tab="preview" aria-pressed="false">Preview</button>
+      <span class="markdown-hint">Markdown supported</span>
+    `;
+    const output = document.createElement('div');
+    output.className = 'markdown-body markdown-preview';
+    output.hidden = true;
+    output.setAttribute('tabindex', '0');
+
+    const show = (mode) => {
+      const previewing = mode === 'preview';
+      if (previewing) {
+        output.innerHTML = textarea.value.trim() ? this.render(textarea.value) : '<p class="markdown-empty">Nothing to preview.</p>';
+      }
+      output.hidden = !previewing;
+      textarea.hidden = previewing;
+      tabs.querySelectorAll('[data-markdown-tab]').forEach(tab => {
+        tab.setAttribute('aria-pressed', String(tab.getAttribute('data-markdown-tab') === mode));
+      });
+    };
+    tabs.addEventListener('click', (e) => {
+      const tab = e.target.closest('[data-markdown-tab]');
+      if (!tab) return;
+      show(tab.getAttribute('data-markdown-tab'));
+      (tab.getAttribute('data-markdown-tab') === 'write' ? textarea : output).focus();
+    });
+    // Double-clicking the preview goes back to editing, unless it was a link
+    output.addEventListener('dblclick', (e) => {
+      if (e.target.closest('a')) return;
+      show('write');
+      textarea.focus();
+    });
+
+    textarea.before(tabs);
+    textarea.after(output);
+    show(preview && textarea.value.trim() ? 'preview' : 'write');
+    return { show };
+  }
+};
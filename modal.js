@@ -0,0 +1,260 @@
+/**
+ * Task Board Pilot - Modal dialogs
+ * Implements:
+ * - Dialogs that build their own DOM, so index.html needs no modal markup
+ * - Focus trapping while a dialog is open
+ * - Closing with Escape, the close button or a click on the backdrop
+ * - Returning focus to whatever opened the dialog
+ * - Removing every listener the dialog added when it closes
+ * - Form dialogs with inline validation messages
+ *
+ * Only the topmost dialog reacts to the keyboard; opening a dialog with the
+ * id of one that is already open replaces it.
+ */
+
+const Modal = {
+  FOCUSABLE: 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])',
+  // Open dialogs, topmost last
+  stack: [],
+
+  // Open a dialog around `body` (a Node). Options:
+  //   id             element id of the dialog, e.g. 'board-modal'
+  //   title          heading text
+  //   initialFocus   element to focus first (defaults to the first field)
+  //   fallbackFocus  () => element to focus on close when the opener is gone
+  //   onClose        (reason) => void; reason is 'escape', 'backdrop',
+  //                  'button', 'submit', 'replaced' or whatever close() got
+  // Returns a handle with the dialog element and close(reason).
+  open({ id, title, body, initialFocus = null, fallbackFocus = null, onClose = null }) {
+    const existing = this.stack.find(dialog => dialog.id === id);
+    if (existing) existing.close('replaced');
+
+    const opener = document.activeElement;
+    const element = document.createElement('div');
+    element.id = id;
+    element.className = 'modal';
+    element.setAttribute('role', 'dialog');
+    element.setAttribute('aria-modal', 'true');
+    element.setAttribute('aria-labelledby', `${id}-title`);
+    element.innerHTML = DomRenderer.html`
+      <div class="modal-content">
+        <div class="modal-header">
+          <h3 id="${id}-title">${title}</h3>
+          <button type="button" class="close" aria-label="Close">&times;</button>
+        </div>
+        <div class="modal-body"></div>
+      </div>
+    `;
+    element.querySelector('.modal-body').appendChild(body);
+
+    const removers = [];
+    const listen = (target, type, handler, options) => {
+      target.addEventListener(type, handler, options);
+      removers.push(() => target.removeEventListener(type, handler, options));
+    };
+
+    const dialog = {
+      id,
+      element,
+      open: true,
+      close: (reason = 'button') => {
+        if (!dialog.open) return;
+        dialog.open = false;
+        removers.forEach(remove => remove());
+        element.remove();
+        this.stack.splice(this.stack.indexOf(dialog), 1);
+        if (onClose) onClose(reason);
+
+        // The opener may have been re-rendered while the dialog was open
+        const target = opener && opener.isConnected && opener !== document.body
+          ? opener
+          : fallbackFocus && fallbackFocus();
+        if (target && reason !== 'replaced') target.focus();
+      }
+    };
+
+    listen(element.querySelector('.close'), 'click', () => dialog.close('button'));
+    listen(element, 'click', (e) => {
+      if (e.target === element) dialog.close('backdrop');
+    });
+    listen(document, 'keydown', (e) => {
+      if (this.top() !== dialog) return;
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        dialog.close('escape');
+      } else if (e.key === 'Tab') {
+        this.trapTab(e, element);
+      }
+    });
+    // Focus that wanders outside (e.g. a click on the page behind) is pulled back
+    listen(document, 'focusin', (e) => {
+      if (this.top() === dialog && !element.contains(e.target)) {
+        this.focusFirst(element);
+      }
+    });
+
+    this.stack.push(dialog);
+    document.body.appendChild(element);
+    element.style.display = 'flex';
+    if (initialFocus) {
+      initialFocus.focus();
+    } else {
+      this.focusFirst(element);
+    }
+    return dialog;
+  },
+
+  top() {
+    return this.stack[this.stack.length - 1] || null;
+  },
+
+  focusableIn(element) {
+    return [...element.querySelectorAll(this.FOCUSABLE)].filter(el => !el.closest('[hidden]'));
+  },
+
+  // First control in the body, or the close button when there is none
+  focusFirst(element) {
+    const focusable = this.focusableIn(element);
+    const first = focusable.find(el => !el.classList.contains('close')) || focusable[0];
+    if (first) first.focus();
+  },
+
+  // Keep Tab and Shift+Tab cycling inside the dialog
+  trapTab(e, element) {
+    const focusable = this.focusableIn(element);
+    if (focusable.length === 0) {
+      e.preventDefault();
+      return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+    if (!element.contains(active)) {
+      e.preventDefault();
+      first.focus();
+    } else if (e.shiftKey && active === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && active === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  },
+
+  // Open a dialog holding a form. Extra options on top of open():
+  //   fields       [{ name, label, type: 'text'|'number'|'textarea'|'select'|
+  //                   'checkbox', value, required, options: [{ value, label }] }]
+  //   extra        optional Node placed after the fields
+  //   submitLabel  text of the submit button
+  //   validate     (values) => ({ fieldName: message }) for custom checks
+  //   onSubmit     (values, dialog) => void; return false to keep it open
+  // Text values are trimmed and checkbox values are booleans. The handle also
+  // gets `form` and `fields` (field name -> control).
+  form({ fields, extra = null, submitLabel = 'Save', validate = null, onSubmit, ...options }) {
+    const prefix = options.id.replace(/-modal$/, '');
+    const form = document.createElement('form');
+    form.id = `${prefix}-form`;
+    form.noValidate = true;
+
+    const controls = {};
+    fields.forEach(field => {
+      const controlId = `${prefix}-${field.name}`;
+      const group = document.createElement('div');
+      group.className = 'form-group';
+      group.innerHTML = DomRenderer.html`
+        <label for="${controlId}">${field.label}</label>
+        <p class="field-error" id="${controlId}-error" hidden></p>
+      `;
+
+      const type = field.type || 'text';
+      const control = document.createElement(type === 'textarea' || type === 'select' ? type : 'input');
+      if (type === 'text' || type === 'number' || type === 'checkbox') control.type = type;
+      control.id = controlId;
+      control.name = field.name;
+      if (type === 'select') {
+        this.fillSelect(control, field.options || [], field.value);
+      } else if (type === 'checkbox') {
+        control.checked = Boolean(field.value);
+        group.classList.add('form-check');
+      } else {
+        control.value = field.value || '';
+      }
+      if (field.required) control.setAttribute('aria-required', 'true');
+      control.addEventListener('input', () => this.setFieldError(control, ''));
+      control.addEventListener('change', () => this.setFieldError(control, ''));
+
+      // Checkboxes go before their label
+      group.insertBefore(control, type === 'checkbox' ? group.firstChild : group.querySelector('.field-error'));
+      form.appendChild(group);
+      controls[field.name] = control;
+    });
+    if (extra) form.appendChild(extra);
+
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.className = 'btn btn-primary';
+    submit.textContent = submitLabel;
+    form.appendChild(submit);
+
+    const dialog = this.open({ ...options, body: form, initialFocus: controls[fields[0].name] });
+    dialog.form = form;
+    dialog.fields = controls;
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const values = {};
+      const errors = {};
+      fields.forEach(field => {
+        const control = controls[field.name];
+        if (field.type === 'checkbox') {
+          values[field.name] = control.checked;
+          return;
+        }
+        values[field.name] = field.type === 'select' ? control.value : control.value.trim();
+        if (field.required && !values[field.name]) {
+          errors[field.name] = `${field.label} is required.`;
+        }
+      });
+      Object.assign(errors, validate ? validate(values) : {});
+
+      fields.forEach(field => this.setFieldError(controls[field.name], errors[field.name] || ''));
+      const invalid = fields.find(field => errors[field.name]);
+      if (invalid) {
+        controls[invalid.name].focus();
+        return;
+      }
+      if (onSubmit(values, dialog) !== false) {
+        dialog.close('submit');
+      }
+    });
+    return dialog;
+  },
+
+  // Show (or with an empty message, clear) the error under a form control
+  setFieldError(control, message) {
+    const error = document.getElementById(`${control.id}-error`);
+    if (!error) return;
+    error.textContent = message;
+    error.hidden = !message;
+    if (message) {
+      control.setAttribute('aria-invalid', 'true');
+      control.setAttribute('aria-describedby', error.id);
+    } else {
+      control.removeAttribute('aria-invalid');
+      control.removeAttribute('aria-describedby');
+    }
+  },
+
+  fillSelect(select, options, selectedValue) {
+    select.innerHTML = '';
+    options.forEach(({ value, label }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    if (selectedValue !== undefined && options.some(o => o.value === selectedValue)) {
+      select.value = selectedValue;
+    }
+  }
+};
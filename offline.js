@@ -0,0 +1,81 @@
+/**
+ * Task Board Pilot - Offline use and app updates
+ * Implements:
+ * - Registering the service worker (sw.js) that keeps the app shell cached
+ * - Noticing when a new version has been downloaded and letting the user
+ *   reload into it when it suits them
+ * - Asking the browser to keep this site's storage when space runs low
+ * - Telling the user when the connection drops that their work is still saved
+ *
+ * Boards, settings and attachments already live in the browser, so once the
+ * shell is cached nothing else needs the network. Service workers only run
+ * over http(s); opened from a file, the app works as before without them.
+ */
+
+const OfflineSupport = {
+  // How often an open app checks for a new version
+  UPDATE_CHECK_MS: 60 * 60 * 1000,
+  manager: null,
+  registration: null,
+  // Set once the user accepts an update, so the switch reloads the page
+  reloading: false,
+
+  init(manager) {
+    this.manager = manager;
+    this.persistStorage();
+    window.addEventListener('offline', () => {
+      manager.showToast("You're offline. Your changes are still saved in this browser.");
+    });
+
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+    // A page that opened without a worker is not running an old version
+    const hadController = Boolean(navigator.serviceWorker.controller);
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (this.reloading) {
+        window.location.reload();
+      } else if (hadController) {
+        // Another tab accepted the update
+        manager.renderUpdateNotice(() => window.location.reload());
+      }
+    });
+
+    navigator.serviceWorker.register('sw.js').then(registration => {
+      this.registration = registration;
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        this.offerUpdate(registration.waiting);
+      }
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker.addEventListener('statechange', () => {
+          // The first install has nothing to replace
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) this.offerUpdate(worker);
+        });
+      });
+      setInterval(() => this.checkForUpdate(), this.UPDATE_CHECK_MS);
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') this.checkForUpdate();
+      });
+    }).catch(err => {
+      console.error('Could not register the service worker:', err);
+    });
+  },
+
+  checkForUpdate() {
+    if (this.registration && navigator.onLine) this.registration.update().catch(() => {});
+  },
+
+  offerUpdate(worker) {
+    this.manager.renderUpdateNotice(() => {
+      this.reloading = true;
+      worker.postMessage({ type: 'skip-waiting' });
+    });
+  },
+
+  // Browsers may clear site data under storage pressure unless it is persisted
+  persistStorage() {
+    if (!navigator.storage || !navigator.storage.persist) return;
+    navigator.storage.persisted()
+      .then(persisted => persisted || navigator.storage.persist())
+      .catch(() => {});
+  }
+};
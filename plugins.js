@@ -0,0 +1,283 @@
+/**
+ * Task Board Pilot - Plugin API
+ * Implements:
+ * - Registering plugins, each set up with an API scoped to it
+ * - Lifecycle events for boards, lists and cards
+ * - Hooks that can veto or transform a change before it is made
+ * - Plugin card badges, card dialog sections and board menu actions
+ * - Per-card plugin data, saved with the card (card.pluginData[pluginId])
+ *
+ * A plugin is a script loaded after script.js that calls register:
+ *
+ *   BoardPlugins.register({
+ *     id: 'story-points',
+ *     name: 'Story points',
+ *     setup(api) { ... }
+ *   });
+ *
+ * The api passed to setup has:
+ * - on(event, handler): call handler(payload) after a change; returns a
+ *   function that removes the handler
+ * - before(hook, handler): call handler(change, veto) before a change (see
+ *   HOOKS). Return nothing to go ahead, a new change object to make that
+ *   change instead, or veto(message) to cancel it and show the message.
+ * - addCardBadge(render): render(card, { board, list, data }) returns
+ *   { text, title, icon, className } or null for no badge
+ * - addCardSection({ title, render }): render(container, { card, board,
+ *   data, setData }) fills a section of the card dialog. card is null for a
+ *   new card; setData(value) keeps the plugin's data for the card, saved
+ *   along with the rest of the dialog.
+ * - addBoardAction({ id, label, icon, run }): a button in the board header
+ *   and an entry in the command palette; run({ board }) is called on use
+ * - getData(card) and setData(boardId, cardId, value): read the plugin's
+ *   data on a card, or change it as an undoable edit
+ * - manager: BoardManager. Its create, update, move and delete methods for
+ *   boards, lists and cards are the way to change data, so changes are
+ *   undoable, saved, synced and seen by other plugins.
+ *
+ * icon is a class name from icons.css ('fa-...'), or one the plugin styles
+ * the same way. Plugin data must survive JSON.
+ *
+ * Events fire once, when a change is made by the user, a rule or a plugin;
+ * undo and redo do not fire them again. Payloads carry the ids and the
+ * board, list and card involved (see EVENTS). Archiving and restoring are
+ * not lifecycle events. A change made from a handler is an undo step of
+ * its own. Errors in plugin code are logged and otherwise ignored.
+ */
+
+const BoardPlugins = {
+  // Event names and what their payloads add to { type, board, boardId }
+  EVENTS: {
+    'ready': 'the app has loaded; no board',
+    'board:created': '',
+    'board:updated': 'changes: names of changed fields',
+    'board:moved': 'from, to: dashboard positions',
+    'board:deleted': '',
+    'list:created': 'list, listId',
+    'list:updated': 'list, listId, changes',
+    'list:moved': 'list, listId, from, to',
+    'list:deleted': 'list, listId',
+    'card:created': 'list, listId, card, cardId',
+    'card:updated': 'list, listId, card, cardId, changes',
+    'card:moved': 'list, listId, card, cardId, fromBoardId, fromListId, position',
+    'card:deleted': 'list, listId, card, cardId'
+  },
+  // Hook names and the change each passes to its handlers. The create hooks
+  // also run for copies, whose change has copyOf (the original's id), and
+  // for restoring from the trash, whose change has restoredFrom (the trash
+  // entry id). A copy takes only the name, or title and description, of a
+  // changed change; a restore can be vetoed but not changed.
+  HOOKS: {
+    'board:create': '{ name, template }',
+    'board:update': '{ boardId, name }',
+    'board:move': '{ boardId, position }',
+    'board:delete': '{ boardId }',
+    'list:create': '{ boardId, name }',
+    'list:update': '{ boardId, listId, name, policies }',
+    'list:move': '{ boardId, listId, position }',
+    'list:delete': '{ boardId, listId }',
+    'card:create': '{ boardId, listId, title, description, details }',
+    'card:update': '{ boardId, listId, cardId, title, description, details }',
+    'card:move': '{ boardId, listId, cardId, targetBoardId, targetListId, position }',
+    'card:delete': '{ boardId, listId, cardId }',
+    'label:create': '{ boardId, name, color }',
+    'member:create': '{ boardId, name }'
+  },
+  // Marks what veto() returns, so no change object can pass for one
+  VETOED: Symbol('vetoed'),
+  manager: null,
+  plugins: [],
+  listeners: [],
+  hooks: [],
+  badges: [],
+  sections: [],
+  boardActions: [],
+
+  init(manager) {
+    this.manager = manager;
+  },
+
+  register(plugin) {
+    if (!plugin || !plugin.id || typeof plugin.setup !== 'function') {
+      throw new Error('A plugin needs an id and a setup function');
+    }
+    if (this.get(plugin.id)) {
+      throw new Error(`A plugin with the id "${plugin.id}" is already registered`);
+    }
+    const entry = { id: String(plugin.id), name: plugin.name || String(plugin.id) };
+    this.plugins.push(entry);
+    try {
+      plugin.setup(this.api(entry));
+    } catch (err) {
+      console.error(`Plugin "${entry.name}" failed to set up:`, err);
+      this.unregister(entry.id);
+      return;
+    }
+    // Registered after start-up: show its badges and actions
+    if (this.manager) this.manager.refresh();
+  },
+
+  // Remove a plugin and everything it registered. Its card data stays.
+  unregister(pluginId) {
+    const others = (items) => items.filter(item => item.pluginId !== pluginId);
+    this.plugins = this.plugins.filter(plugin => plugin.id !== pluginId);
+    this.listeners = others(this.listeners);
+    this.hooks = others(this.hooks);
+    this.badges = others(this.badges);
+    this.sections = others(this.sections);
+    this.boardActions = others(this.boardActions);
+    if (this.manager) this.manager.refresh();
+  },
+
+  get(pluginId) {
+    return this.plugins.find(plugin => plugin.id === pluginId) || null;
+  },
+
+  api(plugin) {
+    const pluginId = plugin.id;
+    const known = (names, name, kind) => {
+      if (!Object.prototype.hasOwnProperty.call(names, name)) throw new Error(`Unknown plugin ${kind} "${name}"`);
+    };
+    return {
+      id: pluginId,
+      get manager() {
+        return BoardPlugins.manager;
+      },
+      on: (type, handler) => {
+        known(this.EVENTS, type, 'event');
+        const listener = { pluginId, type, handler };
+        this.listeners.push(listener);
+        return () => {
+          this.listeners = this.listeners.filter(l => l !== listener);
+        };
+      },
+      before: (name, handler) => {
+        known(this.HOOKS, name, 'hook');
+        this.hooks.push({ pluginId, name, handler });
+      },
+      addCardBadge: (render) => {
+        this.badges.push({ pluginId, render });
+      },
+      addCardSection: ({ title, render }) => {
+        this.sections.push({ pluginId, title: title || plugin.name, render });
+      },
+      addBoardAction: ({ id, label, icon = 'fa-plug', run }) => {
+        this.boardActions.push({ pluginId, id: `${pluginId}:${id}`, label, icon, run });
+      },
+      getData: (card) => this.getData(card, pluginId),
+      setData: (boardId, cardId, value) => this.setData(boardId, cardId, pluginId, value)
+    };
+  },
+
+  // Run plugin code without letting its errors break the app
+  call(pluginId, fn, ...args) {
+    try {
+      return fn(...args);
+    } catch (err) {
+      const plugin = this.get(pluginId);
+      console.error(`Plugin "${plugin ? plugin.name : pluginId}" failed:`, err);
+      return undefined;
+    }
+  },
+
+  getData(card, pluginId) {
+    return card && card.pluginData ? card.pluginData[pluginId] : undefined;
+  },
+
+  setData(boardId, cardId, pluginId, value) {
+    const found = this.manager.locateCard(boardId, cardId);
+    if (!found) return false;
+    const { list, card } = found;
+    return this.manager.updateCard(boardId, list.id, cardId, card.title, card.description, {
+      pluginData: { ...card.pluginData, [pluginId]: value }
+    });
+  },
+
+  // Tell listeners about one or an array of changes, { type, boardId,
+  // listId, cardId, ... }. Boards, lists and cards that are still on a board
+  // are looked up; deleted ones must be passed in.
+  emit(events) {
+    [].concat(events || []).forEach(event => {
+      const listeners = this.listeners.filter(listener => listener.type === event.type);
+      if (listeners.length === 0) return;
+      const payload = this.resolve(event);
+      listeners.forEach(({ pluginId, handler }) => this.call(pluginId, handler, payload));
+    });
+  },
+
+  resolve(event) {
+    const payload = { ...event };
+    const manager = this.manager;
+    if (payload.boardId && !payload.board) payload.board = manager.getBoard(payload.boardId) || null;
+    if (payload.listId && !payload.list) payload.list = manager.getList(payload.boardId, payload.listId) || null;
+    if (payload.cardId && !payload.card) payload.card = manager.getCard(payload.boardId, payload.listId, payload.cardId) || null;
+    return payload;
+  },
+
+  // Pass a change through the hooks registered for name. Returns
+  // { change } with the change to make, or { vetoed, message }.
+  intercept(name, change) {
+    const veto = (message = '') => ({ [this.VETOED]: true, message: String(message) });
+    let current = change;
+    for (const { pluginId, handler } of this.hooks.filter(hook => hook.name === name)) {
+      const result = this.call(pluginId, handler, current, veto);
+      if (result && result[this.VETOED]) return { vetoed: true, message: result.message };
+      if (result && typeof result === 'object') current = result;
+    }
+    return { change: current };
+  },
+
+  // Badge descriptions for a card, from every plugin that has one
+  cardBadges(card, board, list) {
+    return this.badges.map(({ pluginId, render }) => {
+      const badge = this.call(pluginId, render, card, { board, list, data: this.getData(card, pluginId) });
+      return badge && badge.text !== undefined && badge.text !== null ? {
+        text: String(badge.text),
+        title: badge.title ? String(badge.title) : '',
+        icon: badge.icon || '',
+        className: badge.className || ''
+      } : null;
+    }).filter(Boolean);
+  },
+
+  createBadge({ text, title, icon, className }) {
+    const badge = document.createElement('span');
+    badge.className = `badge badge-plugin ${className}`.trim();
+    if (title) badge.title = title;
+    if (icon) {
+      const i = document.createElement('i');
+      i.className = `fas ${icon}`;
+      i.setAttribute('aria-hidden', 'true');
+      badge.append(i, ' ');
+    }
+    badge.append(text);
+    return badge;
+  },
+
+  // Card dialog sections, editing draft.pluginData
+  buildCardSections(draft, { card, board }) {
+    const fragment = document.createDocumentFragment();
+    this.sections.forEach(({ pluginId, title, render }) => {
+      const section = CardDetails.createSection(title);
+      section.classList.add('plugin-section');
+      section.setAttribute('data-plugin-id', pluginId);
+      const container = document.createElement('div');
+      section.appendChild(container);
+      this.call(pluginId, render, container, {
+        card,
+        board,
+        data: draft.pluginData[pluginId],
+        setData: (value) => {
+          draft.pluginData = { ...draft.pluginData, [pluginId]: value };
+        }
+      });
+      fragment.appendChild(section);
+    });
+    return fragment;
+  },
+
+  runBoardAction(actionId, board) {
+    const action = this.boardActions.find(a => a.id === actionId);
+    if (action) this.call(action.pluginId, action.run, { board });
+  }
+};
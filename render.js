@@ -0,0 +1,78 @@
+/**
+ * Task Board Pilot - Safe, incremental DOM rendering helpers
+ * Implements:
+ * - HTML escaping for every interpolated value in markup templates
+ * - Keyed reconciliation: existing elements are reused and reordered instead
+ *   of rebuilding a whole container, so scroll and focus survive re-renders
+ * - Render signatures so an element is only rebuilt when its data changed
+ */
+
+const DomRenderer = {
+  ESCAPES: {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  },
+
+  escape(value) {
+    return String(value === null || value === undefined ? '' : value).replace(/[&<>"']/g, ch => this.ESCAPES[ch]);
+  },
+
+  // Tagged template that escapes every interpolated value:
+  //   el.innerHTML = DomRenderer.html`<h3>${board.name}</h3>`;
+  // Nested html`` results and arrays of them are inserted as markup.
+  html(strings, ...values) {
+    const render = (value) => {
+      if (value instanceof SafeHtml) return value.markup;
+      if (Array.isArray(value)) return value.map(render).join('');
+      if (value === false || value === null || value === undefined) return '';
+      return DomRenderer.escape(value);
+    };
+    return new SafeHtml(strings.reduce((out, str, i) => out + str + (i < values.length ? render(values[i]) : ''), ''));
+  },
+
+  // Make container's element children exactly `elements`, in order. Elements
+  // already in place are left alone, so they keep focus and scroll position.
+  reconcile(container, elements) {
+    elements.forEach((el, i) => {
+      const current = container.children[i];
+      if (current !== el) {
+        container.insertBefore(el, current || null);
+      }
+    });
+    while (container.children.length > elements.length) {
+      container.lastElementChild.remove();
+    }
+  },
+
+  // Reuse `existing` when it was rendered from the same signature, otherwise
+  // build a fresh element with create()
+  reuseOrCreate(existing, signature, create) {
+    if (existing && existing._renderSignature === signature) {
+      return existing;
+    }
+    const el = create();
+    el._renderSignature = signature;
+    return el;
+  },
+
+  // Map of key -> element for the elements matching selector in root
+  collect(root, selector, keyAttribute) {
+    const map = new Map();
+    root.querySelectorAll(selector).forEach(el => map.set(el.getAttribute(keyAttribute), el));
+    return map;
+  }
+};
+
+// Markup produced by DomRenderer.html; safe to assign to innerHTML
+class SafeHtml {
+  constructor(markup) {
+    this.markup = markup;
+  }
+
+  toString() {
+    return this.markup;
+  }
+}
@@ -0,0 +1,335 @@
+/**
+ * Task Board Pilot - Optional REST sync
+ * Implements:
+ * - Per-entity updatedAt timestamps on boards, lists and cards
+ * - Mirroring of board, list and card changes to a REST server
+ *   (see server/server.js for the API and a reference implementation)
+ * - An offline queue, kept in storage, that replays when the server is back
+ * - Merging with the server's boards, newest timestamp winning per entity
+ *
+ * Changes are found by comparing each save with the previous one, so every
+ * path that changes boards (editing, moving, undo, import, other tabs) is
+ * covered. Without a server URL only the timestamps are maintained and the
+ * app keeps working from local storage alone.
+ */
+
+const RestSync = {
+  SERVER_KEY: 'taskBoardPilot-server',
+  QUEUE_KEY: 'taskBoardPilot-sync-queue',
+  TYPES: ['boards', 'lists', 'cards'],
+  FLUSH_DELAY: 500,
+  RETRY_DELAY: 15000,
+  PULL_INTERVAL: 30000,
+  manager: null,
+  serverUrl: null,
+  // Pending operations: { method: 'PUT'|'DELETE', type, id, body }
+  queue: [],
+  // Flattened boards as of the last save, to find what changed
+  snapshot: null,
+  // 'off', 'syncing', 'synced', 'offline' or 'error'
+  status: 'off',
+  flushing: false,
+  flushTimer: null,
+  pullTimer: null,
+
+  // Called once at startup with the BoardManager, after its boards are loaded
+  async init(manager) {
+    this.manager = manager;
+    this.snapshot = this.flatten(manager.boards);
+
+    const adapter = BoardStorage.getAdapter();
+    try {
+      this.serverUrl = (await adapter.getItem(this.SERVER_KEY)) || null;
+      this.queue = JSON.parse((await adapter.getItem(this.QUEUE_KEY)) || '[]');
+    } catch (err) {
+      console.error('Could not read sync settings:', err);
+    }
+
+    window.addEventListener('online', () => this.sync());
+    if (this.serverUrl) {
+      this.start();
+    }
+    this.renderStatus();
+  },
+
+  // Connect to a server, or pass an empty URL to go back to local-only
+  async configure(serverUrl) {
+    const adapter = BoardStorage.getAdapter();
+    this.stop();
+    this.serverUrl = serverUrl ? serverUrl.replace(/\/+$/, '') : null;
+    this.queue = [];
+    await adapter.removeItem(this.QUEUE_KEY);
+    if (this.serverUrl) {
+      await adapter.setItem(this.SERVER_KEY, this.serverUrl);
+      this.start();
+    } else {
+      await adapter.removeItem(this.SERVER_KEY);
+      this.setStatus('off');
+    }
+  },
+
+  start() {
+    this.pullTimer = setInterval(() => this.pull(), this.PULL_INTERVAL);
+    this.sync();
+  },
+
+  stop() {
+    clearInterval(this.pullTimer);
+    clearTimeout(this.flushTimer);
+    this.pullTimer = null;
+    this.flushTimer = null;
+  },
+
+  // Push queued changes, then take in the server's
+  async sync() {
+    if (!this.serverUrl) return;
+    await this.flush();
+    await this.pull();
+  },
+
+  // Entities by type: id -> { entity, fields, parentId, position }, where
+  // fields are the entity's own properties without its child collection
+  flatten(boards) {
+    const flat = { boards: new Map(), lists: new Map(), cards: new Map() };
+    const own = (entity, childKey) => {
+      const fields = { ...entity };
+      delete fields[childKey];
+      return fields;
+    };
+    boards.forEach((board, b) => {
+      flat.boards.set(board.id, { entity: board, fields: own(board, 'lists'), parentId: null, position: b });
+      board.lists.forEach((list, l) => {
+        flat.lists.set(list.id, { entity: list, fields: own(list, 'cards'), parentId: board.id, position: l });
+        list.cards.forEach((card, c) => {
+          flat.cards.set(card.id, { entity: card, fields: { ...card }, parentId: list.id, position: c, boardId: board.id });
+        });
+      });
+    });
+    return flat;
+  },
+
+  // What an entry looks like apart from its timestamp
+  signature(entry) {
+    const { updatedAt, ...fields } = entry.fields;
+    return JSON.stringify([fields, entry.parentId, entry.position]);
+  },
+
+  // Request body for a PUT of the entry
+  body(type, entry) {
+    const body = { ...entry.fields, position: entry.position };
+    if (type === 'lists') body.boardId = entry.parentId;
+    if (type === 'cards') {
+      body.boardId = entry.boardId;
+      body.listId = entry.parentId;
+    }
+    return body;
+  },
+
+  // Called before every save. Stamps entities that changed since the last
+  // save and, when a server is configured, queues them for upload.
+  recordChanges(boards) {
+    const next = this.flatten(boards);
+    const now = Date.now();
+    const ops = [];
+
+    this.TYPES.forEach(type => {
+      next[type].forEach((entry, id) => {
+        const before = this.snapshot[type].get(id);
+        if (before && this.signature(before) === this.signature(entry)) return;
+        // Changes that arrive with their own newer timestamp (e.g. from
+        // another tab) keep it
+        const stamped = before ? entry.fields.updatedAt !== before.fields.updatedAt : entry.fields.updatedAt;
+        if (!stamped) {
+          entry.entity.updatedAt = now;
+          entry.fields.updatedAt = now;
+        }
+        ops.push({ method: 'PUT', type, id, body: this.body(type, entry) });
+      });
+      this.snapshot[type].forEach((entry, id) => {
+        if (!next[type].has(id)) {
+          ops.push({ method: 'DELETE', type, id, body: { deletedAt: now } });
+        }
+      });
+    });
+
+    this.snapshot = next;
+    if (this.serverUrl && ops.length > 0) {
+      this.enqueue(ops);
+    }
+  },
+
+  // Add operations, replacing older queued ones for the same entity
+  enqueue(ops) {
+    ops.forEach(op => {
+      this.queue = this.queue.filter(queued => queued.type !== op.type || queued.id !== op.id);
+      this.queue.push(op);
+    });
+    this.persistQueue();
+    this.renderStatus();
+    clearTimeout(this.flushTimer);
+    this.flushTimer = setTimeout(() => this.flush(), this.FLUSH_DELAY);
+  },
+
+  persistQueue() {
+    return BoardStorage.getAdapter().setItem(this.QUEUE_KEY, JSON.stringify(this.queue)).catch(err => {
+      console.error('Failed to save the sync queue:', err);
+    });
+  },
+
+  async request(method, path, body) {
+    const response = await fetch(this.serverUrl + path, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return response;
+  },
+
+  // Send queued operations in order. Stops at the first network failure and
+  // tries again later; a refused (older) write is dropped and the server's
+  // version is taken in by the pull that follows.
+  async flush() {
+    if (!this.serverUrl || this.flushing || this.queue.length === 0) return;
+    this.flushing = true;
+    this.setStatus('syncing');
+    let conflicts = false;
+    try {
+      while (this.queue.length > 0) {
+        const op = this.queue[0];
+        let response;
+        try {
+          response = await this.request(op.method, `/api/${op.type}/${encodeURIComponent(op.id)}`, op.body);
+        } catch (err) {
+          this.setStatus('offline');
+          this.flushTimer = setTimeout(() => this.sync(), this.RETRY_DELAY);
+          return;
+        }
+        if (response.status === 409) {
+          conflicts = true;
+        } else if (!response.ok) {
+          console.error(`Sync server refused ${op.method} ${op.type}/${op.id}: HTTP ${response.status}`);
+        }
+        // The operation may have been replaced by a newer one while in flight
+        if (this.queue[0] === op) {
+          this.queue.shift();
+        }
+        this.persistQueue();
+      }
+      this.setStatus('synced');
+    } finally {
+      this.flushing = false;
+    }
+    if (conflicts) {
+      await this.pull();
+    }
+  },
+
+  // Fetch the server's boards and merge them into ours
+  async pull() {
+    if (!this.serverUrl) return;
+    let server;
+    try {
+      const response = await this.request('GET', '/api/boards');
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      server = await response.json();
+    } catch (err) {
+      this.setStatus(this.queue.length > 0 ? 'offline' : 'error');
+      return;
+    }
+
+    const local = this.manager.boards;
+    const { boards, upload } = this.merge(local, server.boards, server.deleted || {});
+    if (JSON.stringify(boards) !== JSON.stringify(local)) {
+      // Take the merged boards as the new baseline so they aren't re-uploaded
+      this.snapshot = this.flatten(boards);
+      this.manager.applyRemoteBoards(boards, { unsaved: true });
+    }
+    if (upload.length > 0) {
+      this.enqueue(upload);
+    } else if (this.queue.length === 0) {
+      this.setStatus('synced');
+    }
+  },
+
+  // Merge local and server boards entity by entity: the newer updatedAt
+  // wins, ties go to the server. Returns the merged boards and the PUTs
+  // needed to bring the server up to date.
+  merge(local, serverBoards, deleted) {
+    const mine = this.flatten(local);
+    const theirs = this.flatten(serverBoards);
+    const pendingDeletes = new Set(this.queue.filter(op => op.method === 'DELETE').map(op => op.id));
+    const chosen = { boards: new Map(), lists: new Map(), cards: new Map() };
+    const upload = [];
+
+    this.TYPES.forEach(type => {
+      const ids = new Set([...mine[type].keys(), ...theirs[type].keys()]);
+      ids.forEach(id => {
+        const ours = mine[type].get(id);
+        const server = theirs[type].get(id);
+        if (ours && server) {
+          const newer = (ours.fields.updatedAt || 0) > (server.fields.updatedAt || 0);
+          chosen[type].set(id, newer ? ours : server);
+          if (newer) upload.push({ method: 'PUT', type, id, body: this.body(type, ours) });
+        } else if (ours) {
+          // Deleted on the server after our last change
+          if (deleted[id] && deleted[id] >= ours.fields.updatedAt) return;
+          chosen[type].set(id, ours);
+          upload.push({ method: 'PUT', type, id, body: this.body(type, ours) });
+        } else if (!pendingDeletes.has(id)) {
+          chosen[type].set(id, server);
+        }
+      });
+    });
+
+    const boards = this.build(chosen);
+    boards.forEach(board => {
+      CardDetails.applyDefaults(board);
+      BoardArchive.applyDefaults(board);
+      board.lists.forEach(list => ListPolicies.applyDefaults(list));
+    });
+    return { boards, upload };
+  },
+
+  // Nested boards from flattened entries; entries whose parent is gone are dropped
+  build(flat) {
+    const byPosition = (a, b) => (a.position - b.position) || (a.fields.id < b.fields.id ? -1 : 1);
+    const childrenOf = (entries, parentId) => [...entries.values()].filter(entry => entry.parentId === parentId).sort(byPosition);
+
+    return [...flat.boards.values()].sort(byPosition).map(board => ({
+      ...board.fields,
+      lists: childrenOf(flat.lists, board.fields.id).map(list => ({
+        ...list.fields,
+        cards: childrenOf(flat.cards, list.fields.id).map(card => ({ ...card.fields }))
+      }))
+    }));
+  },
+
+  // Give an entity, and any lists and cards inside it, a new timestamp.
+  // Used when restoring deleted or archived items, which otherwise come back
+  // older than the server's record of their deletion.
+  touch(entity, now = Date.now()) {
+    entity.updatedAt = now;
+    (entity.lists || []).forEach(list => this.touch(list, now));
+    (entity.cards || []).forEach(card => this.touch(card, now));
+  },
+
+  setStatus(status) {
+    this.status = status;
+    this.renderStatus();
+  },
+
+  renderStatus() {
+    const el = document.getElementById('sync-status');
+    if (!el) return;
+    const pending = this.queue.length;
+    const labels = {
+      off: 'Local only',
+      syncing: 'Syncing…',
+      synced: 'Synced',
+      offline: `Offline${pending ? ` · ${pending} change${pending === 1 ? '' : 's'} waiting` : ''}`,
+      error: 'Sync server unavailable'
+    };
+    el.textContent = labels[this.status];
+    el.setAttribute('data-status', this.status);
+  }
+};
@@ -0,0 +1,106 @@
+/**
+ * Task Board Pilot - Hash-based router
+ * Implements:
+ * - Route table with :param placeholders (e.g. '/board/:boardId')
+ * - Back/forward support through the browser history
+ * - Restoring the view from the URL on reload or when a link is pasted
+ *
+ * Paths live in the URL fragment: index.html#/board/123/card/456
+ */
+
+const Router = {
+  routes: [],
+  notFound: null,
+  // True while a route handler runs, so views that sync the URL don't push
+  resolving: false,
+  started: false,
+
+  // Register a handler; params from :placeholders are passed as an object
+  add(path, handler) {
+    const keys = [];
+    const pattern = new RegExp('^' + path.replace(/:([A-Za-z]+)/g, (_, key) => {
+      keys.push(key);
+      return '([^/]+)';
+    }) + '/?$');
+    this.routes.push({ pattern, keys, handler });
+    return this;
+  },
+
+  // Handler for paths no route matches
+  otherwise(handler) {
+    this.notFound = handler;
+    return this;
+  },
+
+  start() {
+    if (!this.started) {
+      window.addEventListener('hashchange', () => this.resolve());
+      window.addEventListener('popstate', () => this.resolve());
+      this.started = true;
+    }
+    this.resolve();
+  },
+
+  // Current path without the leading '#'. A malformed escape in a pasted
+  // link opens the dashboard rather than failing.
+  currentPath() {
+    try {
+      return decodeURIComponent(window.location.hash.replace(/^#/, '')) || '/';
+    } catch (err) {
+      if (!(err instanceof URIError)) throw err;
+      return '/';
+    }
+  },
+
+  // Build a path from segments, encoding each one
+  path(...segments) {
+    return '/' + segments.map(segment => encodeURIComponent(segment)).join('/');
+  },
+
+  // Run the handler for the current path. Re-resolving the same path is
+  // harmless; handlers are expected to be idempotent.
+  resolve() {
+    const path = this.currentPath();
+    this.resolving = true;
+    try {
+      for (const route of this.routes) {
+        const match = route.pattern.exec(path);
+        if (match) {
+          const params = {};
+          route.keys.forEach((key, i) => {
+            params[key] = match[i + 1];
+          });
+          route.handler(params);
+          return;
+        }
+      }
+      if (this.notFound) this.notFound(path);
+    } finally {
+      this.resolving = false;
+    }
+  },
+
+  // Update the URL to reflect the view without running any handler.
+  // Ignored while a route is resolving, since the URL is already correct.
+  sync(path, { replace = false } = {}) {
+    if (this.resolving || !this.started || path === this.currentPath()) return;
+    const url = '#' + path;
+    if (replace) {
+      window.history.replaceState(null, '', url);
+    } else {
+      window.history.pushState(null, '', url);
+    }
+  },
+
+  // Replace the current URL (e.g. an unknown or stale link) and resolve it
+  redirect(path) {
+    window.history.replaceState(null, '', '#' + path);
+    this.resolve();
+  },
+
+  // Change the URL and show the matching view
+  navigate(path, options) {
+    this.sync(path, options);
+    this.resolve();
+  }
+};
@@ -3,43 +3,369 @@
  * Implements:
  * - Board creation, editing and deletion
  * - Lists management within boards
- * - Card management within lists
- * - Drag and drop functionality for cards
- * - Data persistence using localStorage
+ * - Card management within lists, with labels, due dates, checklists and members
+ * - Drag and drop for cards, lists and dashboard boards, plus moving cards across boards
+ * - Touch dragging and keyboard movement with screen reader announcements
+ * - Global card search and a per-board filter bar
+ * - Data persistence through the versioned storage layer
+ * - Undo/redo for every board, list and card change
+ * - JSON export/import, including Trello board exports
+ * - Hash-based routing with deep links to boards and cards
+ * - Escaped, incremental rendering that reuses unchanged elements
+ * - Accessible board, list, card and move dialogs built on Modal
+ * - Live sync with other open tabs, and optionally with a REST server
+ * - Board activity log and card comments
+ * - Archived lists and cards, and a trash for deleted boards, lists and cards
+ * - Board templates, and copies of boards, lists and cards
+ * - List WIP limits and done lists
+ * - Board metrics: cumulative flow, cycle and lead time, throughput and aging cards
+ * - Table, calendar and swimlane views of a board, remembered per board
+ * - Markdown descriptions and comments, and image and PDF attachments with card covers
+ * - Board automation rules and recurring cards
+ * - Remappable keyboard shortcuts and a command palette
+ * - Offline use from a cached app shell, with a prompt when an update is ready
+ * - Plugin events, hooks, card badges, card dialog sections and board actions
  */
 
 // Data structure and storage management
 const BoardManager = {
     boards: [],
     activeBoardId: null,
-    activeListId: null,
-    activeCardId: null,
-    isEditMode: false,
+    openCardId: null,
+    cardDialog: null,
+    filters: {},
+    recovery: null,
+    currentView: 'dashboard',
+    activityOpen: false,
+    // Archived card to focus when the archive is next shown
+    archiveFocusId: null,
+    // Changes made by the automation chain that is running, if any
+    automationSteps: null,
+    // Elements being dragged with the mouse
+    draggedBoard: null,
+    draggedList: null,
+    draggedCard: null,
   
-    // Load data from localStorage on initialization
-    init() {
-      const storedBoards = localStorage.getItem('taskBoardPilot-boards');
-      if (storedBoards) {
-        this.boards = JSON.parse(storedBoards);
+    // Load data through BoardStorage on initialization
+    async init() {
+      // The trash first, so one integrity pass covers it and the boards
+      await BoardTrash.init();
+      const { boards, recovery, integrity, migrated, revision } = await BoardStorage.load(BoardTrash.entries);
+      await ActivityLog.init();
+      await BoardTemplates.init();
+      await BoardViews.init(this);
+      await Shortcuts.init();
+      BoardPlugins.init(this);
+      this.boards = boards;
+      this.recovery = recovery;
+      CardAttachments.collectGarbage(CardAttachments.referencedIds(boards, BoardTrash.entries, BoardTemplates.saved));
+      UndoHistory.clear();
+      this.setupHistoryControls();
+      CardMovement.init(this);
+      TabSync.init(this, revision);
+      RestSync.init(this);
+      this.setupActions();
+      this.setupArchiveView();
+      this.setupFilterBar();
+      this.setupViewSwitcher();
+      this.setupGlobalSearch();
+      this.setupRoutes();
+      this.setupShortcuts();
+      Router.start();
+      BoardAutomation.init(this);
+      OfflineSupport.init(this);
+      
+      const repaired = integrity ? integrity.repaired : 0;
+      if (migrated || repaired > 0) {
+        this.save();
       }
-      this.render();
+      if (repaired > 0) {
+        BoardTrash.save();
+        this.showToast(`Repaired ${repaired} duplicate or missing id${repaired === 1 ? '' : 's'} in your saved boards.`);
+      }
+      BoardPlugins.emit({ type: 'ready' });
     },
   
-    // Save current state to localStorage
+    // Save current state through BoardStorage
     save() {
-      localStorage.setItem('taskBoardPilot-boards', JSON.stringify(this.boards));
+      RestSync.recordChanges(this.boards);
+      return BoardStorage.save(this.boards, TabSync.nextRevision()).then(payload => {
+        TabSync.published(payload);
+      }).catch(err => {
+        console.error('Failed to save boards:', err);
+      });
+    },
+  
+    // Run a mutation through the undo history, then persist and re-render.
+    // command.activity (one or an array of { boardId, type, message, cardId,
+    // listId }) is logged on those boards, and removed again on undo.
+    // command.trigger (one or an array of automation events) runs the board
+    // rules it sets off, whose changes join the same undo step.
+    // command.event (one or an array of plugin lifecycle events) is emitted
+    // once the change is made.
+    execute(command) {
+      const actor = BoardAutomation.actor;
+      const logged = [].concat(command.activity || []).map(({ boardId, ...details }) => ({
+        boardId,
+        entry: ActivityLog.entry(actor ? { ...details, actor } : details)
+      }));
+      const step = {
+        do: () => {
+          command.do();
+          logged.forEach(({ boardId, entry }) => {
+            const board = this.getBoard(boardId);
+            if (board) ActivityLog.append(board, entry);
+          });
+        },
+        undo: () => {
+          command.undo();
+          logged.forEach(({ boardId, entry }) => {
+            const board = this.getBoard(boardId);
+            if (board) ActivityLog.remove(board, entry.id);
+          });
+        }
+      };
+      
+      // A change made by a rule is collected by the chain that is running
+      if (this.automationSteps) {
+        step.do();
+        this.automationSteps.push(step);
+        BoardPlugins.emit(command.event);
+        BoardAutomation.queue(command.trigger);
+        return;
+      }
+      
+      const followUps = [];
+      UndoHistory.execute({
+        ...command,
+        do: () => {
+          step.do();
+          followUps.forEach(followUp => followUp.do());
+          this.save();
+          this.refresh();
+        },
+        undo: () => {
+          followUps.slice().reverse().forEach(followUp => followUp.undo());
+          step.undo();
+          this.save();
+          this.refresh();
+        }
+      });
+      BoardPlugins.emit(command.event);
+      if (command.trigger) this.runAutomation(command.trigger, followUps);
+    },
+  
+    // Let plugin hooks veto or adjust a change before it is made. Returns
+    // the change to make, or null when a plugin vetoed it.
+    intercept(name, change) {
+      const result = BoardPlugins.intercept(name, change);
+      if (!result.vetoed) return result.change;
+      if (result.message) {
+        this.showToast(result.message);
+        this.announce(result.message);
+      }
+      // A drag may have moved elements already
+      this.refresh();
+      return null;
+    },
+  
+    // Run the rules set off by events, collecting the changes they make in steps
+    runAutomation(events, steps) {
+      this.automationSteps = steps;
+      try {
+        BoardAutomation.run([].concat(events));
+      } finally {
+        this.automationSteps = null;
+      }
+      if (steps.length > 0) {
+        this.save();
+        this.refresh();
+      }
+    },
+  
+    // Rules set off by the clock rather than by a change are an undo step of
+    // their own, recorded only when they changed something
+    runScheduledRules(label, events) {
+      const steps = [];
+      this.runAutomation(events, steps);
+      if (steps.length === 0) return;
+      UndoHistory.record({
+        label,
+        do: () => {
+          steps.forEach(step => step.do());
+          this.save();
+          this.refresh();
+        },
+        undo: () => {
+          steps.slice().reverse().forEach(step => step.undo());
+          this.save();
+          this.refresh();
+        }
+      });
+    },
+  
+    // Take boards merged with another tab's changes
+    applyRemoteBoards(boards, { unsaved }) {
+      const viewing = this.currentView === 'board' ? this.activeBoardId : null;
+      const before = viewing && JSON.stringify(this.getBoard(viewing));
+      
+      // A merge can keep a card whose label or member the other side
+      // removed, or the same card live on one side and archived on the
+      // other. Trashed items are checked too, against what the merge kept.
+      if (BoardIntegrity.repair(boards, BoardTrash.entries).repaired > 0) {
+        unsaved = true;
+        BoardTrash.save();
+      }
+      // Undo steps hold on to the objects they changed, so they can't be
+      // replayed against new boards; keep both when nothing changed
+      if (JSON.stringify(boards) !== JSON.stringify(this.boards)) {
+        this.boards = boards;
+        UndoHistory.clear();
+      }
+      if (unsaved) {
+        this.save();
+      }
+      this.refresh();
+      
+      if (!viewing) return;
+      const board = this.getBoard(viewing);
+      if (!board) {
+        this.showToast('The board you were viewing was deleted in another tab.');
+      } else if (JSON.stringify(board) !== before) {
+        this.renderSyncNotice();
+      }
+    },
+  
+    // Tell the user the board on screen was changed in another tab
+    renderSyncNotice() {
+      let notice = document.getElementById('sync-notice');
+      if (!notice) {
+        notice = document.createElement('div');
+        notice.id = 'sync-notice';
+        notice.className = 'notice';
+        notice.setAttribute('role', 'status');
+        notice.innerHTML = `
+          <p>This board was just changed in another tab. The changes are shown below.</p>
+          <div class="notice-actions">
+            <button class="btn btn-small" data-action="dismiss-sync-notice">Dismiss</button>
+          </div>
+        `;
+        const boardViewEl = document.getElementById('board-view');
+        boardViewEl.insertBefore(notice, document.getElementById('filter-bar'));
+      }
+      notice.hidden = false;
+    },
+  
+    hideSyncNotice() {
+      const notice = document.getElementById('sync-notice');
+      if (notice) notice.hidden = true;
+    },
+  
+    // Tell the user a new version is ready; reload() switches to it
+    renderUpdateNotice(reload) {
+      const existing = document.getElementById('update-notice');
+      if (existing) existing.remove();
+      
+      const notice = document.createElement('div');
+      notice.id = 'update-notice';
+      notice.className = 'notice update-notice';
+      notice.setAttribute('role', 'status');
+      notice.innerHTML = `
+        <p>A new version of Task Board Pilot is available.</p>
+        <div class="notice-actions">
+          <button class="btn btn-small" data-action="reload-app">Reload</button>
+          <button class="btn btn-small btn-secondary" data-action="dismiss-update">Later</button>
+        </div>
+      `;
+      notice.querySelector('[data-action="reload-app"]').addEventListener('click', () => {
+        notice.querySelector('[data-action="reload-app"]').disabled = true;
+        reload();
+      });
+      notice.querySelector('[data-action="dismiss-update"]').addEventListener('click', () => {
+        notice.remove();
+      });
+      document.body.appendChild(notice);
+    },
+  
+    // Re-render whichever view is currently showing
+    refresh() {
+      if (this.currentView === 'board') {
+        this.renderBoard();
+      } else if (this.currentView === 'metrics') {
+        this.renderMetrics();
+      } else if (this.currentView === 'archive' || this.currentView === 'trash') {
+        this.renderArchive();
+      } else {
+        this.renderDashboard();
+      }
     },
   
     // Board CRUD operations
-    createBoard(name) {
-      const newBoard = {
-        id: Date.now().toString(),
+    // template: optional template to take lists, cards, labels and members from
+    createBoard(name, template = null) {
+      const change = this.intercept('board:create', { name, template });
+      if (!change) return false;
+      ({ name, template } = change);
+      const newBoard = template ? BoardTemplates.createBoard(template, name) : {
+        id: IdGenerator.next(),
         name: name,
-        lists: []
+        lists: [],
+        labels: [],
+        members: [],
+        activity: [],
+        archive: { lists: [], cards: [] },
+        rules: [],
+        recurring: []
       };
-      this.boards.push(newBoard);
-      this.save();
-      this.render();
+      this.execute({
+        label: `Create board "${name}"`,
+        activity: { boardId: newBoard.id, type: 'board', message: template ? `created this board from the "${template.name}" template` : 'created this board' },
+        event: { type: 'board:created', boardId: newBoard.id },
+        do: () => this.boards.push(newBoard),
+        undo: () => {
+          this.boards = this.boards.filter(board => board.id !== newBoard.id);
+        }
+      });
+    },
+  
+    // Move a board to a new position on the dashboard
+    moveBoard(boardId, targetPosition) {
+      const change = this.intercept('board:move', { boardId, position: targetPosition });
+      if (!change) return false;
+      ({ boardId, position: targetPosition } = change);
+      const sourceIndex = this.boards.findIndex(board => board.id === boardId);
+      if (sourceIndex === -1) return;
+      const board = this.boards[sourceIndex];
+      const position = Math.max(0, Math.min(targetPosition, this.boards.length - 1));
+      if (position === sourceIndex) {
+        this.refresh();
+        return;
+      }
+      
+      const relocate = (index) => {
+        this.boards = this.boards.filter(b => b.id !== boardId);
+        this.boards.splice(index, 0, board);
+      };
+      this.execute({
+        label: `Move board "${board.name}"`,
+        event: { type: 'board:moved', boardId, from: sourceIndex, to: position },
+        do: () => relocate(position),
+        undo: () => relocate(sourceIndex)
+      });
+    },
+  
+    // Add boards from an import file; ids must already be unique (see BoardTransfer.parse)
+    importBoards(boards) {
+      const importedIds = boards.map(board => board.id);
+      this.execute({
+        label: boards.length === 1 ? `Import board "${boards[0].name}"` : `Import ${boards.length} boards`,
+        activity: importedIds.map(boardId => ({ boardId, type: 'board', message: 'imported this board' })),
+        event: importedIds.map(boardId => ({ type: 'board:created', boardId })),
+        do: () => this.boards.push(...boards),
+        undo: () => {
+          this.boards = this.boards.filter(board => !importedIds.includes(board.id));
+        }
+      });
     },
   
     getBoard(boardId) {
@@ -47,32 +373,89 @@ const BoardManager = {
     },
   
     updateBoard(boardId, name) {
+      const change = this.intercept('board:update', { boardId, name });
+      if (!change) return false;
+      ({ boardId, name } = change);
       const board = this.getBoard(boardId);
       if (board) {
-        board.name = name;
-        this.save();
-        this.renderBoard();
+        const previousName = board.name;
+        this.execute({
+          label: `Rename board "${previousName}"`,
+          activity: { boardId, type: 'board', message: `renamed the board from "${previousName}" to "${name}"` },
+          event: { type: 'board:updated', boardId, changes: ['name'] },
+          do: () => { this.getBoard(boardId).name = name; },
+          undo: () => { this.getBoard(boardId).name = previousName; }
+        });
       }
     },
   
+    // Copies get fresh ids and go right after the original
+    copyBoard(boardId, name, includeCards) {
+      const change = this.intercept('board:create', { name, template: null, copyOf: boardId });
+      if (!change) return false;
+      ({ name } = change);
+      const index = this.boards.findIndex(board => board.id === boardId);
+      if (index === -1) return;
+      const original = this.boards[index];
+      const copy = BoardTemplates.copyBoard(original, { name, includeCards });
+      this.execute({
+        label: `Copy board "${original.name}"`,
+        activity: { boardId: copy.id, type: 'board', message: `copied this board from "${original.name}"` },
+        event: { type: 'board:created', boardId: copy.id },
+        do: () => this.boards.splice(index + 1, 0, copy),
+        undo: () => {
+          this.boards = this.boards.filter(board => board.id !== copy.id);
+        }
+      });
+    },
+  
+    // Deleted boards, lists and cards go to the trash, from where they can be
+    // restored until the trash is emptied or purges them
     deleteBoard(boardId) {
-      this.boards = this.boards.filter(board => board.id !== boardId);
-      this.save();
-      this.render();
+      const change = this.intercept('board:delete', { boardId });
+      if (!change) return false;
+      ({ boardId } = change);
+      const index = this.boards.findIndex(board => board.id === boardId);
+      if (index === -1) return;
+      const board = this.boards[index];
+      const trashed = BoardTrash.entry('board', board, index, { boardId, boardName: board.name });
+      this.execute({
+        label: `Move board "${board.name}" to the trash`,
+        destructive: true,
+        event: { type: 'board:deleted', boardId, board },
+        do: () => {
+          this.boards = this.boards.filter(b => b.id !== boardId);
+          BoardTrash.add(trashed);
+        },
+        undo: () => {
+          this.boards.splice(index, 0, board);
+          BoardTrash.remove(trashed.id);
+        }
+      });
     },
   
     // List CRUD operations
     createList(boardId, name) {
+      const change = this.intercept('list:create', { boardId, name });
+      if (!change) return false;
+      ({ boardId, name } = change);
       const board = this.getBoard(boardId);
       if (board) {
-        const newList = {
-          id: Date.now().toString(),
+        const newList = ListPolicies.applyDefaults({
+          id: IdGenerator.next(),
           name: name,
           cards: []
-        };
-        board.lists.push(newList);
-        this.save();
-        this.renderBoard();
+        });
+        this.execute({
+          label: `Add list "${name}"`,
+          activity: { boardId, type: 'list', message: `added list "${name}"`, listId: newList.id },
+          event: { type: 'list:created', boardId, listId: newList.id },
+          do: () => this.getBoard(boardId).lists.push(newList),
+          undo: () => {
+            const target = this.getBoard(boardId);
+            target.lists = target.lists.filter(list => list.id !== newList.id);
+          }
+        });
       }
     },
   
@@ -84,36 +467,208 @@ const BoardManager = {
       return null;
     },
   
-    updateList(boardId, listId, name) {
+    // policies: optional { wipLimit, blockOverLimit, isDone }
+    updateList(boardId, listId, name, policies = {}) {
+      const change = this.intercept('list:update', { boardId, listId, name, policies });
+      if (!change) return false;
+      ({ boardId, listId, name, policies } = change);
       const list = this.getList(boardId, listId);
       if (list) {
-        list.name = name;
-        this.save();
-        this.renderBoard();
+        const changes = { name, ...policies };
+        const previous = {};
+        Object.keys(changes).forEach(key => {
+          previous[key] = list[key];
+        });
+        const changed = Object.keys(changes).filter(key => changes[key] !== previous[key]);
+        if (changed.length === 0) return;
+        
+        const messages = {
+          name: `renamed list "${previous.name}" to "${name}"`,
+          wipLimit: changes.wipLimit ? `set the WIP limit of "${name}" to ${changes.wipLimit}` : `removed the WIP limit of "${name}"`,
+          blockOverLimit: changes.blockOverLimit ? `blocked moves into "${name}" over its limit` : `allowed moves into "${name}" over its limit`,
+          isDone: changes.isDone ? `marked "${name}" as a done list` : `unmarked "${name}" as a done list`
+        };
+        // Cards in a list that becomes (or stops being) a done list are
+        // completed (or reopened) with it
+        const completedAt = new Map(list.cards.map(card => [card.id, card.completedAt]));
+        const setCompletion = (target) => {
+          target.cards.forEach(card => {
+            card.completedAt = ListPolicies.completedAt(card, target);
+          });
+        };
+        this.execute({
+          label: changed.length === 1 && changed[0] === 'name' ? `Rename list "${previous.name}"` : `Edit list "${previous.name}"`,
+          activity: changed.map(key => ({ boardId, type: 'list', message: messages[key], listId })),
+          event: { type: 'list:updated', boardId, listId, changes: changed },
+          do: () => {
+            const target = this.getList(boardId, listId);
+            Object.assign(target, changes);
+            if (changed.includes('isDone')) setCompletion(target);
+          },
+          undo: () => {
+            const target = this.getList(boardId, listId);
+            Object.assign(target, previous);
+            target.cards.forEach(card => {
+              if (completedAt.has(card.id)) card.completedAt = completedAt.get(card.id);
+            });
+          }
+        });
       }
     },
   
+    // The removed list keeps its cards, so undo restores them with their ids and order
     deleteList(boardId, listId) {
+      const change = this.intercept('list:delete', { boardId, listId });
+      if (!change) return false;
+      ({ boardId, listId } = change);
       const board = this.getBoard(boardId);
       if (board) {
-        board.lists = board.lists.filter(list => list.id !== listId);
-        this.save();
-        this.renderBoard();
+        const index = board.lists.findIndex(list => list.id === listId);
+        if (index === -1) return;
+        const list = board.lists[index];
+        const trashed = BoardTrash.entry('list', list, index, { boardId, boardName: board.name });
+        this.execute({
+          label: `Move list "${list.name}" to the trash`,
+          destructive: true,
+          event: { type: 'list:deleted', boardId, listId, list },
+          activity: {
+            boardId,
+            type: 'list',
+            message: `deleted list "${list.name}"${list.cards.length ? ` and its ${list.cards.length} card${list.cards.length === 1 ? '' : 's'}` : ''}`,
+            listId
+          },
+          do: () => {
+            const target = this.getBoard(boardId);
+            target.lists = target.lists.filter(l => l.id !== listId);
+            BoardTrash.add(trashed);
+          },
+          undo: () => {
+            this.getBoard(boardId).lists.splice(index, 0, list);
+            BoardTrash.remove(trashed.id);
+          }
+        });
       }
     },
   
+    copyList(boardId, listId, name, includeCards) {
+      const change = this.intercept('list:create', { boardId, name, copyOf: listId });
+      if (!change) return false;
+      ({ name } = change);
+      const board = this.getBoard(boardId);
+      if (!board) return;
+      const index = board.lists.findIndex(list => list.id === listId);
+      if (index === -1) return;
+      const original = board.lists[index];
+      const copy = BoardTemplates.copyList(original, { name, includeCards });
+      this.execute({
+        label: `Copy list "${original.name}"`,
+        activity: { boardId, type: 'list', message: `copied list "${original.name}" to "${name}"`, listId: copy.id },
+        event: { type: 'list:created', boardId, listId: copy.id },
+        do: () => this.getBoard(boardId).lists.splice(index + 1, 0, copy),
+        undo: () => {
+          const target = this.getBoard(boardId);
+          target.lists = target.lists.filter(list => list.id !== copy.id);
+        }
+      });
+    },
+  
+    // Board label and member definitions, shared by all cards on the board
+    createLabel(boardId, name, color) {
+      const change = this.intercept('label:create', { boardId, name, color });
+      if (!change) return null;
+      ({ boardId, name, color } = change);
+      const board = this.getBoard(boardId);
+      if (!board) return null;
+      const label = { id: IdGenerator.next(), name, color };
+      this.execute({
+        label: `Add label "${name}"`,
+        activity: { boardId, type: 'board', message: `added label "${name}"` },
+        do: () => this.getBoard(boardId).labels.push(label),
+        undo: () => {
+          const target = this.getBoard(boardId);
+          target.labels = target.labels.filter(l => l.id !== label.id);
+        }
+      });
+      return label;
+    },
+  
+    createMember(boardId, name) {
+      const change = this.intercept('member:create', { boardId, name });
+      if (!change) return null;
+      ({ boardId, name } = change);
+      const board = this.getBoard(boardId);
+      if (!board) return null;
+      const member = { id: IdGenerator.next(), name };
+      this.execute({
+        label: `Add member "${name}"`,
+        activity: { boardId, type: 'board', message: `added member "${name}"` },
+        do: () => this.getBoard(boardId).members.push(member),
+        undo: () => {
+          const target = this.getBoard(boardId);
+          target.members = target.members.filter(m => m.id !== member.id);
+        }
+      });
+      return member;
+    },
+  
+    // Move a list to a new position within its board
+    moveList(boardId, listId, targetPosition) {
+      const change = this.intercept('list:move', { boardId, listId, position: targetPosition });
+      if (!change) return false;
+      ({ boardId, listId, position: targetPosition } = change);
+      const board = this.getBoard(boardId);
+      if (!board) return;
+      const sourceIndex = board.lists.findIndex(list => list.id === listId);
+      if (sourceIndex === -1) return;
+      const list = board.lists[sourceIndex];
+      const position = Math.max(0, Math.min(targetPosition, board.lists.length - 1));
+      if (position === sourceIndex) {
+        this.refresh();
+        return;
+      }
+      
+      const relocate = (index) => {
+        const target = this.getBoard(boardId);
+        target.lists = target.lists.filter(l => l.id !== listId);
+        target.lists.splice(index, 0, list);
+      };
+      this.execute({
+        label: `Move list "${list.name}"`,
+        event: { type: 'list:moved', boardId, listId, from: sourceIndex, to: position },
+        do: () => relocate(position),
+        undo: () => relocate(sourceIndex)
+      });
+    },
+  
     // Card CRUD operations
-    createCard(boardId, listId, title, description = '') {
+    // details: optional { labelIds, memberIds, dueDate, checklists }
+    createCard(boardId, listId, title, description = '', details = {}) {
+      const change = this.intercept('card:create', { boardId, listId, title, description, details });
+      if (!change) return false;
+      ({ boardId, listId, title, description, details } = change);
       const list = this.getList(boardId, listId);
       if (list) {
+        const now = Date.now();
         const newCard = {
-          id: Date.now().toString(),
+          id: IdGenerator.next(),
           title: title,
-          description: description
+          description: description,
+          createdAt: now,
+          completedAt: ListPolicies.completedAt({}, list, now),
+          transitions: [{ listId, at: now }],
+          ...CardDetails.pruneReferences(CardDetails.draftFrom(CardDetails.applyCardDefaults({ ...details })), this.getBoard(boardId))
         };
-        list.cards.push(newCard);
-        this.save();
-        this.renderBoard();
+        this.execute({
+          label: `Add card "${title}"`,
+          activity: { boardId, type: 'card', message: `added card "${title}" to "${list.name}"`, cardId: newCard.id, listId },
+          trigger: { type: 'card-created', boardId, listId, cardId: newCard.id },
+          event: { type: 'card:created', boardId, listId, cardId: newCard.id },
+          do: () => this.getList(boardId, listId).cards.push(newCard),
+          undo: () => {
+            const target = this.getList(boardId, listId);
+            target.cards = target.cards.filter(card => card.id !== newCard.id);
+          }
+        });
       }
     },
   
@@ -125,45 +680,577 @@ const BoardManager = {
       return null;
     },
   
-    updateCard(boardId, listId, cardId, title, description) {
+    updateCard(boardId, listId, cardId, title, description, details = {}) {
+      const change = this.intercept('card:update', { boardId, listId, cardId, title, description, details });
+      if (!change) return false;
+      ({ boardId, listId, cardId, title, description, details } = change);
       const card = this.getCard(boardId, listId, cardId);
       if (card) {
-        card.title = title;
-        card.description = description;
-        this.save();
-        this.renderBoard();
+        const changes = { title, description, ...CardDetails.pruneReferences(CardDetails.draftFrom({ ...card, ...details }), this.getBoard(boardId)) };
+        const previous = {};
+        Object.keys(changes).forEach(key => {
+          previous[key] = card[key];
+        });
+        const changed = Object.keys(changes).filter(key => JSON.stringify(changes[key]) !== JSON.stringify(previous[key]));
+        if (changed.length === 0) return;
+        const fieldNames = { title: 'title', description: 'description', labelIds: 'labels', memberIds: 'members', dueDate: 'due date', checklists: 'checklists', attachments: 'attachments', coverId: 'cover', pluginData: 'plugin fields' };
+        const isComplete = ({ done, total }) => total > 0 && done === total;
+        const completesChecklists = isComplete(CardDetails.checklistProgress(changes)) && !isComplete(CardDetails.checklistProgress(card));
+        this.execute({
+          label: `Edit card "${previous.title}"`,
+          activity: {
+            boardId,
+            type: 'card',
+            message: `edited card "${title}" (${changed.map(key => fieldNames[key] || key).join(', ')})`,
+            cardId,
+            listId
+          },
+          trigger: completesChecklists ? { type: 'checklist-completed', boardId, listId, cardId } : null,
+          event: { type: 'card:updated', boardId, listId, cardId, changes: changed },
+          do: () => Object.assign(this.getCard(boardId, listId, cardId), changes),
+          undo: () => Object.assign(this.getCard(boardId, listId, cardId), previous)
+        });
       }
     },
   
     deleteCard(boardId, listId, cardId) {
+      const change = this.intercept('card:delete', { boardId, listId, cardId });
+      if (!change) return false;
+      ({ boardId, listId, cardId } = change);
       const list = this.getList(boardId, listId);
       if (list) {
-        list.cards = list.cards.filter(card => card.id !== cardId);
-        this.save();
-        this.renderBoard();
+        const index = list.cards.findIndex(card => card.id === cardId);
+        if (index === -1) return;
+        const card = list.cards[index];
+        const trashed = BoardTrash.entry('card', card, index, { boardId, listId, boardName: this.getBoard(boardId).name, listName: list.name });
+        this.execute({
+          label: `Move card "${card.title}" to the trash`,
+          destructive: true,
+          activity: { boardId, type: 'card', message: `deleted card "${card.title}" from "${list.name}"`, cardId, listId },
+          event: { type: 'card:deleted', boardId, listId, cardId, card },
+          do: () => {
+            const target = this.getList(boardId, listId);
+            target.cards = target.cards.filter(c => c.id !== cardId);
+            BoardTrash.add(trashed);
+          },
+          undo: () => {
+            this.getList(boardId, listId).cards.splice(index, 0, card);
+            BoardTrash.remove(trashed.id);
+          }
+        });
+      }
+    },
+  
+    // Archiving takes a list or card off the board but keeps it, with its
+    // position, in board.archive
+    archiveList(boardId, listId) {
+      const board = this.getBoard(boardId);
+      if (!board) return;
+      const index = board.lists.findIndex(list => list.id === listId);
+      if (index === -1) return;
+      const list = board.lists[index];
+      this.execute({
+        label: `Archive list "${list.name}"`,
+        destructive: true,
+        activity: { boardId, type: 'list', message: `archived list "${list.name}"`, listId },
+        do: () => {
+          const target = this.getBoard(boardId);
+          target.lists = target.lists.filter(l => l.id !== listId);
+          BoardArchive.addList(target, list, index);
+        },
+        undo: () => {
+          const target = this.getBoard(boardId);
+          BoardArchive.takeList(target, listId);
+          target.lists.splice(index, 0, list);
+        }
+      });
+    },
+  
+    archiveCard(boardId, listId, cardId) {
+      const list = this.getList(boardId, listId);
+      if (!list) return;
+      const index = list.cards.findIndex(card => card.id === cardId);
+      if (index === -1) return;
+      const card = list.cards[index];
+      this.execute({
+        label: `Archive card "${card.title}"`,
+        destructive: true,
+        activity: { boardId, type: 'card', message: `archived card "${card.title}" from "${list.name}"`, cardId, listId },
+        do: () => {
+          const target = this.getList(boardId, listId);
+          target.cards = target.cards.filter(c => c.id !== cardId);
+          BoardArchive.addCard(this.getBoard(boardId), card, listId, index);
+        },
+        undo: () => {
+          BoardArchive.takeCard(this.getBoard(boardId), cardId);
+          this.getList(boardId, listId).cards.splice(index, 0, card);
+        }
+      });
+    },
+  
+    // Put an archived list back where it was, or as close as the board allows
+    restoreArchivedList(boardId, listId) {
+      const board = this.getBoard(boardId);
+      const record = board && board.archive.lists.find(r => r.list.id === listId);
+      if (!record) return;
+      const { list } = record;
+      this.execute({
+        label: `Restore list "${list.name}"`,
+        activity: { boardId, type: 'list', message: `restored list "${list.name}" from the archive`, listId },
+        do: () => {
+          const target = this.getBoard(boardId);
+          BoardArchive.takeList(target, listId);
+          RestSync.touch(list);
+          target.lists.splice(Math.min(record.index, target.lists.length), 0, list);
+        },
+        undo: () => {
+          const target = this.getBoard(boardId);
+          target.lists = target.lists.filter(l => l.id !== listId);
+          BoardArchive.restoreRecord(target, 'lists', record);
+        }
+      });
+    },
+  
+    restoreArchivedCard(boardId, cardId) {
+      const board = this.getBoard(boardId);
+      const record = board && board.archive.cards.find(r => r.card.id === cardId);
+      if (!record) return;
+      const { card, listId } = record;
+      const blocker = this.restoreBlocker(boardId, listId, { listName: this.findListName(board, listId) });
+      if (blocker) {
+        this.showToast(blocker);
+        return;
       }
+      this.execute({
+        label: `Restore card "${card.title}"`,
+        activity: { boardId, type: 'card', message: `restored card "${card.title}" from the archive to "${this.getList(boardId, listId).name}"`, cardId, listId },
+        do: () => {
+          BoardArchive.takeCard(this.getBoard(boardId), cardId);
+          RestSync.touch(card);
+          const target = this.getList(boardId, listId);
+          target.cards.splice(Math.min(record.index, target.cards.length), 0, card);
+        },
+        undo: () => {
+          const target = this.getList(boardId, listId);
+          target.cards = target.cards.filter(c => c.id !== cardId);
+          BoardArchive.restoreRecord(this.getBoard(boardId), 'cards', record);
+        }
+      });
+    },
+  
+    // Move an archived list or card (cardId null for a list) to the trash
+    deleteArchived(boardId, listId, cardId) {
+      const board = this.getBoard(boardId);
+      if (!board) return;
+      const key = cardId ? 'cards' : 'lists';
+      const record = cardId
+        ? board.archive.cards.find(r => r.card.id === cardId)
+        : board.archive.lists.find(r => r.list.id === listId);
+      if (!record) return;
+      const item = cardId ? record.card : record.list;
+      const trashed = cardId
+        ? BoardTrash.entry('card', item, record.index, { boardId, listId: record.listId, boardName: board.name, listName: this.findListName(board, record.listId) })
+        : BoardTrash.entry('list', item, record.index, { boardId, boardName: board.name });
+      const activity = cardId
+        ? { boardId, type: 'card', message: `deleted archived card "${item.title}"`, cardId, listId: record.listId }
+        : { boardId, type: 'list', message: `deleted archived list "${item.name}"`, listId };
+      this.execute({
+        label: `Move ${cardId ? 'card' : 'list'} "${cardId ? item.title : item.name}" to the trash`,
+        destructive: true,
+        activity,
+        do: () => {
+          const target = this.getBoard(boardId);
+          target.archive[key] = target.archive[key].filter(r => r !== record);
+          BoardTrash.add(trashed);
+        },
+        undo: () => {
+          BoardArchive.restoreRecord(this.getBoard(boardId), key, record);
+          BoardTrash.remove(trashed.id);
+        }
+      });
+    },
+  
+    // Put a trashed board, list or card back at its old position
+    restoreFromTrash(entryId) {
+      const entry = BoardTrash.get(entryId);
+      if (!entry) return;
+      const { type, item, boardId, listId } = entry;
+      // Plugins may veto a restore like any other creation, but not change it
+      const [hook, change] = {
+        board: ['board:create', { name: item.name, template: null }],
+        list: ['list:create', { boardId, name: item.name }],
+        card: ['card:create', { boardId, listId, title: item.title, description: item.description, details: {} }]
+      }[type];
+      if (!this.intercept(hook, { ...change, restoredFrom: entry.id })) return false;
+      
+      if (type === 'board') {
+        this.execute({
+          label: `Restore board "${item.name}"`,
+          do: () => {
+            RestSync.touch(item);
+            this.boards.splice(Math.min(entry.index, this.boards.length), 0, item);
+            BoardTrash.remove(entry.id);
+          },
+          undo: () => {
+            this.boards = this.boards.filter(b => b.id !== item.id);
+            BoardTrash.add(entry);
+          }
+        });
+        return;
+      }
+      
+      const blocker = this.restoreBlocker(boardId, type === 'card' ? listId : null, entry);
+      if (blocker) {
+        this.showToast(blocker);
+        return;
+      }
+      const siblings = () => (type === 'card' ? this.getList(boardId, listId).cards : this.getBoard(boardId).lists);
+      const activity = type === 'card'
+        ? { boardId, type, message: `restored card "${item.title}" from the trash to "${this.getList(boardId, listId).name}"`, cardId: item.id, listId }
+        : { boardId, type, message: `restored list "${item.name}" from the trash`, listId: item.id };
+      this.execute({
+        label: `Restore ${type} "${type === 'card' ? item.title : item.name}"`,
+        activity,
+        do: () => {
+          RestSync.touch(item);
+          const items = siblings();
+          items.splice(Math.min(entry.index, items.length), 0, item);
+          BoardTrash.remove(entry.id);
+        },
+        undo: () => {
+          const items = siblings();
+          items.splice(items.findIndex(i => i.id === item.id), 1);
+          BoardTrash.add(entry);
+        }
+      });
+    },
+  
+    // Why an item can't go back into the given board (and list), or null
+    // if it can. names: { boardName, listName } for the message.
+    restoreBlocker(boardId, listId, names) {
+      const board = this.getBoard(boardId);
+      const inTrash = (type, id) => BoardTrash.entries.some(e => e.type === type && e.item.id === id);
+      if (!board) {
+        return inTrash('board', boardId)
+          ? `Restore the board "${names.boardName}" from the trash first.`
+          : `The board "${names.boardName}" no longer exists.`;
+      }
+      if (listId && !board.lists.some(list => list.id === listId)) {
+        if (board.archive.lists.some(r => r.list.id === listId)) {
+          return `Restore the list "${names.listName}" from the archive first.`;
+        }
+        return inTrash('list', listId)
+          ? `Restore the list "${names.listName}" from the trash first.`
+          : `The list "${names.listName}" no longer exists.`;
+      }
+      return null;
+    },
+  
+    // Name of a list on the board or in its archive
+    findListName(board, listId) {
+      const list = board.lists.find(l => l.id === listId)
+        || (board.archive.lists.find(r => r.list.id === listId) || {}).list;
+      return list ? list.name : 'Unknown list';
+    },
+  
+    copyCard(boardId, listId, cardId) {
+      const list = this.getList(boardId, listId);
+      if (!list) return;
+      const index = list.cards.findIndex(card => card.id === cardId);
+      if (index === -1) return;
+      const original = list.cards[index];
+      const change = this.intercept('card:create', {
+        boardId,
+        listId,
+        title: `${original.title} (copy)`,
+        description: original.description,
+        details: {},
+        copyOf: cardId
+      });
+      if (!change) return false;
+      const copy = BoardTemplates.copyCard(original, { title: change.title });
+      copy.description = change.description;
+      copy.transitions = [{ listId, at: copy.createdAt }];
+      this.execute({
+        label: `Copy card "${original.title}"`,
+        activity: { boardId, type: 'card', message: `copied card "${original.title}" in "${list.name}"`, cardId: copy.id, listId },
+        event: { type: 'card:created', boardId, listId, cardId: copy.id },
+        do: () => this.getList(boardId, listId).cards.splice(index + 1, 0, copy),
+        undo: () => {
+          const target = this.getList(boardId, listId);
+          target.cards = target.cards.filter(card => card.id !== copy.id);
+        }
+      });
     },
   
     moveCard(sourceBoardId, sourceListId, cardId, targetBoardId, targetListId, targetPosition) {
+      const change = this.intercept('card:move', {
+        boardId: sourceBoardId,
+        listId: sourceListId,
+        cardId,
+        targetBoardId,
+        targetListId,
+        position: targetPosition
+      });
+      if (!change) return false;
+      ({ boardId: sourceBoardId, listId: sourceListId, cardId, targetBoardId, targetListId, position: targetPosition } = change);
+      
       // Get source list and card
       const sourceList = this.getList(sourceBoardId, sourceListId);
-      const cardIndex = sourceList.cards.findIndex(card => card.id === cardId);
-      if (cardIndex === -1) return;
+      const targetList = this.getList(targetBoardId, targetListId);
+      if (!sourceList || !targetList) return;
+      const sourceIndex = sourceList.cards.findIndex(card => card.id === cardId);
+      if (sourceIndex === -1) return;
       
-      // Get the card and remove it from the source list
-      const card = sourceList.cards.splice(cardIndex, 1)[0];
+      const card = sourceList.cards[sourceIndex];
+      const sameList = sourceList === targetList;
       
-      // Add the card to the target list at the specified position
-      const targetList = this.getList(targetBoardId, targetListId);
-      if (targetList) {
-        if (targetPosition >= 0 && targetPosition <= targetList.cards.length) {
-          targetList.cards.splice(targetPosition, 0, card);
-        } else {
-          targetList.cards.push(card);
-        }
-        this.save();
+      // A list at its limit with drops blocked takes no cards from elsewhere
+      if (!sameList && !ListPolicies.acceptsCard(targetList)) {
+        const message = ListPolicies.blockedMessage(targetList);
+        this.showToast(message);
+        this.announce(message);
+        this.refresh();
+        return false;
+      }
+      
+      // Clamp the target position to the list length after removal
+      const maxPosition = targetList.cards.length - (sameList ? 1 : 0);
+      const position = targetPosition >= 0 && targetPosition <= maxPosition ? targetPosition : maxPosition;
+      if (sameList && position === sourceIndex) {
+        // Nothing changed, but the DOM may have been reordered during the drag
         this.renderBoard();
+        return;
       }
+      
+      const relocate = (fromBoardId, fromListId, toBoardId, toListId, index) => {
+        const from = this.getList(fromBoardId, fromListId);
+        from.cards = from.cards.filter(c => c.id !== cardId);
+        this.getList(toBoardId, toListId).cards.splice(index, 0, card);
+      };
+      
+      // Labels and members are defined per board, so moving to another board
+      // maps them onto the target board's definitions, adding any it lacks
+      const previousRefs = { labelIds: card.labelIds, memberIds: card.memberIds };
+      let addedLabels = [];
+      let addedMembers = [];
+      const remapToTargetBoard = () => {
+        if (sourceBoardId === targetBoardId) return;
+        const source = this.getBoard(sourceBoardId);
+        const target = this.getBoard(targetBoardId);
+        addedLabels = [];
+        addedMembers = [];
+        // Ids the source board no longer resolves are dropped
+        card.labelIds = previousRefs.labelIds.flatMap(id => {
+          const label = source.labels.find(l => l.id === id);
+          if (!label) return [];
+          let match = target.labels.find(l => l.name === label.name && l.color === label.color);
+          if (!match) {
+            match = { ...label, id: IdGenerator.next() };
+            target.labels.push(match);
+            addedLabels.push(match.id);
+          }
+          return match.id;
+        });
+        card.memberIds = previousRefs.memberIds.flatMap(id => {
+          const member = source.members.find(m => m.id === id);
+          if (!member) return [];
+          let match = target.members.find(m => m.name === member.name);
+          if (!match) {
+            match = { ...member, id: IdGenerator.next() };
+            target.members.push(match);
+            addedMembers.push(match.id);
+          }
+          return match.id;
+        });
+      };
+      const restoreSourceRefs = () => {
+        if (sourceBoardId === targetBoardId) return;
+        const target = this.getBoard(targetBoardId);
+        target.labels = target.labels.filter(l => !addedLabels.includes(l.id));
+        target.members = target.members.filter(m => !addedMembers.includes(m.id));
+        Object.assign(card, previousRefs);
+      };
+      
+      // Reordering within a list isn't worth an activity entry
+      const activity = [];
+      if (sourceBoardId === targetBoardId && !sameList) {
+        activity.push({ boardId: sourceBoardId, type: 'card', message: `moved card "${card.title}" from "${sourceList.name}" to "${targetList.name}"`, cardId, listId: targetListId });
+      } else if (sourceBoardId !== targetBoardId) {
+        const sourceBoard = this.getBoard(sourceBoardId);
+        const targetBoard = this.getBoard(targetBoardId);
+        activity.push(
+          { boardId: sourceBoardId, type: 'card', message: `moved card "${card.title}" to board "${targetBoard.name}"`, cardId, listId: sourceListId },
+          { boardId: targetBoardId, type: 'card', message: `moved card "${card.title}" from board "${sourceBoard.name}" to "${targetList.name}"`, cardId, listId: targetListId }
+        );
+      }
+      
+      // Changing lists is recorded in the card's list history for metrics
+      const previousCompletedAt = card.completedAt;
+      const previousTransitions = card.transitions;
+      this.execute({
+        label: `Move card "${card.title}"`,
+        activity,
+        trigger: sameList ? null : { type: 'card-moved', boardId: targetBoardId, listId: targetListId, cardId },
+        event: { type: 'card:moved', boardId: targetBoardId, listId: targetListId, cardId, fromBoardId: sourceBoardId, fromListId: sourceListId, position },
+        do: () => {
+          relocate(sourceBoardId, sourceListId, targetBoardId, targetListId, position);
+          remapToTargetBoard();
+          card.completedAt = ListPolicies.completedAt(card, this.getList(targetBoardId, targetListId));
+          if (!sameList) {
+            card.transitions = [...BoardAnalytics.transitions(card, sourceListId), { listId: targetListId, at: Date.now() }];
+          }
+        },
+        undo: () => {
+          relocate(targetBoardId, targetListId, sourceBoardId, sourceListId, sourceIndex);
+          restoreSourceRefs();
+          card.completedAt = previousCompletedAt;
+          card.transitions = previousTransitions;
+        }
+      });
+    },
+  
+    // Find a card on a board without knowing its list
+    locateCard(boardId, cardId) {
+      const board = this.getBoard(boardId);
+      if (board) {
+        for (const list of board.lists) {
+          const card = list.cards.find(c => c.id === cardId);
+          if (card) return { list, card };
+        }
+      }
+      return null;
+    },
+  
+    // Card comments live in the board's activity log
+    addComment(boardId, cardId, text) {
+      const found = this.locateCard(boardId, cardId);
+      if (!found) return;
+      this.execute({
+        label: `Comment on card "${found.card.title}"`,
+        activity: { boardId, type: 'comment', message: `commented on card "${found.card.title}"`, text, cardId, listId: found.list.id },
+        do: () => {},
+        undo: () => {}
+      });
+    },
+  
+    deleteComment(boardId, entryId) {
+      const board = this.getBoard(boardId);
+      if (!board) return;
+      const index = board.activity.findIndex(entry => entry.id === entryId);
+      if (index === -1) return;
+      const entry = board.activity[index];
+      this.execute({
+        label: 'Delete comment',
+        destructive: true,
+        do: () => ActivityLog.remove(this.getBoard(boardId), entryId),
+        undo: () => this.getBoard(boardId).activity.splice(index, 0, entry)
+      });
+    },
+  
+    // Add or replace a board rule or recurring card (collection is 'rules'
+    // or 'recurring')
+    saveAutomationItem(boardId, collection, item) {
+      const board = this.getBoard(boardId);
+      if (!board) return;
+      BoardAutomation.applyDefaults(board);
+      const index = board[collection].findIndex(existing => existing.id === item.id);
+      const previous = index === -1 ? null : board[collection][index];
+      const noun = collection === 'rules' ? 'rule' : 'recurring card';
+      const name = item.name || item.title;
+      const toggled = previous && JSON.stringify({ ...previous, enabled: item.enabled, nextAt: item.nextAt }) === JSON.stringify(item);
+      const verb = toggled ? (item.enabled ? 'turned on' : 'turned off') : (previous ? 'edited' : 'added');
+      this.execute({
+        label: `${verb[0].toUpperCase()}${verb.slice(1)} ${noun} "${name}"`,
+        activity: { boardId, type: 'board', message: `${verb} ${noun} "${name}"` },
+        do: () => {
+          const items = BoardAutomation.applyDefaults(this.getBoard(boardId))[collection];
+          const at = items.findIndex(existing => existing.id === item.id);
+          items.splice(at === -1 ? items.length : at, at === -1 ? 0 : 1, item);
+        },
+        undo: () => {
+          const target = this.getBoard(boardId);
+          target[collection] = previous
+            ? target[collection].map(existing => (existing.id === item.id ? previous : existing))
+            : target[collection].filter(existing => existing.id !== item.id);
+        }
+      });
+    },
+  
+    deleteAutomationItem(boardId, collection, itemId) {
+      const board = this.getBoard(boardId);
+      if (!board) return;
+      BoardAutomation.applyDefaults(board);
+      const index = board[collection].findIndex(item => item.id === itemId);
+      if (index === -1) return;
+      const item = board[collection][index];
+      const noun = collection === 'rules' ? 'rule' : 'recurring card';
+      const name = item.name || item.title;
+      this.execute({
+        label: `Delete ${noun} "${name}"`,
+        destructive: true,
+        activity: { boardId, type: 'board', message: `deleted ${noun} "${name}"` },
+        do: () => {
+          const target = this.getBoard(boardId);
+          target[collection] = target[collection].filter(existing => existing.id !== itemId);
+        },
+        undo: () => this.getBoard(boardId)[collection].splice(index, 0, item)
+      });
+    },
+  
+    // Routing: the URL mirrors the current view so reloads, back/forward and
+    // pasted links all land in the same place
+    setupRoutes() {
+      Router
+        .add('/', () => {
+          this.hideCardModal();
+          this.renderDashboard();
+        })
+        .add('/board/:boardId', ({ boardId }) => {
+          this.hideCardModal();
+          if (this.getBoard(boardId)) {
+            this.openBoard(boardId);
+          } else {
+            Router.redirect('/');
+          }
+        })
+        .add('/board/:boardId/card/:cardId', ({ boardId, cardId }) => {
+          const found = this.locateCard(boardId, cardId);
+          if (!found) {
+            Router.redirect(this.getBoard(boardId) ? Router.path('board', boardId) : '/');
+            return;
+          }
+          this.openBoard(boardId);
+          if (this.openCardId !== cardId) {
+            this.showEditCardModal(found.list.id, cardId);
+          }
+        })
+        .add('/board/:boardId/metrics', ({ boardId }) => {
+          this.hideCardModal();
+          if (this.getBoard(boardId)) {
+            this.openMetrics(boardId);
+          } else {
+            Router.redirect('/');
+          }
+        })
+        .add('/archive', () => {
+          this.hideCardModal();
+          this.openArchive('archive');
+        })
+        .add('/trash', () => {
+          this.hideCardModal();
+          this.openArchive('trash');
+        })
+        .otherwise(() => Router.redirect('/'));
+    },
+  
+    // Path for the current view
+    currentPath() {
+      if (this.currentView === 'archive' || this.currentView === 'trash') return Router.path(this.currentView);
+      if (this.currentView === 'metrics') return Router.path('board', this.activeBoardId, 'metrics');
+      if (this.currentView !== 'board') return '/';
+      if (this.openCardId) return Router.path('board', this.activeBoardId, 'card', this.openCardId);
+      return Router.path('board', this.activeBoardId);
     },
   
     // UI rendering functions
@@ -171,65 +1258,372 @@ const BoardManager = {
       this.renderDashboard();
     },
   
+    // Show one view container and hide the others. The archive and the trash
+    // share a container.
+    showView(view) {
+      const containers = { dashboard: 'dashboard', board: 'board-view', metrics: 'metrics-view', archive: 'archive-view', trash: 'archive-view' };
+      ['dashboard', 'board-view', 'metrics-view', 'archive-view'].forEach(id => {
+        document.getElementById(id).style.display = id === containers[view] ? 'block' : 'none';
+      });
+      this.currentView = view;
+    },
+  
     renderDashboard() {
-      const dashboardEl = document.getElementById('dashboard');
-      const boardViewEl = document.getElementById('board-view');
-      dashboardEl.style.display = 'block';
-      boardViewEl.style.display = 'none';
+      this.showView('dashboard');
+      Router.sync(this.currentPath());
+      
+      this.renderRecoveryNotice();
       
       const boardsContainer = document.querySelector('.boards-container');
-      boardsContainer.innerHTML = '';
   
       if (this.boards.length === 0) {
         boardsContainer.innerHTML = '<p>No boards yet. Create your first board to get started!</p>';
+        return;
+      }
+      
+      // Reuse board cards whose name and list count haven't changed
+      const existing = DomRenderer.collect(boardsContainer, '.board-card', 'data-board-id');
+      const boardCards = this.boards.map(board => DomRenderer.reuseOrCreate(
+        existing.get(board.id),
+        JSON.stringify([board.name, board.lists.length]),
+        () => this.createBoardCardElement(board)
+      ));
+      DomRenderer.reconcile(boardsContainer, boardCards);
+    },
+  
+    createBoardCardElement(board) {
+      const boardCard = document.createElement('div');
+      boardCard.className = 'board-card';
+      boardCard.setAttribute('draggable', 'true');
+      boardCard.setAttribute('data-board-id', board.id);
+      boardCard.setAttribute('data-action', 'open-board');
+      
+      boardCard.innerHTML = DomRenderer.html`
+        <h3>${board.name}</h3>
+        <p>${board.lists.length} lists</p>
+        <div class="board-card-actions">
+          <button class="edit-board" data-action="edit-board">
+            <i class="fas fa-edit"></i>
+          </button>
+          <button class="copy-board" data-action="copy-board" title="Copy board">
+            <i class="fas fa-copy"></i>
+          </button>
+          <button class="delete-board" data-action="delete-board">
+            <i class="fas fa-trash delete-icon"></i>
+          </button>
+        </div>
+      `;
+      
+      this.bindBoardDragAndDrop(boardCard);
+      return boardCard;
+    },
+  
+    // Reorder boards on the dashboard by dragging them
+    bindBoardDragAndDrop(boardCard) {
+      const boardsContainer = document.querySelector('.boards-container');
+      
+      boardCard.addEventListener('dragstart', () => {
+        this.draggedBoard = boardCard;
+        setTimeout(() => {
+          boardCard.classList.add('dragging');
+        }, 0);
+      });
+      
+      boardCard.addEventListener('dragend', () => {
+        boardCard.classList.remove('dragging');
+        // Dropped outside the grid: put the DOM back in data order
+        if (this.draggedBoard === boardCard) {
+          this.draggedBoard = null;
+          this.renderDashboard();
+        }
+      });
+      
+      boardCard.addEventListener('dragover', (e) => {
+        const draggedBoard = this.draggedBoard;
+        if (!draggedBoard) return;
+        e.preventDefault();
+        const afterElement = this.getGridDragAfterElement(boardsContainer, e.clientX, e.clientY);
+        if (afterElement == null) {
+          boardsContainer.appendChild(draggedBoard);
+        } else if (afterElement !== draggedBoard) {
+          boardsContainer.insertBefore(draggedBoard, afterElement);
+        }
+      });
+      
+      boardCard.addEventListener('drop', (e) => {
+        const draggedBoard = this.draggedBoard;
+        if (!draggedBoard) return;
+        e.preventDefault();
+        this.draggedBoard = null;
+        const position = [...boardsContainer.querySelectorAll('.board-card')].indexOf(draggedBoard);
+        this.moveBoard(draggedBoard.getAttribute('data-board-id'), position);
+      });
+    },
+  
+    // Export/import
+    exportAllBoards() {
+      BoardTransfer.download(this.boards, 'task-board-pilot-boards.json');
+    },
+  
+    exportBoard(boardId) {
+      const board = this.getBoard(boardId);
+      if (board) {
+        BoardTransfer.download([board], BoardTransfer.filenameFor(board.name));
+      }
+    },
+  
+    async importFromFile() {
+      const text = await BoardTransfer.pickFile();
+      if (text === null) return;
+      try {
+        const boards = BoardTransfer.parse(text, BoardTransfer.collectIds(this.boards, BoardTrash.entries));
+        if (boards.length === 0) {
+          this.showToast('The file contains no boards.');
+          return;
+        }
+        this.importBoards(boards);
+        this.showToast(boards.length === 1 ? `Imported "${boards[0].name}".` : `Imported ${boards.length} boards.`, 'Undo', () => this.undo());
+      } catch (err) {
+        this.showToast(`Import failed: ${err.message}.`);
+      }
+    },
+  
+    // Tell the user their saved data was quarantined and offer the backup
+    renderRecoveryNotice() {
+      const existing = document.getElementById('recovery-notice');
+      if (existing) existing.remove();
+      if (!this.recovery) return;
+      
+      const notice = document.createElement('div');
+      notice.id = 'recovery-notice';
+      notice.className = 'notice notice-danger';
+      notice.setAttribute('role', 'alert');
+      notice.innerHTML = `
+        <p><strong>Your saved boards could not be loaded.</strong></p>
+        <p class="notice-detail"></p>
+        <div class="notice-actions">
+          <button class="btn btn-small btn-secondary" data-action="download-backup">
+            <i class="fas fa-download"></i> Download backup
+          </button>
+          <button class="btn btn-small" data-action="dismiss-recovery">Dismiss</button>
+        </div>
+      `;
+      notice.querySelector('.notice-detail').textContent = this.recovery.backupKey
+        ? `${this.recovery.reason}. A copy was kept under "${this.recovery.backupKey}" and you are starting with an empty dashboard.`
+        : `${this.recovery.reason}. The data could not be backed up, so changes won't be saved until you download it and dismiss this notice.`;
+      
+      notice.querySelector('[data-action="download-backup"]').addEventListener('click', () => {
+        this.downloadRecoveryBackup();
+      });
+      notice.querySelector('[data-action="dismiss-recovery"]').addEventListener('click', () => {
+        this.recovery = null;
+        BoardStorage.unlock();
+        notice.remove();
+      });
+      
+      const dashboardEl = document.getElementById('dashboard');
+      dashboardEl.insertBefore(notice, dashboardEl.querySelector('.boards-container'));
+    },
+  
+    // Startup failed part way, e.g. a storage backend threw: say so with the
+    // recovery notice and keep the half-loaded state from being saved
+    showStartupError(err) {
+      console.error('Task Board Pilot could not start:', err);
+      BoardStorage.locked = true;
+      this.recovery = { backupKey: null, reason: `The app could not start: ${err.message}`, raw: null };
+      this.showView('dashboard');
+      this.renderRecoveryNotice();
+    },
+  
+    async downloadRecoveryBackup() {
+      const { backupKey, raw } = this.recovery;
+      const contents = backupKey ? await BoardStorage.readBackup(backupKey) : raw;
+      BoardTransfer.downloadText(contents || '', `${backupKey || 'taskBoardPilot-backup'}.json`);
+    },
+  
+    // Board metrics view
+    openMetrics(boardId) {
+      if (this.getBoard(boardId)) {
+        this.activeBoardId = boardId;
+        this.renderMetrics();
+      }
+    },
+  
+    renderMetrics() {
+      const board = this.getBoard(this.activeBoardId);
+      if (!board) {
+        this.renderDashboard();
+        return;
+      }
+      this.showView('metrics');
+      Router.sync(this.currentPath());
+      document.getElementById('metrics-title').textContent = `${board.name} metrics`;
+      BoardAnalytics.render(document.getElementById('metrics-content'), board, dataset => this.exportMetrics(board.id, dataset));
+    },
+  
+    // Download one metrics dataset ('cfd', 'throughput' or 'cards') as CSV
+    exportMetrics(boardId, dataset) {
+      const board = this.getBoard(boardId);
+      if (board) {
+        BoardTransfer.downloadText(BoardAnalytics.csv(board, dataset), BoardTransfer.filenameFor(`${board.name} ${dataset}`, 'csv'), 'text/csv');
+      }
+    },
+  
+    // Archive and trash view ('archive' or 'trash')
+    openArchive(view) {
+      this.showView(view);
+      Router.sync(this.currentPath());
+      this.renderArchive();
+    },
+  
+    setupArchiveView() {
+      const retention = document.getElementById('trash-retention');
+      retention.addEventListener('change', () => BoardTrash.setRetention(Number(retention.value)));
+      BoardTrash.onChange(() => {
+        if (this.currentView === 'trash') this.renderArchive();
+      });
+    },
+  
+    renderArchive() {
+      const trash = this.currentView === 'trash';
+      document.getElementById('archive-title').textContent = trash ? 'Trash' : 'Archive';
+      document.getElementById('archive-tab').classList.toggle('active', !trash);
+      document.getElementById('trash-tab').classList.toggle('active', trash);
+      document.getElementById('trash-settings').hidden = !trash;
+      
+      const content = document.getElementById('archive-content');
+      if (trash) {
+        BoardTrash.purge();
+        Modal.fillSelect(
+          document.getElementById('trash-retention'),
+          BoardTrash.RETENTION_CHOICES.map(days => ({ value: String(days), label: days ? `${days} day${days === 1 ? '' : 's'}` : 'Never' })),
+          String(BoardTrash.retentionDays)
+        );
+        this.renderTrashEntries(content);
       } else {
-        this.boards.forEach(board => {
-          const boardCard = document.createElement('div');
-          boardCard.className = 'board-card';
-          boardCard.setAttribute('data-board-id', board.id);
-          
-          boardCard.innerHTML = `
-            <h3>${board.name}</h3>
-            <p>${board.lists.length} lists</p>
-            <div class="board-card-actions">
-              <button class="edit-board" data-board-id="${board.id}">
-                <i class="fas fa-edit"></i>
-              </button>
-              <button class="delete-board" data-board-id="${board.id}">
-                <i class="fas fa-trash delete-icon"></i>
-              </button>
-            </div>
-          `;
-          
-          // Open board on click
-          boardCard.addEventListener('click', (e) => {
-            if (!e.target.closest('.board-card-actions')) {
-              this.openBoard(board.id);
-            }
-          });
-          
-          boardsContainer.appendChild(boardCard);
-        });
+        this.renderArchivedItems(content);
+      }
+      
+      // Coming from an archived search result
+      if (this.archiveFocusId) {
+        const target = content.querySelector(`[data-card-id="${this.archiveFocusId}"]`);
+        this.archiveFocusId = null;
+        if (target) {
+          target.classList.add('highlighted');
+          target.focus();
+        }
+      }
+    },
+  
+    // Archived lists (with their cards) and cards, grouped by board
+    renderArchivedItems(content) {
+      content.innerHTML = '';
+      const boards = this.boards.filter(board => board.archive.lists.length + board.archive.cards.length > 0);
+      if (boards.length === 0) {
+        content.innerHTML = '<p class="archive-empty">Nothing is archived. Archived lists and cards are kept here, out of the way, until you restore them.</p>';
+        return;
+      }
+      
+      boards.forEach(board => {
+        const section = document.createElement('section');
+        section.className = 'archive-section';
+        section.setAttribute('data-board-id', board.id);
+        section.innerHTML = DomRenderer.html`<h3>${board.name}</h3><ul class="archive-list"></ul>`;
+        const list = section.querySelector('.archive-list');
         
-        // Set up event handlers for board actions
-        document.querySelectorAll('.edit-board').forEach(btn => {
-          btn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            const boardId = btn.getAttribute('data-board-id');
-            this.showEditBoardModal(boardId);
-          });
+        board.archive.lists.forEach(({ list: archived, archivedAt }) => {
+          const item = this.createArchiveEntry(
+            'fa-list',
+            archived.name,
+            `List with ${archived.cards.length} card${archived.cards.length === 1 ? '' : 's'} · archived ${ActivityLog.formatTime(archivedAt)}`,
+            'restore-archived',
+            'delete-archived'
+          );
+          item.setAttribute('data-list-id', archived.id);
+          if (archived.cards.length > 0) {
+            const cards = document.createElement('ul');
+            cards.className = 'archive-cards';
+            archived.cards.forEach(card => {
+              const cardItem = document.createElement('li');
+              cardItem.setAttribute('data-card-id', card.id);
+              cardItem.setAttribute('tabindex', '-1');
+              cardItem.textContent = card.title;
+              cards.appendChild(cardItem);
+            });
+            item.appendChild(cards);
+          }
+          list.appendChild(item);
         });
         
-        document.querySelectorAll('.delete-board').forEach(btn => {
-          btn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            const boardId = btn.getAttribute('data-board-id');
-            if (confirm('Are you sure you want to delete this board?')) {
-              this.deleteBoard(boardId);
-            }
-          });
+        board.archive.cards.forEach(({ card, listId, archivedAt }) => {
+          const item = this.createArchiveEntry(
+            'fa-sticky-note',
+            card.title,
+            `Card from "${this.findListName(board, listId)}" · archived ${ActivityLog.formatTime(archivedAt)}`,
+            'restore-archived',
+            'delete-archived'
+          );
+          item.setAttribute('data-card-id', card.id);
+          list.appendChild(item);
         });
+        content.appendChild(section);
+      });
+    },
+  
+    // Trash entries, most recently deleted first
+    renderTrashEntries(content) {
+      content.innerHTML = '';
+      if (BoardTrash.entries.length === 0) {
+        content.innerHTML = '<p class="archive-empty">The trash is empty.</p>';
+        return;
       }
+      
+      const list = document.createElement('ul');
+      list.className = 'archive-list';
+      const icons = { board: 'fa-columns', list: 'fa-list', card: 'fa-sticky-note' };
+      BoardTrash.entries.slice().sort((a, b) => b.deletedAt - a.deletedAt).forEach(entry => {
+        const { type, item: deleted } = entry;
+        const origin = {
+          board: `Board with ${(deleted.lists || []).length} list${(deleted.lists || []).length === 1 ? '' : 's'}`,
+          list: `List from "${entry.boardName}"`,
+          card: `Card from "${entry.listName}" on "${entry.boardName}"`
+        }[type];
+        const expiresAt = BoardTrash.expiresAt(entry);
+        const item = this.createArchiveEntry(
+          icons[type],
+          type === 'card' ? deleted.title : deleted.name,
+          `${origin} · deleted ${ActivityLog.formatTime(entry.deletedAt)}${expiresAt ? ` · removed for good on ${new Date(expiresAt).toLocaleDateString()}` : ''}`,
+          'restore-trash',
+          'delete-forever'
+        );
+        item.setAttribute('data-trash-id', entry.id);
+        list.appendChild(item);
+      });
+      content.appendChild(list);
+    },
+  
+    createArchiveEntry(icon, name, meta, restoreAction, deleteAction) {
+      const item = document.createElement('li');
+      item.className = 'archive-entry';
+      item.setAttribute('tabindex', '-1');
+      item.innerHTML = DomRenderer.html`
+        <div class="archive-entry-main">
+          <i class="fas ${icon}"></i>
+          <div>
+            <strong class="archive-entry-name">${name}</strong>
+            <p class="archive-entry-meta">${meta}</p>
+          </div>
+        </div>
+        <div class="archive-entry-actions">
+          <button class="btn btn-small btn-secondary" data-action="${restoreAction}">
+            <i class="fas fa-undo"></i> Restore
+          </button>
+          <button class="btn btn-small btn-danger" data-action="${deleteAction}">
+            <i class="fas fa-trash"></i> ${deleteAction === 'delete-forever' ? 'Delete forever' : 'Delete'}
+          </button>
+        </div>
+      `;
+      return item;
     },
   
     openBoard(boardId) {
@@ -241,10 +1635,7 @@ const BoardManager = {
     },
   
     renderBoard() {
-      const dashboardEl = document.getElementById('dashboard');
-      const boardViewEl = document.getElementById('board-view');
-      dashboardEl.style.display = 'none';
-      boardViewEl.style.display = 'block';
+      this.showView('board');
       
       const board = this.getBoard(this.activeBoardId);
       if (!board) {
@@ -252,61 +1643,372 @@ const BoardManager = {
         return;
       }
       
+      Router.sync(this.currentPath());
+      
       // Update board title
       document.getElementById('board-title').textContent = board.name;
+      this.renderPluginActions();
       
-      // Render lists
+      // Render lists, reusing the elements from the previous render so scroll
+      // positions, focus and unchanged cards survive
       const listsContainer = document.getElementById('lists-container');
-      listsContainer.innerHTML = '';
+      if (listsContainer.getAttribute('data-board-id') !== board.id) {
+        listsContainer.innerHTML = '';
+        listsContainer.setAttribute('data-board-id', board.id);
+        this.hideSyncNotice();
+      }
       
-      board.lists.forEach(list => {
-        const listEl = document.createElement('div');
-        listEl.className = 'list';
-        listEl.setAttribute('data-list-id', list.id);
-        
-        // List header
-        const listHeader = document.createElement('div');
-        listHeader.className = 'list-header';
-        listHeader.innerHTML = `
-          <h3 class="list-title">${list.name}</h3>
-          <div class="list-actions">
-            <button class="edit-list" data-list-id="${list.id}">
-              <i class="fas fa-edit"></i>
-            </button>
-            <button class="delete-list" data-list-id="${list.id}">
-              <i class="fas fa-trash delete-icon"></i>
-            </button>
-          </div>
-        `;
-        
-        // Cards container
-        const cardsContainer = document.createElement('div');
-        cardsContainer.className = 'cards-container';
-        cardsContainer.setAttribute('data-list-id', list.id);
+      // The table, calendar and swimlane views render from applyFilter
+      const view = BoardViews.get(board.id);
+      this.renderViewSwitcher(view);
+      if (view.mode !== 'columns') {
+        this.renderFilterBar(board);
+        this.applyFilter();
+        this.renderActivity(board);
+        return;
+      }
+      
+      const focused = document.activeElement;
+      const focusedCardId = focused && focused.matches('#lists-container .card') ? focused.getAttribute('data-card-id') : null;
+      const existingLists = DomRenderer.collect(listsContainer, '.list', 'data-list-id');
+      const existingCards = DomRenderer.collect(listsContainer, '.card', 'data-card-id');
+      
+      const listEls = board.lists.map(list => {
+        const listEl = existingLists.get(list.id) || this.createListElement(list);
+        this.updateListHeader(listEl, list);
         
-        list.cards.forEach(card => {
-          const cardEl = this.createCardElement(card, list.id);
-          cardsContainer.appendChild(cardEl);
+        const cardEls = list.cards.map(card => DomRenderer.reuseOrCreate(
+          existingCards.get(card.id),
+          this.cardSignature(card, list.id, board),
+          () => this.createCardElement(card, list.id)
+        ));
+        DomRenderer.reconcile(listEl.querySelector('.cards-container'), cardEls);
+        return listEl;
+      });
+      DomRenderer.reconcile(listsContainer, listEls);
+      
+      // A focused card that had to be rebuilt gets focus back
+      if (focusedCardId && !listsContainer.contains(document.activeElement)) {
+        const cardEl = listsContainer.querySelector(`.card[data-card-id="${focusedCardId}"]`);
+        if (cardEl) cardEl.focus();
+      }
+      
+      // Filter bar options and hidden cards
+      this.renderFilterBar(board);
+      this.applyFilter();
+      this.renderActivity(board);
+    },
+  
+    // Board header buttons added by plugins, rebuilt only when they change so
+    // a clicked button keeps focus
+    renderPluginActions() {
+      const container = document.getElementById('plugin-actions');
+      const key = BoardPlugins.boardActions.map(action => `${action.id} ${action.label} ${action.icon}`).join('\n');
+      if (container.getAttribute('data-key') === key) return;
+      container.setAttribute('data-key', key);
+      container.innerHTML = '';
+      BoardPlugins.boardActions.forEach(action => {
+        const button = document.createElement('button');
+        button.className = 'btn btn-small';
+        button.title = action.label;
+        button.setAttribute('aria-label', action.label);
+        button.innerHTML = DomRenderer.html`<i class="fas ${action.icon}"></i>`;
+        button.addEventListener('click', () => BoardPlugins.runBoardAction(action.id, this.getBoard(this.activeBoardId)));
+        container.appendChild(button);
+      });
+    },
+  
+    // Board activity sidebar
+    renderActivity(board) {
+      const sidebar = document.getElementById('activity-sidebar');
+      sidebar.hidden = !this.activityOpen;
+      document.getElementById('activity-btn').setAttribute('aria-expanded', String(this.activityOpen));
+      if (!this.activityOpen) return;
+      document.getElementById('activity-actor').textContent = ActivityLog.actor();
+      ActivityLog.renderSidebar(document.getElementById('activity-list'), board);
+    },
+  
+    showActorModal() {
+      Modal.form({
+        id: 'actor-modal',
+        title: 'Your Name',
+        fields: [{ name: 'name', label: 'Name shown in the activity log', value: ActivityLog.actorName || '' }],
+        onSubmit: ({ name }) => {
+          ActivityLog.setActor(name).catch(err => {
+            console.error('Failed to save the activity name:', err);
+          });
+          this.refresh();
+        }
+      });
+    },
+  
+    createListElement(list) {
+      const listEl = document.createElement('div');
+      listEl.className = 'list';
+      listEl.setAttribute('data-list-id', list.id);
+      
+      // List header
+      const listHeader = document.createElement('div');
+      listHeader.className = 'list-header';
+      listHeader.setAttribute('draggable', 'true');
+      listHeader.setAttribute('tabindex', '0');
+      listHeader.setAttribute('aria-describedby', 'movement-help');
+      listHeader.innerHTML = DomRenderer.html`
+        <h3 class="list-title"></h3>
+        <span class="list-count"></span>
+        <div class="list-actions">
+          <button class="edit-list" data-action="edit-list">
+            <i class="fas fa-edit"></i>
+          </button>
+          <button class="copy-list" data-action="copy-list" title="Copy list">
+            <i class="fas fa-copy"></i>
+          </button>
+          <button class="archive-list" data-action="archive-list" title="Archive list">
+            <i class="fas fa-archive"></i>
+          </button>
+          <button class="delete-list" data-action="delete-list">
+            <i class="fas fa-trash delete-icon"></i>
+          </button>
+        </div>
+      `;
+      
+      // Cards container
+      const cardsContainer = document.createElement('div');
+      cardsContainer.className = 'cards-container';
+      cardsContainer.setAttribute('data-list-id', list.id);
+      
+      // Add card button
+      const addCardBtn = document.createElement('button');
+      addCardBtn.className = 'add-card-btn';
+      addCardBtn.innerHTML = '<i class="fas fa-plus"></i> Add a card';
+      addCardBtn.setAttribute('data-action', 'add-card');
+      
+      listEl.appendChild(listHeader);
+      listEl.appendChild(cardsContainer);
+      listEl.appendChild(addCardBtn);
+      
+      this.bindListDragAndDrop(listEl);
+      this.bindCardDropTarget(cardsContainer);
+      return listEl;
+    },
+  
+    // Header text only changes when the list is renamed, its card count
+    // changes or its policies do
+    updateListHeader(listEl, list) {
+      const header = listEl.querySelector('.list-header');
+      const signature = JSON.stringify([list.name, list.cards.length, list.wipLimit, list.isDone]);
+      if (header._renderSignature === signature) return;
+      header._renderSignature = signature;
+      const overLimit = ListPolicies.isOverLimit(list);
+      listEl.classList.toggle('over-limit', overLimit);
+      listEl.classList.toggle('done-list', Boolean(list.isDone));
+      header.querySelector('.list-title').textContent = list.name;
+      const count = header.querySelector('.list-count');
+      count.textContent = ListPolicies.countLabel(list);
+      count.title = list.wipLimit ? `${list.cards.length} of at most ${list.wipLimit} cards` : `${list.cards.length} cards`;
+      header.setAttribute('aria-label', `List: ${list.name}, ${list.cards.length} cards${list.wipLimit ? `, limit ${list.wipLimit}${overLimit ? ', over the limit' : ''}` : ''}${list.isDone ? ', done list' : ''}`);
+    },
+  
+    // Everything a card element shows; the element is rebuilt when this changes
+    cardSignature(card, listId, board) {
+      return JSON.stringify([
+        card,
+        listId,
+        board.labels.filter(label => card.labelIds.includes(label.id)),
+        board.members.filter(member => card.memberIds.includes(member.id)),
+        CardDetails.dueStatus(card),
+        BoardPlugins.cardBadges(card, board, board.lists.find(list => list.id === listId))
+      ]);
+    },
+  
+    // Board filter bar
+    getFilter(boardId) {
+      if (!this.filters[boardId]) {
+        this.filters[boardId] = BoardSearch.emptyFilter();
+      }
+      return this.filters[boardId];
+    },
+  
+    renderFilterBar(board) {
+      const filter = this.getFilter(board.id);
+      const fillSelect = (select, emptyLabel, items, value) => {
+        select.innerHTML = '';
+        [{ id: '', name: emptyLabel }, ...items].forEach(item => {
+          const option = document.createElement('option');
+          option.value = item.id;
+          option.textContent = item.name;
+          select.appendChild(option);
         });
-        
-        // Add card button
-        const addCardBtn = document.createElement('button');
-        addCardBtn.className = 'add-card-btn';
-        addCardBtn.innerHTML = '<i class="fas fa-plus"></i> Add a card';
-        addCardBtn.setAttribute('data-list-id', list.id);
-        
-        listEl.appendChild(listHeader);
-        listEl.appendChild(cardsContainer);
-        listEl.appendChild(addCardBtn);
-        
-        listsContainer.appendChild(listEl);
+        // Forget selections whose label or member was removed
+        select.value = items.some(item => item.id === value) ? value : '';
+        return select.value;
+      };
+      
+      document.getElementById('filter-text').value = filter.text;
+      document.getElementById('filter-due').value = filter.due;
+      filter.labelId = fillSelect(document.getElementById('filter-label'), 'Any label', board.labels, filter.labelId);
+      filter.memberId = fillSelect(document.getElementById('filter-member'), 'Any member', board.members, filter.memberId);
+    },
+  
+    // Hide non-matching cards in place. They stay in the DOM so drop positions
+    // computed from the card elements still match the data positions.
+    applyFilter() {
+      const board = this.getBoard(this.activeBoardId);
+      if (!board) return;
+      const filter = this.getFilter(board.id);
+      const active = BoardSearch.isFilterActive(filter);
+      let total = 0;
+      let shown = 0;
+      
+      if (BoardViews.get(board.id).mode !== 'columns') {
+        ({ shown, total } = BoardViews.render(document.getElementById('board-alt-view'), board, filter));
+      } else {
+        board.lists.forEach(list => {
+          list.cards.forEach(card => {
+            const cardEl = document.querySelector(`#lists-container .card[data-card-id="${card.id}"]`);
+            if (!cardEl) return;
+            const visible = !active || BoardSearch.matchesFilter(card, filter);
+            cardEl.classList.toggle('filtered-out', !visible);
+            total += 1;
+            if (visible) shown += 1;
+          });
+        });
+      }
+      
+      document.getElementById('clear-filters').hidden = !active;
+      document.getElementById('filter-count').textContent = active ? `Showing ${shown} of ${total} cards` : '';
+    },
+  
+    setupFilterBar() {
+      const update = (key, value) => {
+        this.getFilter(this.activeBoardId)[key] = value;
+        this.applyFilter();
+      };
+      document.getElementById('filter-text').addEventListener('input', (e) => update('text', e.target.value));
+      document.getElementById('filter-label').addEventListener('change', (e) => update('labelId', e.target.value));
+      document.getElementById('filter-due').addEventListener('change', (e) => update('due', e.target.value));
+      document.getElementById('filter-member').addEventListener('change', (e) => update('memberId', e.target.value));
+      document.getElementById('clear-filters').addEventListener('click', () => {
+        this.filters[this.activeBoardId] = BoardSearch.emptyFilter();
+        this.renderFilterBar(this.getBoard(this.activeBoardId));
+        this.applyFilter();
+      });
+    },
+  
+    // Board view switcher: columns, table, calendar or swimlanes
+    setupViewSwitcher() {
+      const mode = document.getElementById('view-mode');
+      const laneBy = document.getElementById('view-lanes');
+      BoardViews.MODES.forEach(({ id, name }) => mode.appendChild(new Option(name, id)));
+      BoardViews.LANE_FIELDS.forEach(({ id, name }) => laneBy.appendChild(new Option(name, id)));
+      mode.addEventListener('change', () => {
+        BoardViews.set(this.activeBoardId, { mode: mode.value });
+        this.renderBoard();
+      });
+      laneBy.addEventListener('change', () => {
+        BoardViews.set(this.activeBoardId, { laneBy: laneBy.value });
+        this.renderBoard();
+      });
+    },
+  
+    renderViewSwitcher(view) {
+      const columns = view.mode === 'columns';
+      document.getElementById('view-mode').value = view.mode;
+      document.getElementById('view-lanes').value = view.laneBy;
+      document.getElementById('view-lanes').hidden = view.mode !== 'swimlanes';
+      document.getElementById('lists-container').style.display = columns ? '' : 'none';
+      document.querySelector('#board-view .add-list-container').style.display = columns ? '' : 'none';
+      document.getElementById('board-alt-view').style.display = columns ? 'none' : '';
+    },
+  
+    // Global search across all boards
+    setupGlobalSearch() {
+      const input = document.getElementById('global-search');
+      const results = document.getElementById('search-results');
+      
+      input.addEventListener('input', () => this.renderSearchResults(input.value));
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+          input.value = '';
+          this.renderSearchResults('');
+        } else if (e.key === 'ArrowDown') {
+          const first = results.querySelector('.search-result');
+          if (first) {
+            e.preventDefault();
+            first.focus();
+          }
+        }
+      });
+      results.addEventListener('keydown', (e) => {
+        const current = e.target.closest('.search-result');
+        if (!current) return;
+        if (e.key === 'ArrowDown' && current.nextElementSibling) {
+          e.preventDefault();
+          current.nextElementSibling.focus();
+        } else if (e.key === 'ArrowUp') {
+          e.preventDefault();
+          (current.previousElementSibling || input).focus();
+        }
+      });
+      // Close the results when clicking anywhere else
+      document.addEventListener('click', (e) => {
+        if (!e.target.closest('.search-container')) {
+          results.hidden = true;
+        }
       });
+      input.addEventListener('focus', () => {
+        if (input.value.trim()) this.renderSearchResults(input.value);
+      });
+      results.addEventListener('click', (e) => {
+        const result = e.target.closest('.search-result');
+        if (result) {
+          input.value = '';
+          this.renderSearchResults('');
+          if (result.hasAttribute('data-archived')) {
+            this.archiveFocusId = result.getAttribute('data-card-id');
+            Router.navigate(Router.path('archive'));
+          } else {
+            Router.navigate(Router.path('board', result.getAttribute('data-board-id'), 'card', result.getAttribute('data-card-id')));
+          }
+        }
+      });
+    },
+  
+    renderSearchResults(query) {
+      const results = document.getElementById('search-results');
+      results.innerHTML = '';
+      if (!query.trim()) {
+        results.hidden = true;
+        return;
+      }
       
-      // Set up drag and drop
-      this.setupDragAndDrop();
+      const matches = BoardSearch.search(this.boards, query);
+      if (matches.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'search-empty';
+        empty.textContent = 'No cards match your search.';
+        results.appendChild(empty);
+      }
       
-      // Set up event listeners for list and card actions
-      this.setupEventListeners();
+      matches.forEach(({ board, list, card, archived }) => {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = 'search-result';
+        item.setAttribute('role', 'option');
+        item.setAttribute('data-board-id', board.id);
+        item.setAttribute('data-card-id', card.id);
+        if (archived) item.setAttribute('data-archived', '');
+        item.innerHTML = `
+          <span class="search-result-title"></span>
+          <span class="search-result-path"></span>
+          <span class="search-result-excerpt"></span>
+        `;
+        item.querySelector('.search-result-title').textContent = card.title;
+        item.querySelector('.search-result-path').textContent = `${board.name} › ${list ? list.name : 'Unknown list'}${archived ? ' · Archived' : ''}`;
+        item.querySelector('.search-result-excerpt').textContent = BoardSearch.excerpt(card.description, query);
+        results.appendChild(item);
+      });
+      results.hidden = false;
     },
   
     createCardElement(card, listId) {
@@ -315,89 +2017,213 @@ const BoardManager = {
       cardEl.setAttribute('draggable', 'true');
       cardEl.setAttribute('data-card-id', card.id);
       cardEl.setAttribute('data-list-id', listId);
+      cardEl.setAttribute('data-action', 'open-card');
+      cardEl.setAttribute('tabindex', '0');
+      cardEl.setAttribute('aria-describedby', 'movement-help');
       
-      cardEl.innerHTML = `
+      cardEl.innerHTML = DomRenderer.html`
         <h4 class="card-title">${card.title}</h4>
-        ${card.description ? `<p class="card-description">${card.description}</p>` : ''}
+        ${card.description && DomRenderer.html`<p class="card-description">${Markdown.preview(card.description)}</p>`}
         <div class="card-actions">
-          <button class="edit-card" data-card-id="${card.id}" data-list-id="${listId}">
+          <button class="move-card" data-action="move-card" title="Move to...">
+            <i class="fas fa-arrows-alt"></i>
+          </button>
+          <button class="edit-card" data-action="edit-card">
             <i class="fas fa-edit"></i>
           </button>
-          <button class="delete-card" data-card-id="${card.id}" data-list-id="${listId}">
+          <button class="copy-card" data-action="copy-card" title="Copy card">
+            <i class="fas fa-copy"></i>
+          </button>
+          <button class="archive-card" data-action="archive-card" title="Archive card">
+            <i class="fas fa-archive"></i>
+          </button>
+          <button class="delete-card" data-action="delete-card">
             <i class="fas fa-trash delete-icon"></i>
           </button>
         </div>
       `;
       
+      // Cover image on top, labels above the title, due date/checklist/member
+      // badges below the text
+      const board = this.getBoard(this.activeBoardId);
+      if (card.coverId) {
+        const cover = document.createElement('div');
+        cover.className = 'card-cover';
+        const img = document.createElement('img');
+        img.alt = '';
+        cover.appendChild(img);
+        cardEl.insertBefore(cover, cardEl.firstChild);
+        CardAttachments.fillCover(img, card.coverId);
+      }
+      const labelStrip = CardDetails.createLabelStrip(card, board);
+      if (labelStrip) {
+        cardEl.insertBefore(labelStrip, cardEl.firstChild);
+      }
+      let badges = CardDetails.createBadges(card, board);
+      const pluginBadges = BoardPlugins.cardBadges(card, board, board.lists.find(list => list.id === listId));
+      if (!badges && pluginBadges.length > 0) {
+        badges = document.createElement('div');
+        badges.className = 'card-badges';
+      }
+      if (badges) {
+        pluginBadges.forEach(badge => badges.appendChild(BoardPlugins.createBadge(badge)));
+        cardEl.insertBefore(badges, cardEl.querySelector('.card-actions'));
+      }
+      
+      this.bindCardDragAndDrop(cardEl);
+      CardMovement.attach(cardEl);
       return cardEl;
     },
   
-    setupDragAndDrop() {
-      const cards = document.querySelectorAll('.card');
-      const containers = document.querySelectorAll('.cards-container');
-      let draggedCard = null;
+    // Card elements are bound once when created; the dragged card is kept on
+    // the manager so every list's drop target can see it
+    bindCardDragAndDrop(cardEl) {
+      cardEl.addEventListener('dragstart', () => {
+        this.draggedCard = cardEl;
+        setTimeout(() => {
+          cardEl.classList.add('dragging');
+        }, 0);
+      });
       
-      cards.forEach(card => {
-        // Drag start
-        card.addEventListener('dragstart', (e) => {
-          draggedCard = card;
-          setTimeout(() => {
-            card.classList.add('dragging');
-          }, 0);
-        });
-        
-        // Drag end
-        card.addEventListener('dragend', () => {
-          card.classList.remove('dragging');
-          draggedCard = null;
-        });
+      cardEl.addEventListener('dragend', () => {
+        cardEl.classList.remove('dragging');
+        document.querySelectorAll('.drop-blocked').forEach(el => el.classList.remove('drop-blocked'));
+        // Dropped outside a list: put the DOM back in data order
+        if (this.draggedCard === cardEl) {
+          this.draggedCard = null;
+          this.renderBoard();
+        }
+      });
+    },
+  
+    bindCardDropTarget(container) {
+      container.addEventListener('dragover', (e) => {
+        const draggedCard = this.draggedCard;
+        if (!draggedCard) return;
+        // Leaving out preventDefault() refuses the drop
+        const targetList = this.getList(this.activeBoardId, container.getAttribute('data-list-id'));
+        const fromElsewhere = draggedCard.getAttribute('data-list-id') !== container.getAttribute('data-list-id');
+        if (fromElsewhere && targetList && !ListPolicies.acceptsCard(targetList)) {
+          container.classList.add('drop-blocked');
+          return;
+        }
+        e.preventDefault();
+        CardMovement.autoScroll(e.clientX, e.clientY);
+        const afterElement = this.getDragAfterElement(container, e.clientY);
+        if (afterElement == null) {
+          container.appendChild(draggedCard);
+        } else {
+          container.insertBefore(draggedCard, afterElement);
+        }
       });
       
-      containers.forEach(container => {
-        // Drag over
-        container.addEventListener('dragover', (e) => {
-          e.preventDefault();
-          const afterElement = this.getDragAfterElement(container, e.clientY);
-          
-          if (draggedCard) {
-            if (afterElement == null) {
-              container.appendChild(draggedCard);
-            } else {
-              container.insertBefore(draggedCard, afterElement);
-            }
-          }
-        });
+      container.addEventListener('dragleave', (e) => {
+        if (!container.contains(e.relatedTarget)) {
+          container.classList.remove('drop-blocked');
+        }
+      });
+      
+      container.addEventListener('drop', (e) => {
+        const draggedCard = this.draggedCard;
+        if (!draggedCard) return;
+        e.preventDefault();
+        this.draggedCard = null;
         
-        // Drop
-        container.addEventListener('drop', (e) => {
-          e.preventDefault();
-          if (draggedCard) {
-            // Get source and target list IDs
-            const sourceListId = draggedCard.getAttribute('data-list-id');
-            const targetListId = container.getAttribute('data-list-id');
-            const cardId = draggedCard.getAttribute('data-card-id');
-            
-            // Calculate position in the new list
-            const cards = [...container.getElementsByClassName('card')];
-            const position = cards.indexOf(draggedCard);
-            
-            // Update card's list ID attribute
-            draggedCard.setAttribute('data-list-id', targetListId);
-            
-            // Update the data model
-            this.moveCard(
-              this.activeBoardId,
-              sourceListId,
-              cardId,
-              this.activeBoardId,
-              targetListId,
-              position
-            );
-          }
-        });
+        // Get source and target list IDs
+        const sourceListId = draggedCard.getAttribute('data-list-id');
+        const targetListId = container.getAttribute('data-list-id');
+        const cardId = draggedCard.getAttribute('data-card-id');
+        
+        // Calculate position in the new list
+        const cards = [...container.getElementsByClassName('card')];
+        const position = cards.indexOf(draggedCard);
+        
+        // Update the data model
+        const moved = this.moveCard(
+          this.activeBoardId,
+          sourceListId,
+          cardId,
+          this.activeBoardId,
+          targetListId,
+          position
+        );
+        if (moved !== false) {
+          this.announceCardPosition(cardId);
+        }
       });
     },
     
+    // Reorder lists by dragging their headers
+    bindListDragAndDrop(listEl) {
+      const listsContainer = document.getElementById('lists-container');
+      const header = listEl.querySelector('.list-header');
+      
+      header.addEventListener('dragstart', (e) => {
+        this.draggedList = listEl;
+        if (e.dataTransfer && e.dataTransfer.setDragImage) {
+          e.dataTransfer.setDragImage(listEl, 20, 20);
+        }
+        setTimeout(() => {
+          listEl.classList.add('dragging-list');
+        }, 0);
+      });
+      
+      header.addEventListener('dragend', () => {
+        listEl.classList.remove('dragging-list');
+        if (this.draggedList === listEl) {
+          this.draggedList = null;
+          this.renderBoard();
+        }
+      });
+      
+      listEl.addEventListener('dragover', (e) => {
+        const draggedList = this.draggedList;
+        if (!draggedList) return;
+        e.preventDefault();
+        const afterElement = this.getHorizontalDragAfterElement(listsContainer, e.clientX);
+        if (afterElement == null) {
+          listsContainer.appendChild(draggedList);
+        } else if (afterElement !== draggedList) {
+          listsContainer.insertBefore(draggedList, afterElement);
+        }
+      });
+      
+      listEl.addEventListener('drop', (e) => {
+        const draggedList = this.draggedList;
+        if (!draggedList) return;
+        e.preventDefault();
+        this.draggedList = null;
+        const position = [...listsContainer.querySelectorAll('.list')].indexOf(draggedList);
+        this.moveList(this.activeBoardId, draggedList.getAttribute('data-list-id'), position);
+      });
+    },
+  
+    getHorizontalDragAfterElement(container, x) {
+      const draggableElements = [...container.querySelectorAll('.list:not(.dragging-list)')];
+      
+      return draggableElements.reduce((closest, child) => {
+        const box = child.getBoundingClientRect();
+        const offset = x - box.left - box.width / 2;
+        
+        if (offset < 0 && offset > closest.offset) {
+          return { offset: offset, element: child };
+        } else {
+          return closest;
+        }
+      }, { offset: Number.NEGATIVE_INFINITY }).element;
+    },
+  
+    // First grid item (in reading order) that the pointer is before
+    getGridDragAfterElement(container, x, y) {
+      const draggableElements = [...container.querySelectorAll('.board-card:not(.dragging)')];
+      
+      return draggableElements.find(child => {
+        const box = child.getBoundingClientRect();
+        if (y < box.top) return true;
+        return y <= box.bottom && x < box.left + box.width / 2;
+      });
+    },
+  
     getDragAfterElement(container, y) {
       const draggableElements = [...container.querySelectorAll('.card:not(.dragging)')];
       
@@ -413,140 +2239,733 @@ const BoardManager = {
       }, { offset: Number.NEGATIVE_INFINITY }).element;
     },
   
-    setupEventListeners() {
-      // Back to dashboard button
-      document.getElementById('back-to-dashboard').addEventListener('click', () => {
+    // Click actions are delegated from the view containers, which are
+    // never re-rendered, so each action has exactly one handler. Clickable
+    // elements carry data-action; ids come from the nearest data-*-id.
+    setupActions() {
+      const onClick = (e) => {
+        const el = e.target.closest('[data-action]');
+        if (!el || !e.currentTarget.contains(el)) return;
+        const action = this.actions[el.getAttribute('data-action')];
+        if (action) {
+          action.call(this, this.actionContext(el));
+        }
+      };
+      document.getElementById('dashboard').addEventListener('click', onClick);
+      document.getElementById('board-view').addEventListener('click', onClick);
+      document.getElementById('metrics-view').addEventListener('click', onClick);
+      document.getElementById('archive-view').addEventListener('click', onClick);
+    },
+  
+    actionContext(el) {
+      const idFrom = (attribute) => {
+        const holder = el.closest(`[${attribute}]`);
+        return holder ? holder.getAttribute(attribute) : null;
+      };
+      return {
+        boardId: idFrom('data-board-id') || this.activeBoardId,
+        listId: idFrom('data-list-id'),
+        cardId: idFrom('data-card-id'),
+        trashId: idFrom('data-trash-id')
+      };
+    },
+  
+    // Handlers by data-action name, called with { boardId, listId, cardId, trashId }
+    actions: {
+      'create-board'() {
+        this.showAddBoardModal();
+      },
+      'import-boards'() {
+        this.importFromFile();
+      },
+      'export-all'() {
+        this.exportAllBoards();
+      },
+      'open-board'({ boardId }) {
+        this.openBoard(boardId);
+      },
+      'back-to-dashboard'() {
         this.renderDashboard();
+      },
+      'open-automation'({ boardId }) {
+        this.showAutomationModal(boardId);
+      },
+      'show-shortcuts'() {
+        this.showShortcutsModal();
+      },
+      'open-command-palette'() {
+        this.showCommandPalette();
+      },
+      'open-metrics'({ boardId }) {
+        Router.navigate(Router.path('board', boardId, 'metrics'));
+      },
+      'back-to-board'({ boardId }) {
+        this.openBoard(boardId);
+      },
+      'export-board'({ boardId }) {
+        this.exportBoard(boardId);
+      },
+      'edit-board'({ boardId }) {
+        this.showEditBoardModal(boardId);
+      },
+      'copy-board'({ boardId }) {
+        this.showCopyModal(boardId);
+      },
+      'save-template'({ boardId }) {
+        this.showSaveTemplateModal(boardId);
+      },
+      'delete-board'({ boardId }) {
+        if (confirm('Move this board to the trash?')) {
+          this.deleteBoard(boardId);
+        }
+      },
+      'open-archive'() {
+        Router.navigate(Router.path('archive'));
+      },
+      'open-trash'() {
+        Router.navigate(Router.path('trash'));
+      },
+      'configure-sync'() {
+        this.showSyncModal();
+      },
+      'toggle-activity'() {
+        this.activityOpen = !this.activityOpen;
+        this.renderActivity(this.getBoard(this.activeBoardId));
+      },
+      'open-activity-card'({ cardId }) {
+        Router.navigate(Router.path('board', this.activeBoardId, 'card', cardId));
+      },
+      'set-actor'() {
+        this.showActorModal();
+      },
+      'dismiss-sync-notice'() {
+        this.hideSyncNotice();
+      },
+      'add-list'() {
+        this.showAddListModal();
+      },
+      'edit-list'({ listId }) {
+        this.showEditListModal(listId);
+      },
+      'copy-list'({ boardId, listId }) {
+        this.showCopyModal(boardId, listId);
+      },
+      'archive-list'({ boardId, listId }) {
+        this.archiveList(boardId, listId);
+      },
+      'delete-list'({ boardId, listId }) {
+        if (confirm('Move this list and all its cards to the trash?')) {
+          this.deleteList(boardId, listId);
+        }
+      },
+      'add-card'({ listId }) {
+        this.showAddCardModal(listId);
+      },
+      'open-card'({ listId, cardId }) {
+        this.showEditCardModal(listId, cardId);
+      },
+      'edit-card'({ listId, cardId }) {
+        this.showEditCardModal(listId, cardId);
+      },
+      'move-card'({ listId, cardId }) {
+        this.showMoveCardModal(listId, cardId);
+      },
+      'copy-card'({ boardId, listId, cardId }) {
+        this.copyCard(boardId, listId, cardId);
+      },
+      'archive-card'({ boardId, listId, cardId }) {
+        this.archiveCard(boardId, listId, cardId);
+      },
+      'delete-card'({ boardId, listId, cardId }) {
+        if (confirm('Move this card to the trash?')) {
+          this.deleteCard(boardId, listId, cardId);
+        }
+      },
+      // In the archive an entry carries data-card-id for cards and only
+      // data-list-id for lists
+      'restore-archived'({ boardId, listId, cardId }) {
+        if (cardId) {
+          this.restoreArchivedCard(boardId, cardId);
+        } else {
+          this.restoreArchivedList(boardId, listId);
+        }
+      },
+      'delete-archived'({ boardId, listId, cardId }) {
+        if (confirm(`Move this ${cardId ? 'card' : 'list'} to the trash?`)) {
+          this.deleteArchived(boardId, listId, cardId);
+        }
+      },
+      'restore-trash'({ trashId }) {
+        this.restoreFromTrash(trashId);
+      },
+      'delete-forever'({ trashId }) {
+        if (confirm('Delete this permanently? This cannot be undone.')) {
+          BoardTrash.remove(trashId);
+        }
+      },
+      'empty-trash'() {
+        if (BoardTrash.entries.length > 0 && confirm('Permanently delete everything in the trash? This cannot be undone.')) {
+          BoardTrash.clear();
+        }
+      }
+    },
+  
+    // Undo/redo keyboard shortcuts and the "Undo" toast for destructive actions
+    setupHistoryControls() {
+      document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        // Leave text fields to their native undo
+        if (e.target instanceof Element && e.target.closest('input, textarea, [contenteditable="true"]')) return;
+        // Undoing under an open dialog would change what it is editing
+        if (Modal.stack.length > 0) return;
+        
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+          e.preventDefault();
+          this.undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+          e.preventDefault();
+          this.redo();
+        }
       });
       
-      // Edit board button
-      document.getElementById('edit-board-btn').addEventListener('click', () => {
-        this.showEditBoardModal(this.activeBoardId);
+      UndoHistory.onChange((type, command) => {
+        if (type === 'execute' && command.destructive) {
+          this.showToast(`${command.label}.`, 'Undo', () => this.undo());
+        }
       });
-      
-      // Delete board button
-      document.getElementById('delete-board-btn').addEventListener('click', () => {
-        if (confirm('Are you sure you want to delete this board?')) {
-          this.deleteBoard(this.activeBoardId);
-          this.renderDashboard();
+    },
+  
+    // Keyboard shortcuts; Shortcuts keeps the bindings
+    setupShortcuts() {
+      document.addEventListener('keydown', (e) => {
+        const id = Shortcuts.commandFor(e);
+        if (!id) return;
+        e.preventDefault();
+        this.shortcutCommands[id].call(this, this.focusContext());
+      });
+    },
+  
+    // What the focused element is part of: { boardId, listId, cardId }, with
+    // only boardId (or nothing) away from a board
+    focusContext() {
+      const onBoard = this.currentView === 'board';
+      const focused = document.activeElement;
+      if (onBoard && focused instanceof Element && focused.closest('#board-view')) {
+        return this.actionContext(focused);
+      }
+      return { boardId: onBoard ? this.activeBoardId : null, listId: null, cardId: null, trashId: null };
+    },
+  
+    // Handlers by Shortcuts command id, called with focusContext()
+    shortcutCommands: {
+      'command-palette'() {
+        this.showCommandPalette();
+      },
+      'show-shortcuts'() {
+        this.showShortcutsModal();
+      },
+      'search'({ boardId }) {
+        if (boardId) {
+          document.getElementById('filter-text').focus();
+          return;
+        }
+        if (this.currentView !== 'dashboard') this.renderDashboard();
+        document.getElementById('global-search').focus();
+      },
+      'new-card'({ boardId, listId }) {
+        const board = boardId && this.getBoard(boardId);
+        if (!board) return;
+        const target = listId || (board.lists[0] && board.lists[0].id);
+        if (target) {
+          this.showAddCardModal(target);
+        } else {
+          this.showToast('Add a list to this board first.');
+        }
+      },
+      'edit-card'({ listId, cardId }) {
+        if (cardId && listId) {
+          this.showEditCardModal(listId, cardId);
+        } else if (this.currentView === 'board') {
+          this.showToast('Focus a card to edit it.');
         }
+      },
+      'new-list'({ boardId }) {
+        if (boardId) this.showAddListModal();
+      },
+      'new-board'() {
+        this.showAddBoardModal();
+      },
+      'go-dashboard'() {
+        this.renderDashboard();
+      }
+    },
+  
+    showShortcutsModal() {
+      Modal.open({
+        id: 'shortcuts-modal',
+        title: 'Keyboard Shortcuts',
+        body: Shortcuts.buildHelp()
       });
+    },
+  
+    showCommandPalette() {
+      CommandPalette.open(this.paletteItems(this.focusContext()));
+    },
+  
+    // Everything the palette offers: actions for the current view and the
+    // focused card, then boards, "new card" for every list and every card.
+    // Lists and cards of the open board come first.
+    paletteItems(context) {
+      const items = [];
+      const add = (type, title, run, detail = '') => items.push({ type, title, detail, run });
+      const action = (title, name, actionContext = context) => add('action', title, () => this.actions[name].call(this, actionContext));
+      const board = context.boardId ? this.getBoard(context.boardId) : null;
+      const found = board && context.cardId ? this.locateCard(board.id, context.cardId) : null;
       
-      // Edit list buttons
-      document.querySelectorAll('.edit-list').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-          const listId = btn.getAttribute('data-list-id');
-          this.showEditListModal(listId);
+      if (found) {
+        const cardContext = { ...context, listId: found.list.id };
+        action(`Edit card "${found.card.title}"`, 'edit-card', cardContext);
+        action(`Move card "${found.card.title}"`, 'move-card', cardContext);
+        action(`Copy card "${found.card.title}"`, 'copy-card', cardContext);
+        action(`Archive card "${found.card.title}"`, 'archive-card', cardContext);
+      }
+      if (board) {
+        action('New list', 'add-list');
+        action('Edit board', 'edit-board');
+        action('Copy board', 'copy-board');
+        action('Save board as template', 'save-template');
+        action('Export board', 'export-board');
+        action('Board metrics', 'open-metrics');
+        action('Automation rules', 'open-automation');
+        BoardPlugins.boardActions.forEach(pluginAction => {
+          add('action', pluginAction.label, () => BoardPlugins.runBoardAction(pluginAction.id, board));
         });
-      });
-      
-      // Delete list buttons
-      document.querySelectorAll('.delete-list').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-          const listId = btn.getAttribute('data-list-id');
-          if (confirm('Are you sure you want to delete this list and all its cards?')) {
-            this.deleteList(this.activeBoardId, listId);
-          }
+        action(this.activityOpen ? 'Hide activity' : 'Show activity', 'toggle-activity');
+        const view = BoardViews.get(board.id);
+        BoardViews.MODES.filter(mode => mode.id !== view.mode).forEach(mode => {
+          add('action', `Show as ${mode.name.toLowerCase()}`, () => {
+            BoardViews.set(board.id, { mode: mode.id });
+            this.renderBoard();
+          });
         });
-      });
+      }
+      if (UndoHistory.canUndo()) {
+        add('action', 'Undo', () => this.undo(), UndoHistory.undoStack[UndoHistory.undoStack.length - 1].label);
+      }
+      if (UndoHistory.canRedo()) {
+        add('action', 'Redo', () => this.redo(), UndoHistory.redoStack[UndoHistory.redoStack.length - 1].label);
+      }
+      add('action', 'Go to the dashboard', () => this.renderDashboard());
+      action('Create board', 'create-board');
+      action('Import boards', 'import-boards');
+      action('Export all boards', 'export-all');
+      action('Open archive', 'open-archive');
+      action('Open trash', 'open-trash');
+      action('Sync server', 'configure-sync');
+      action('Set your name', 'set-actor');
+      action('Keyboard shortcuts', 'show-shortcuts');
       
-      // Add card buttons
-      document.querySelectorAll('.add-card-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-          const listId = btn.getAttribute('data-list-id');
-          this.showAddCardModal(listId);
-        });
-      });
+      const boards = board ? [board, ...this.boards.filter(b => b !== board)] : this.boards;
+      this.boards.forEach(b => add('board', `Open board ${b.name}`, () => this.openBoard(b.id)));
+      boards.forEach(b => b.lists.forEach(list => add('list', `New card in ${list.name}`, () => {
+        if (this.currentView !== 'board' || this.activeBoardId !== b.id) this.openBoard(b.id);
+        this.showAddCardModal(list.id);
+      }, b.name)));
+      boards.forEach(b => b.lists.forEach(list => list.cards.forEach(card => add('card', card.title, () => {
+        Router.navigate(Router.path('board', b.id, 'card', card.id));
+      }, `${b.name} › ${list.name}`))));
+      return items;
+    },
+  
+    undo() {
+      const command = UndoHistory.undo();
+      if (command) {
+        this.showToast(`Undone: ${command.label}`, 'Redo', () => this.redo());
+      }
+    },
+  
+    redo() {
+      const command = UndoHistory.redo();
+      if (command) {
+        this.showToast(`Redone: ${command.label}`, 'Undo', () => this.undo());
+      }
+    },
+  
+    // Screen reader announcements through a visually hidden live region
+    announce(message) {
+      const region = document.getElementById('live-region');
+      // Clear first so repeating the same message is announced again
+      region.textContent = '';
+      setTimeout(() => {
+        region.textContent = message;
+      }, 50);
+    },
+  
+    announceCardPosition(cardId) {
+      const found = this.locateCard(this.activeBoardId, cardId);
+      if (found) {
+        const { list, card } = found;
+        this.announce(`Moved card "${card.title}" to list "${list.name}", position ${list.cards.indexOf(card) + 1} of ${list.cards.length}.`);
+      }
+    },
+  
+    // Show a short-lived message with an optional action button
+    showToast(message, actionLabel = null, action = null) {
+      let toast = document.getElementById('toast');
+      if (!toast) {
+        toast = document.createElement('div');
+        toast.id = 'toast';
+        toast.className = 'toast';
+        toast.setAttribute('role', 'status');
+        toast.setAttribute('aria-live', 'polite');
+        document.body.appendChild(toast);
+      }
       
-      // Edit card buttons
-      document.querySelectorAll('.edit-card').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-          e.stopPropagation();
-          const cardId = btn.getAttribute('data-card-id');
-          const listId = btn.getAttribute('data-list-id');
-          this.showEditCardModal(listId, cardId);
+      clearTimeout(this.toastTimer);
+      toast.innerHTML = '<span class="toast-message"></span>';
+      toast.querySelector('.toast-message').textContent = message;
+      
+      if (actionLabel && action) {
+        const actionBtn = document.createElement('button');
+        actionBtn.className = 'toast-action';
+        actionBtn.textContent = actionLabel;
+        actionBtn.addEventListener('click', () => {
+          toast.classList.remove('visible');
+          action();
         });
-      });
+        toast.appendChild(actionBtn);
+      }
+      
+      toast.classList.add('visible');
+      this.toastTimer = setTimeout(() => {
+        toast.classList.remove('visible');
+      }, 6000);
+    },
+  
+    // Modal management
+    showBoardModal(title = 'Create New Board', boardId = null) {
+      const board = boardId ? this.getBoard(boardId) : null;
+      const fields = [{ name: 'name', label: 'Board name', value: board ? board.name : '', required: true }];
+      let extra = null;
+      // New boards can start from a template
+      const templateOptions = () => [
+        { value: '', label: 'Blank board' },
+        ...BoardTemplates.all().map(template => ({
+          value: template.id,
+          label: `${template.name} (${template.board.lists.map(list => list.name).join(', ') || 'no lists'})`
+        }))
+      ];
+      if (!board) {
+        fields.push({ name: 'template', label: 'Template', type: 'select', options: templateOptions(), value: '' });
+        if (BoardTemplates.saved.length > 0) {
+          extra = document.createElement('p');
+          extra.className = 'form-hint';
+          extra.innerHTML = '<button type="button" class="btn-link">Manage saved templates</button>';
+          extra.querySelector('button').addEventListener('click', () => this.showTemplatesModal(() => {
+            const select = dialog.fields.template;
+            Modal.fillSelect(select, templateOptions(), select.value);
+          }));
+        }
+      }
       
-      // Delete card buttons
-      document.querySelectorAll('.delete-card').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-          e.stopPropagation();
-          const cardId = btn.getAttribute('data-card-id');
-          const listId = btn.getAttribute('data-list-id');
-          if (confirm('Are you sure you want to delete this card?')) {
-            this.deleteCard(this.activeBoardId, listId, cardId);
+      const dialog = Modal.form({
+        id: 'board-modal',
+        title,
+        fields,
+        extra,
+        submitLabel: board ? 'Save' : 'Create Board',
+        onSubmit: ({ name, template }) => {
+          if (board) {
+            this.updateBoard(board.id, name);
+          } else {
+            this.createBoard(name, template ? BoardTemplates.get(template) : null);
           }
-        });
+        }
       });
+    },
+  
+    // Copy a board, or one of its lists when listId is given
+    showCopyModal(boardId, listId = null) {
+      const board = this.getBoard(boardId);
+      const list = listId ? this.getList(boardId, listId) : null;
+      if (!board || (listId && !list)) return;
+      const original = list || board;
       
-      // Open card details on click
-      document.querySelectorAll('.card').forEach(card => {
-        card.addEventListener('click', (e) => {
-          // Only trigger if not clicking on action buttons
-          if (!e.target.closest('.card-actions')) {
-            const cardId = card.getAttribute('data-card-id');
-            const listId = card.getAttribute('data-list-id');
-            this.showEditCardModal(listId, cardId);
+      Modal.form({
+        id: 'copy-modal',
+        title: list ? 'Copy List' : 'Copy Board',
+        fields: [
+          { name: 'name', label: list ? 'List name' : 'Board name', value: `${original.name} (copy)`, required: true },
+          { name: 'includeCards', label: 'Include cards', type: 'checkbox', value: true }
+        ],
+        submitLabel: 'Copy',
+        onSubmit: ({ name, includeCards }) => {
+          if (list) {
+            this.copyList(boardId, listId, name, includeCards);
+          } else if (this.copyBoard(boardId, name, includeCards) !== false) {
+            this.showToast(`Copied "${board.name}" to "${name}".`, 'Undo', () => this.undo());
           }
-        });
+        }
       });
+    },
+  
+    showSaveTemplateModal(boardId) {
+      const board = this.getBoard(boardId);
+      if (!board) return;
       
-      // Add list button
-      document.getElementById('add-list-btn').addEventListener('click', () => {
-        this.showAddListModal();
+      Modal.form({
+        id: 'template-modal',
+        title: 'Save as Template',
+        fields: [
+          { name: 'name', label: 'Template name', value: board.name, required: true },
+          { name: 'includeCards', label: 'Include cards', type: 'checkbox', value: false }
+        ],
+        submitLabel: 'Save Template',
+        onSubmit: ({ name, includeCards }) => {
+          const replacing = BoardTemplates.saved.some(template => template.name === name);
+          BoardTemplates.save(name, board, { includeCards });
+          this.showToast(replacing ? `Updated the "${name}" template.` : `Saved "${name}" as a template.`);
+        }
       });
     },
   
-    // Modal management
-    showBoardModal(title = 'Create New Board', boardId = null) {
-      const modal = document.getElementById('board-modal');
-      document.getElementById('board-modal-title').textContent = title;
-      const form = document.getElementById('board-form');
-      const nameInput = document.getElementById('board-name');
-      
-      // Pre-fill form if editing existing board
-      if (boardId) {
-        const board = this.getBoard(boardId);
-        if (board) {
-          nameInput.value = board.name;
-          this.isEditMode = true;
-          this.activeBoardId = boardId;
+    // Saved templates, each with a delete button; onChange runs after a deletion
+    showTemplatesModal(onChange = null) {
+      const body = document.createElement('div');
+      const list = document.createElement('ul');
+      list.className = 'template-list';
+      body.appendChild(list);
+      
+      const render = () => {
+        list.innerHTML = '';
+        if (BoardTemplates.saved.length === 0) {
+          list.innerHTML = '<li class="activity-empty">No saved templates.</li>';
+          return;
         }
-      } else {
-        nameInput.value = '';
-        this.isEditMode = false;
-      }
+        BoardTemplates.saved.forEach(template => {
+          const item = document.createElement('li');
+          item.className = 'template-entry';
+          item.innerHTML = DomRenderer.html`
+            <span>${template.name}</span>
+            <button type="button" class="icon-btn" aria-label="Delete template ${template.name}">
+              <i class="fas fa-trash delete-icon"></i>
+            </button>
+          `;
+          item.querySelector('button').addEventListener('click', () => {
+            if (confirm(`Delete the "${template.name}" template?`)) {
+              BoardTemplates.remove(template.id);
+              render();
+              if (onChange) onChange();
+            }
+          });
+          list.appendChild(item);
+        });
+      };
+      render();
       
-      // Display modal
-      modal.style.display = 'flex';
-      nameInput.focus();
+      Modal.open({
+        id: 'templates-modal',
+        title: 'Saved Templates',
+        body
+      });
+    },
+  
+    // The board's rules and recurring cards, each with an on/off switch and
+    // edit and delete buttons
+    showAutomationModal(boardId) {
+      const board = this.getBoard(boardId);
+      if (!board) return;
+      BoardAutomation.applyDefaults(board);
+      const body = document.createElement('div');
+      body.className = 'automation-panel';
+      
+      const render = () => {
+        const current = this.getBoard(boardId);
+        if (!current) return;
+        BoardAutomation.applyDefaults(current);
+        body.innerHTML = DomRenderer.html`
+          <h4>Rules</h4>
+          <ul class="automation-list" data-collection="rules"></ul>
+          <button type="button" class="btn btn-small btn-secondary" data-automation="add-rule"><i class="fas fa-plus"></i> Add rule</button>
+          <h4>Recurring cards</h4>
+          <ul class="automation-list" data-collection="recurring"></ul>
+          <button type="button" class="btn btn-small btn-secondary" data-automation="add-recurring"><i class="fas fa-plus"></i> Add recurring card</button>
+        `;
+        const fill = (collection, items, describe, empty) => {
+          const list = body.querySelector(`[data-collection="${collection}"]`);
+          if (items.length === 0) {
+            list.innerHTML = DomRenderer.html`<li class="activity-empty">${empty}</li>`;
+            return;
+          }
+          items.forEach(item => {
+            const name = item.name || item.title;
+            const entry = document.createElement('li');
+            entry.className = 'automation-entry' + (item.enabled ? '' : ' disabled');
+            entry.setAttribute('data-item-id', item.id);
+            entry.innerHTML = DomRenderer.html`
+              <input type="checkbox" data-automation="toggle" aria-label="Turn ${name} on or off">
+              <div class="automation-entry-text">
+                <strong>${name}</strong>
+                <span>${describe(item)}</span>
+              </div>
+              <button type="button" class="icon-btn" data-automation="edit" aria-label="Edit ${name}"><i class="fas fa-edit"></i></button>
+              <button type="button" class="icon-btn" data-automation="delete" aria-label="Delete ${name}"><i class="fas fa-trash delete-icon"></i></button>
+            `;
+            entry.querySelector('[data-automation="toggle"]').checked = item.enabled;
+            list.appendChild(entry);
+          });
+        };
+        fill('rules', current.rules, rule => BoardAutomation.describe(rule, current), 'No rules yet.');
+        fill('recurring', current.recurring, item => {
+          const list = current.lists.find(l => l.id === item.listId);
+          const next = item.enabled && item.nextAt ? `, next ${new Date(item.nextAt).toLocaleString()}` : '';
+          return `${BoardAutomation.describeSchedule(item)} in "${list ? list.name : 'a deleted list'}"${next}`;
+        }, 'No recurring cards yet.');
+      };
       
-      // Close modal when clicking on X or outside
-      const closeBtn = modal.querySelector('.close');
-      closeBtn.onclick = () => {
-        modal.style.display = 'none';
+      const itemFor = (el) => {
+        const entry = el.closest('[data-item-id]');
+        const collection = el.closest('[data-collection]');
+        if (!entry || !collection) return null;
+        const name = collection.getAttribute('data-collection');
+        const item = this.getBoard(boardId)[name].find(i => i.id === entry.getAttribute('data-item-id'));
+        return item ? { collection: name, item } : null;
       };
+      body.addEventListener('click', (e) => {
+        const control = e.target.closest('[data-automation]');
+        if (!control) return;
+        const action = control.getAttribute('data-automation');
+        const found = itemFor(control);
+        if (action === 'add-rule') {
+          this.showRuleModal(boardId, null, render);
+        } else if (action === 'add-recurring') {
+          this.showRecurringModal(boardId, null, render);
+        } else if (action === 'edit' && found) {
+          (found.collection === 'rules' ? this.showRuleModal : this.showRecurringModal).call(this, boardId, found.item, render);
+        } else if (action === 'delete' && found) {
+          this.deleteAutomationItem(boardId, found.collection, found.item.id);
+          render();
+        }
+      });
+      body.addEventListener('change', (e) => {
+        const found = e.target.matches('[data-automation="toggle"]') && itemFor(e.target);
+        if (!found) return;
+        const enabled = e.target.checked;
+        // A recurring card turned back on starts from now rather than
+        // catching up on the time it was off
+        const nextAt = found.collection === 'recurring' && enabled ? BoardAutomation.nextOccurrence(found.item, Date.now()) : found.item.nextAt;
+        this.saveAutomationItem(boardId, found.collection, { ...found.item, enabled, ...(found.collection === 'recurring' ? { nextAt } : {}) });
+        render();
+      });
+      render();
+      
+      Modal.open({
+        id: 'automation-modal',
+        title: `Automation for "${board.name}"`,
+        body
+      });
+    },
+  
+    // Add (rule null) or edit a rule; onSave runs after it is saved
+    showRuleModal(boardId, rule, onSave) {
+      const board = this.getBoard(boardId);
+      if (!board) return;
+      const draft = rule ? JSON.parse(JSON.stringify(rule)) : BoardAutomation.newRule(board);
+      const editor = BoardAutomation.buildRuleEditor(board, draft);
       
-      window.onclick = (e) => {
-        if (e.target === modal) {
-          modal.style.display = 'none';
+      Modal.form({
+        id: 'rule-modal',
+        title: rule ? 'Edit Rule' : 'Add Rule',
+        fields: [{ name: 'name', label: 'Rule name', value: draft.name, required: true }],
+        extra: editor,
+        submitLabel: rule ? 'Save Rule' : 'Add Rule',
+        onSubmit: ({ name }) => {
+          const problem = BoardAutomation.validateRule(draft);
+          editor.showError(problem || '');
+          if (problem) return false;
+          this.saveAutomationItem(boardId, 'rules', { ...draft, name });
+          onSave();
         }
-      };
+      });
+    },
+  
+    // Add (item null) or edit a recurring card; onSave runs after it is saved
+    showRecurringModal(boardId, item, onSave) {
+      const board = this.getBoard(boardId);
+      if (!board) return;
+      if (board.lists.length === 0) {
+        this.showToast('Add a list to this board first.');
+        return;
+      }
+      const draft = item || BoardAutomation.newRecurring(board);
+      const weekdays = [1, 2, 3, 4, 5, 6, 0].map(day => ({ value: String(day), label: BoardAutomation.weekdayName(day) }));
       
-      // Handle form submission
-      form.onsubmit = (e) => {
-        e.preventDefault();
-        const name = nameInput.value.trim();
-        if (name) {
-          if (this.isEditMode && this.activeBoardId) {
-            this.updateBoard(this.activeBoardId, name);
-          } else {
-            this.createBoard(name);
+      const dialog = Modal.form({
+        id: 'recurring-modal',
+        title: item ? 'Edit Recurring Card' : 'Add Recurring Card',
+        fields: [
+          { name: 'title', label: 'Card title', value: draft.title, required: true },
+          { name: 'description', label: 'Description', type: 'textarea', value: draft.description },
+          { name: 'listId', label: 'List', type: 'select', options: board.lists.map(list => ({ value: list.id, label: list.name })), value: draft.listId },
+          { name: 'every', label: 'Repeat', type: 'select', options: Object.entries(BoardAutomation.SCHEDULES).map(([value, label]) => ({ value, label })), value: draft.every },
+          { name: 'weekday', label: 'On', type: 'select', options: weekdays, value: String(draft.weekday) },
+          { name: 'monthDay', label: 'Day of the month', type: 'number', value: String(draft.monthDay) },
+          { name: 'time', label: 'Time (HH:MM)', value: draft.time }
+        ],
+        validate: ({ every, monthDay, time }) => {
+          const errors = {};
+          const day = Number(monthDay);
+          if (every === 'month' && !(Number.isInteger(day) && day >= 1 && day <= 31)) {
+            errors.monthDay = 'Enter a day from 1 to 31.';
+          }
+          if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) {
+            errors.time = 'Enter a time such as 09:00.';
           }
-          modal.style.display = 'none';
+          return errors;
+        },
+        submitLabel: item ? 'Save' : 'Add Recurring Card',
+        onSubmit: ({ title, description, listId, every, weekday, monthDay, time }) => {
+          const saved = { ...draft, title, description, listId, every, weekday: Number(weekday), monthDay: Number(monthDay) || 1, time };
+          saved.nextAt = BoardAutomation.nextOccurrence(saved, Date.now());
+          this.saveAutomationItem(boardId, 'recurring', saved);
+          onSave();
         }
+      });
+      
+      // Only the day picker that goes with the schedule is shown
+      const showDayField = () => {
+        const every = dialog.fields.every.value;
+        dialog.fields.weekday.closest('.form-group').hidden = every !== 'week';
+        dialog.fields.monthDay.closest('.form-group').hidden = every !== 'month';
       };
+      dialog.fields.every.addEventListener('change', showDayField);
+      showDayField();
+    },
+  
+    // Connect to a sync server, or disconnect with an empty URL
+    showSyncModal() {
+      Modal.form({
+        id: 'sync-modal',
+        title: 'Sync Server',
+        fields: [{ name: 'url', label: 'Server URL (leave empty to keep boards in this browser only)', value: RestSync.serverUrl || '' }],
+        validate: ({ url }) => {
+          if (!url) return {};
+          try {
+            const parsed = new URL(url);
+            if (parsed.protocol === 'http:' || parsed.protocol === 'https:') return {};
+          } catch (err) {
+            // Reported below
+          }
+          return { url: 'Enter a full http:// or https:// address, e.g. http://localhost:3000' };
+        },
+        onSubmit: ({ url }) => {
+          RestSync.configure(url).catch(err => {
+            console.error('Failed to change the sync server:', err);
+          });
+          this.showToast(url ? `Syncing with ${url}.` : 'Boards are now kept in this browser only.');
+        }
+      });
     },
   
     showAddBoardModal() {
@@ -558,53 +2977,36 @@ const BoardManager = {
     },
   
     showListModal(title = 'Add New List', listId = null) {
-      const modal = document.getElementById('list-modal');
-      document.getElementById('list-modal-title').textContent = title;
-      const form = document.getElementById('list-form');
-      const nameInput = document.getElementById('list-name');
-      
-      // Pre-fill form if editing existing list
-      if (listId) {
-        const list = this.getList(this.activeBoardId, listId);
-        if (list) {
-          nameInput.value = list.name;
-          this.isEditMode = true;
-          this.activeListId = listId;
-        }
-      } else {
-        nameInput.value = '';
-        this.isEditMode = false;
-      }
-      
-      // Display modal
-      modal.style.display = 'flex';
-      nameInput.focus();
+      const boardId = this.activeBoardId;
+      const list = listId ? this.getList(boardId, listId) : null;
       
-      // Close modal when clicking on X or outside
-      const closeBtn = modal.querySelector('.close');
-      closeBtn.onclick = () => {
-        modal.style.display = 'none';
-      };
-      
-      window.onclick = (e) => {
-        if (e.target === modal) {
-          modal.style.display = 'none';
-        }
-      };
+      // WIP limit and done flag are list settings, edited once the list exists
+      const fields = [{ name: 'name', label: 'List name', value: list ? list.name : '', required: true }];
+      if (list) {
+        fields.push(
+          { name: 'wipLimit', label: 'WIP limit (leave empty for no limit)', type: 'number', value: list.wipLimit ? String(list.wipLimit) : '' },
+          { name: 'blockOverLimit', label: 'Block moving cards in once the limit is reached', type: 'checkbox', value: list.blockOverLimit },
+          { name: 'isDone', label: 'Done list: cards here count as completed', type: 'checkbox', value: list.isDone }
+        );
+      }
       
-      // Handle form submission
-      form.onsubmit = (e) => {
-        e.preventDefault();
-        const name = nameInput.value.trim();
-        if (name) {
-          if (this.isEditMode && this.activeListId) {
-            this.updateList(this.activeBoardId, this.activeListId, name);
+      Modal.form({
+        id: 'list-modal',
+        title,
+        fields,
+        submitLabel: list ? 'Save' : 'Add List',
+        validate: ({ wipLimit }) => {
+          if (!wipLimit || /^[1-9]\d*$/.test(wipLimit)) return {};
+          return { wipLimit: 'Enter a whole number of cards, 1 or more.' };
+        },
+        onSubmit: ({ name, wipLimit, blockOverLimit, isDone }) => {
+          if (list) {
+            this.updateList(boardId, list.id, name, { wipLimit: wipLimit ? Number(wipLimit) : null, blockOverLimit, isDone });
           } else {
-            this.createList(this.activeBoardId, name);
+            this.createList(boardId, name);
           }
-          modal.style.display = 'none';
         }
-      };
+      });
     },
   
     showAddListModal() {
@@ -616,59 +3018,120 @@ const BoardManager = {
     },
   
     showCardModal(title = 'Add New Card', listId = null, cardId = null) {
-      const modal = document.getElementById('card-modal');
-      document.getElementById('card-modal-title').textContent = title;
-      const form = document.getElementById('card-form');
-      const titleInput = document.getElementById('card-title');
-      const descInput = document.getElementById('card-description');
-      
-      // Pre-fill form if editing existing card
-      if (cardId && listId) {
-        const card = this.getCard(this.activeBoardId, listId, cardId);
-        if (card) {
-          titleInput.value = card.title;
-          descInput.value = card.description || '';
-          this.isEditMode = true;
-          this.activeListId = listId;
-          this.activeCardId = cardId;
-        }
-      } else {
-        titleInput.value = '';
-        descInput.value = '';
-        this.isEditMode = false;
-        this.activeListId = listId;
-      }
+      const boardId = this.activeBoardId;
+      const card = cardId && listId ? this.getCard(boardId, listId, cardId) : null;
+      if (cardId && !card) return;
       
-      // Display modal
-      modal.style.display = 'flex';
-      titleInput.focus();
+      // Labels, due date, members and checklists are edited on a draft copy
+      const draft = CardDetails.draftFrom(card);
+      const editor = CardDetails.buildEditor(this.getBoard(boardId), draft, {
+        createLabel: (name, color) => this.createLabel(boardId, name, color),
+        createMember: (name) => this.createMember(boardId, name)
+      });
       
-      // Close modal when clicking on X or outside
-      const closeBtn = modal.querySelector('.close');
-      closeBtn.onclick = () => {
-        modal.style.display = 'none';
-      };
+      // Comments and history only exist for saved cards
+      const extra = document.createElement('div');
+      extra.appendChild(editor);
+      extra.appendChild(CardAttachments.buildSection(draft));
+      extra.appendChild(BoardPlugins.buildCardSections(draft, { card, board: this.getBoard(boardId) }));
+      if (card) {
+        extra.appendChild(ActivityLog.buildCardSection(card.id, {
+          getBoard: () => this.getBoard(boardId),
+          addComment: (text) => this.addComment(boardId, card.id, text),
+          deleteComment: (entryId) => this.deleteComment(boardId, entryId)
+        }));
+      }
       
-      window.onclick = (e) => {
-        if (e.target === modal) {
-          modal.style.display = 'none';
+      this.cardDialog = Modal.form({
+        id: 'card-modal',
+        title,
+        fields: [
+          { name: 'title', label: 'Title', value: card ? card.title : '', required: true },
+          { name: 'description', label: 'Description', type: 'textarea', value: card ? card.description || '' : '' }
+        ],
+        extra,
+        submitLabel: card ? 'Save' : 'Add Card',
+        // The card element is rebuilt when it changes, so find it again
+        fallbackFocus: () => card && document.querySelector(`#lists-container .card[data-card-id="${card.id}"]`),
+        // A plugin veto keeps the dialog open
+        onSubmit: ({ title, description }) => (card
+          ? this.updateCard(boardId, listId, card.id, title, description, draft)
+          : this.createCard(boardId, listId, title, description, draft)),
+        onClose: (reason) => {
+          this.cardDialog = null;
+          // A replacing dialog sets its own card and URL
+          if (reason === 'replaced') return;
+          this.openCardId = null;
+          Router.sync(this.currentPath());
         }
-      };
+      });
+      // Saved descriptions open rendered; new ones open for writing
+      Markdown.attachPreview(document.getElementById('card-description'), { preview: Boolean(card) });
+      this.openCardId = card ? card.id : null;
+      Router.sync(this.currentPath());
+    },
+  
+    // "Move to..." dialog: pick a destination board, list and position
+    showMoveCardModal(listId, cardId) {
+      const card = this.getCard(this.activeBoardId, listId, cardId);
+      if (!card) return;
       
-      // Handle form submission
-      form.onsubmit = (e) => {
-        e.preventDefault();
-        const title = titleInput.value.trim();
-        const description = descInput.value.trim();
-        if (title) {
-          if (this.isEditMode && this.activeListId && this.activeCardId) {
-            this.updateCard(this.activeBoardId, this.activeListId, this.activeCardId, title, description);
-          } else if (this.activeListId) {
-            this.createCard(this.activeBoardId, this.activeListId, title, description);
+      const dialog = Modal.form({
+        id: 'move-card-modal',
+        title: 'Move Card',
+        fields: [
+          { name: 'board', label: 'Board', type: 'select', options: this.boards.map(b => ({ value: b.id, label: b.name })), value: this.activeBoardId },
+          { name: 'list', label: 'List', type: 'select' },
+          { name: 'position', label: 'Position', type: 'select' }
+        ],
+        submitLabel: 'Move',
+        validate: ({ board, list }) => {
+          if (!list) return { list: 'This board has no lists yet.' };
+          const target = this.getList(board, list);
+          if (list !== listId && !ListPolicies.acceptsCard(target)) return { list: ListPolicies.blockedMessage(target) };
+          return {};
+        },
+        onSubmit: ({ board, list, position }) => {
+          const targetBoard = this.getBoard(board);
+          this.moveCard(this.activeBoardId, listId, cardId, targetBoard.id, list, Number(position));
+          if (targetBoard.id !== this.activeBoardId) {
+            this.showToast(`Moved "${card.title}" to ${targetBoard.name}.`, 'Undo', () => this.undo());
           }
-          modal.style.display = 'none';
         }
+      });
+      const { board: boardSelect, list: listSelect, position: positionSelect } = dialog.fields;
+      
+      const fillPositions = () => {
+        const list = this.getList(boardSelect.value, listSelect.value);
+        const isCurrentList = list && list.id === listId && boardSelect.value === this.activeBoardId;
+        const count = list ? list.cards.length + (isCurrentList ? 0 : 1) : 1;
+        const options = Array.from({ length: count }, (_, i) => ({ value: String(i), label: String(i + 1) }));
+        const current = isCurrentList ? String(list.cards.indexOf(card)) : String(count - 1);
+        Modal.fillSelect(positionSelect, options, current);
+      };
+      
+      const fillLists = () => {
+        const board = this.getBoard(boardSelect.value);
+        Modal.fillSelect(listSelect, board.lists.map(l => ({ value: l.id, label: l.name })), listId);
+        fillPositions();
       };
+      
+      fillLists();
+      boardSelect.addEventListener('change', fillLists);
+      listSelect.addEventListener('change', fillPositions);
+    },
+  
+    // Close the card dialog without touching the URL (used by route handlers)
+    hideCardModal() {
+      if (this.cardDialog) {
+        this.cardDialog.close('route');
+      }
+      this.openCardId = null;
+    },
+  
+    closeCardModal() {
+      this.hideCardModal();
+      Router.sync(this.currentPath());
     },
   
     showAddCardModal(listId) {
@@ -682,11 +3145,5 @@ const BoardManager = {
   
   // Initialize the app when DOM is loaded
   document.addEventListener('DOMContentLoaded', () => {
-    // Initialize the board manager
-    BoardManager.init();
-    
-    // Set up initial event listeners
-    document.getElementById('create-board-btn').addEventListener('click', () => {
-      BoardManager.showAddBoardModal();
-    });
+    BoardManager.init().catch(err => BoardManager.showStartupError(err));
   });
@@ -0,0 +1,88 @@
+/**
+ * Task Board Pilot - Search and filtering
+ * Implements:
+ * - Global search over card titles and descriptions across all boards,
+ *   including archived cards
+ * - Board filter matching on text, label, due date status and member
+ *
+ * Text queries are split on whitespace and every term must match
+ * (case-insensitive) somewhere in the card's title or description.
+ */
+
+const BoardSearch = {
+  RESULT_LIMIT: 50,
+
+  // Filter used when nothing is filtered
+  emptyFilter() {
+    return { text: '', labelId: '', due: '', memberId: '' };
+  },
+
+  isFilterActive(filter) {
+    return Boolean(filter.text.trim() || filter.labelId || filter.due || filter.memberId);
+  },
+
+  terms(query) {
+    return query.toLowerCase().split(/\s+/).filter(Boolean);
+  },
+
+  matchesText(card, terms) {
+    if (terms.length === 0) return true;
+    const haystack = `${card.title}\n${card.description || ''}`.toLowerCase();
+    return terms.every(term => haystack.includes(term));
+  },
+
+  // Search every board, archived cards included (flagged `archived`; their
+  // list may be null). Results are ordered board by board, title matches
+  // first, archived cards last.
+  search(boards, query, limit = this.RESULT_LIMIT) {
+    const terms = this.terms(query);
+    if (terms.length === 0) return [];
+
+    const results = [];
+    boards.forEach(board => {
+      const candidates = [];
+      board.lists.forEach(list => {
+        list.cards.forEach(card => candidates.push({ list, card, archived: false }));
+      });
+      BoardArchive.cards([board]).forEach(({ list, card }) => candidates.push({ list, card, archived: true }));
+
+      const boardResults = [];
+      candidates.forEach(({ list, card, archived }) => {
+        if (this.matchesText(card, terms)) {
+          const title = card.title.toLowerCase();
+          boardResults.push({ board, list, card, archived, titleMatch: terms.every(term => title.includes(term)) });
+        }
+      });
+      boardResults.sort((a, b) => (Number(a.archived) - Number(b.archived)) || (Number(b.titleMatch) - Number(a.titleMatch)));
+      results.push(...boardResults);
+    });
+    return results.slice(0, limit);
+  },
+
+  // Whether a card passes the board filter bar
+  matchesFilter(card, filter) {
+    if (!this.matchesText(card, this.terms(filter.text))) return false;
+    if (filter.labelId && !card.labelIds.includes(filter.labelId)) return false;
+    if (filter.memberId && !card.memberIds.includes(filter.memberId)) return false;
+
+    if (filter.due) {
+      const status = CardDetails.dueStatus(card);
+      if (filter.due === 'none' && status !== null) return false;
+      if (filter.due === 'overdue' && status !== 'overdue') return false;
+      if (filter.due === 'due-soon' && status !== 'due-soon') return false;
+      if (filter.due === 'any' && status === null) return false;
+    }
+    return true;
+  },
+
+  // Short excerpt of the description around the first matching term
+  excerpt(text, query, length = 80) {
+    if (!text) return '';
+    const terms = this.terms(query);
+    const lower = text.toLowerCase();
+    const hit = terms.map(term => lower.indexOf(term)).filter(i => i !== -1).sort((a, b) => a - b)[0];
+    const start = hit === undefined ? 0 : Math.max(0, hit - Math.floor(length / 3));
+    const snippet = text.slice(start, start + length).replace(/\s+/g, ' ');
+    return (start > 0 ? '…' : '') + snippet + (start + length < text.length ? '…' : '');
+  }
+};
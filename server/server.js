@@ -0,0 +1,251 @@
+/**
+ * Task Board Pilot - Reference sync server
+ * Implements:
+ * - The REST API used by RestSync (rest-sync.js)
+ * - A JSON file store with per-entity timestamps and deletion tombstones
+ * - Static hosting of the app itself (the files in app-shell.js), so it can
+ *   be opened from this server
+ *
+ * Run with:  node server/server.js
+ * Options (environment variables):
+ *   PORT       port to listen on (default 3000)
+ *   DATA_FILE  path of the JSON store (default server/data.json)
+ *
+ * API:
+ *   GET    /api/boards            -> { boards, deleted }  (nested boards,
+ *                                     deleted maps id -> deletion time)
+ *   PUT    /api/:type/:id         create or update a board, list or card
+ *   DELETE /api/:type/:id         delete it (and, for boards and lists,
+ *                                     everything inside)
+ * :type is 'boards', 'lists' or 'cards'. Writes carry the entity's
+ * updatedAt (deletes carry deletedAt); a write older than what the store
+ * already has is refused with 409 and the stored state in the body.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 3000;
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, 'data.json');
+const APP_DIR = path.join(__dirname, '..');
+// Only the app is hosted, never the store, the repository or other files
+const STATIC_FILES = new Set(['sw.js', 'app-shell.js', ...require('../app-shell.js')]);
+const TYPES = ['boards', 'lists', 'cards'];
+const MAX_BODY = 5 * 1024 * 1024;
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png'
+};
+
+// Store: { boards: {id: entity}, lists: {id: entity}, cards: {id: entity},
+// deleted: {id: deletedAt} }. Lists carry boardId, cards boardId and listId,
+// and every entity its position among its siblings.
+const store = {
+  data: null,
+
+  load() {
+    try {
+      this.data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error(`Could not read ${DATA_FILE}, starting empty:`, err.message);
+      }
+      this.data = {};
+    }
+    TYPES.concat('deleted').forEach(key => {
+      this.data[key] = this.data[key] || {};
+    });
+  },
+
+  // Write to a temporary file first so a crash can't leave half a file
+  save() {
+    const temp = `${DATA_FILE}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(this.data, null, 2));
+    fs.renameSync(temp, DATA_FILE);
+  },
+
+  // Boards with their lists and cards nested, as the app stores them
+  snapshot() {
+    const byPosition = (a, b) => (a.position - b.position) || (a.id < b.id ? -1 : 1);
+    const strip = (entity, ...keys) => {
+      const copy = { ...entity };
+      ['position', ...keys].forEach(key => delete copy[key]);
+      return copy;
+    };
+    const lists = Object.values(this.data.lists);
+    const cards = Object.values(this.data.cards);
+
+    const boards = Object.values(this.data.boards).sort(byPosition).map(board => ({
+      ...strip(board),
+      lists: lists.filter(list => list.boardId === board.id).sort(byPosition).map(list => ({
+        ...strip(list, 'boardId'),
+        cards: cards.filter(card => card.listId === list.id).sort(byPosition).map(card => strip(card, 'boardId', 'listId'))
+      }))
+    }));
+    return { boards, deleted: this.data.deleted };
+  },
+
+  put(type, id, entity) {
+    const current = this.data[type][id];
+    const deletedAt = this.data.deleted[id];
+    if ((current && current.updatedAt > entity.updatedAt) || (deletedAt && deletedAt >= entity.updatedAt)) {
+      return { conflict: true, current: current || null, deletedAt: deletedAt || null };
+    }
+    delete this.data.deleted[id];
+    this.data[type][id] = { ...entity, id };
+    return { entity: this.data[type][id] };
+  },
+
+  remove(type, id, deletedAt) {
+    const current = this.data[type][id];
+    if (current && current.updatedAt > deletedAt) {
+      return { conflict: true, current };
+    }
+    this.bury(type, id, deletedAt);
+    return {};
+  },
+
+  // Delete an entity and its children, leaving tombstones behind
+  bury(type, id, deletedAt) {
+    delete this.data[type][id];
+    this.data.deleted[id] = Math.max(this.data.deleted[id] || 0, deletedAt);
+    if (type === 'boards') {
+      Object.values(this.data.lists).filter(list => list.boardId === id).forEach(list => this.bury('lists', list.id, deletedAt));
+    } else if (type === 'lists') {
+      Object.values(this.data.cards).filter(card => card.listId === id).forEach(card => this.bury('cards', card.id, deletedAt));
+    }
+  }
+};
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      try {
+        resolve(text ? JSON.parse(text) : {});
+      } catch (err) {
+        reject(Object.assign(new Error('Request body is not valid JSON'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+async function handleApi(req, res, segments) {
+  if (req.method === 'GET' && segments.length === 1 && segments[0] === 'boards') {
+    send(res, 200, store.snapshot());
+    return;
+  }
+
+  const [type, id] = segments;
+  if (segments.length !== 2 || !TYPES.includes(type)) {
+    send(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  const body = await readBody(req);
+  if (req.method === 'PUT') {
+    if (typeof body.updatedAt !== 'number') {
+      send(res, 400, { error: 'updatedAt must be a number' });
+      return;
+    }
+    const result = store.put(type, id, body);
+    if (result.conflict) {
+      send(res, 409, result);
+      return;
+    }
+    store.save();
+    send(res, 200, result.entity);
+  } else if (req.method === 'DELETE') {
+    if (typeof body.deletedAt !== 'number') {
+      send(res, 400, { error: 'deletedAt must be a number' });
+      return;
+    }
+    const result = store.remove(type, id, body.deletedAt);
+    if (result.conflict) {
+      send(res, 409, result);
+      return;
+    }
+    store.save();
+    send(res, 204);
+  } else {
+    send(res, 405, { error: 'Method not allowed' });
+  }
+}
+
+function serveStatic(req, res, segments) {
+  const name = segments.length === 0 ? 'index.html' : segments.join('/');
+  if (segments.some(segment => segment.startsWith('.')) || !STATIC_FILES.has(name)) {
+    send(res, 404, { error: 'Not found' });
+    return;
+  }
+  const file = path.join(APP_DIR, name);
+  fs.readFile(file, (err, contents) => {
+    if (err) {
+      send(res, 404, { error: 'Not found' });
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream' });
+    res.end(contents);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  // The app may also be opened from another origin or straight from disk
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  try {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    let segments;
+    try {
+      segments = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (err) {
+      send(res, 400, { error: 'Malformed URL' });
+      return;
+    }
+    if (segments[0] === 'api') {
+      await handleApi(req, res, segments.slice(1));
+    } else if (req.method === 'GET') {
+      serveStatic(req, res, segments);
+    } else {
+      send(res, 405, { error: 'Method not allowed' });
+    }
+  } catch (err) {
+    send(res, err.status || 500, { error: err.message });
+  }
+});
+
+store.load();
+server.listen(PORT, () => {
+  console.log(`Task Board Pilot sync server on http://localhost:${PORT}/ (data in ${DATA_FILE})`);
+});
@@ -0,0 +1,333 @@
+/**
+ * Task Board Pilot - Keyboard shortcuts and the command palette
+ * Implements:
+ * - Single-key and Ctrl shortcuts for common commands, remappable by the
+ *   user and remembered per device
+ * - The "?" list of every shortcut, where bindings are changed and reset
+ * - A Ctrl+K command palette with fuzzy search over boards, lists, cards and
+ *   actions
+ *
+ * Key combinations are strings such as 'Ctrl+K', 'Shift+N', 'n' or '?'.
+ * Ctrl also stands for the Command key. Shift is part of a combination only
+ * for letters and named keys, so '?' is '?' whatever the keyboard layout
+ * needs to type it. Shortcuts without Ctrl or Alt are ignored while typing
+ * in a field, and none run while a dialog is open.
+ *
+ * BoardManager supplies what each command does (see setupShortcuts) and the
+ * palette's items.
+ */
+
+const Shortcuts = {
+  KEY: 'taskBoardPilot-shortcuts',
+  COMMANDS: [
+    { id: 'command-palette', name: 'Open the command palette', key: 'Ctrl+K' },
+    { id: 'show-shortcuts', name: 'Show keyboard shortcuts', key: '?' },
+    { id: 'search', name: 'Search cards, or filter them on a board', key: '/' },
+    { id: 'new-card', name: 'New card in the focused list, or the first list', key: 'n' },
+    { id: 'edit-card', name: 'Edit the focused card', key: 'e' },
+    { id: 'new-list', name: 'New list', key: 'l' },
+    { id: 'new-board', name: 'New board', key: 'b' },
+    { id: 'go-dashboard', name: 'Go to the dashboard', key: 'd' }
+  ],
+  // Handled elsewhere, so listed but not remappable
+  FIXED: [
+    { keys: ['Ctrl+Z'], name: 'Undo' },
+    { keys: ['Ctrl+Shift+Z', 'Ctrl+Y'], name: 'Redo' },
+    { keys: ['Arrow keys'], name: 'Move focus between cards and lists' },
+    { keys: ['Enter'], name: 'Open the focused card' },
+    { keys: ['Alt+Arrow keys'], name: 'Move the focused card or list' },
+    { keys: ['Escape'], name: 'Close a dialog' }
+  ],
+  RESERVED_KEYS: ['Enter', 'Escape', 'Tab', 'Space', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'],
+  RESERVED: ['Ctrl+Z', 'Ctrl+Shift+Z', 'Ctrl+Y'],
+  MODIFIER_KEYS: ['Control', 'Shift', 'Alt', 'Meta', 'AltGraph', 'CapsLock'],
+  // { [commandId]: combination } for bindings the user changed
+  overrides: {},
+
+  // Called once at startup; keeps bindings current across tabs
+  async init() {
+    await this.load();
+    window.addEventListener('storage', (e) => {
+      if (e.key === this.KEY) this.load();
+    });
+  },
+
+  async load() {
+    try {
+      const raw = await BoardStorage.getAdapter().getItem(this.KEY);
+      this.overrides = raw ? JSON.parse(raw) : {};
+    } catch (err) {
+      console.error('Could not read the keyboard shortcuts:', err);
+      this.overrides = {};
+    }
+    if (!this.overrides || typeof this.overrides !== 'object' || Array.isArray(this.overrides)) this.overrides = {};
+  },
+
+  persist() {
+    return BoardStorage.getAdapter().setItem(this.KEY, JSON.stringify(this.overrides)).catch(err => {
+      console.error('Failed to save the keyboard shortcuts:', err);
+    });
+  },
+
+  command(id) {
+    return this.COMMANDS.find(command => command.id === id) || null;
+  },
+
+  // The combination bound to a command; null when the user removed it
+  binding(id) {
+    return Object.prototype.hasOwnProperty.call(this.overrides, id) ? this.overrides[id] : this.command(id).key;
+  },
+
+  // The combination a keydown event stands for, or null for a lone modifier
+  comboFor(e) {
+    if (this.MODIFIER_KEYS.includes(e.key)) return null;
+    let key = e.key === ' ' ? 'Space' : e.key;
+    const letter = /^[a-z]$/i.test(key);
+    const modifiers = [
+      (e.ctrlKey || e.metaKey) && 'Ctrl',
+      e.altKey && 'Alt',
+      e.shiftKey && (letter || key.length > 1) && 'Shift'
+    ].filter(Boolean);
+    if (letter) key = modifiers.length > 0 ? key.toUpperCase() : key.toLowerCase();
+    return [...modifiers, key].join('+');
+  },
+
+  // The command a keydown event should run, if any
+  commandFor(e) {
+    if (Modal.stack.length > 0) return null;
+    const combo = this.comboFor(e);
+    if (!combo) return null;
+    const typing = e.target instanceof Element && e.target.closest('input, textarea, select, [contenteditable="true"]');
+    if (typing && !/^(Ctrl|Alt)\+/.test(combo)) return null;
+    const command = this.COMMANDS.find(c => this.binding(c.id) === combo);
+    return command ? command.id : null;
+  },
+
+  // Why a combination can't be bound to a command, or null if it can
+  conflict(id, combo) {
+    if (this.RESERVED.includes(combo) || this.RESERVED_KEYS.includes(combo.split('+').pop())) {
+      return `${combo} is used by the app and can't be changed.`;
+    }
+    const other = this.COMMANDS.find(c => c.id !== id && this.binding(c.id) === combo);
+    return other ? `${combo} is already used for "${other.name}".` : null;
+  },
+
+  // Bind a command to a combination, or with null remove its shortcut
+  rebind(id, combo) {
+    if (combo === this.command(id).key) {
+      delete this.overrides[id];
+    } else {
+      this.overrides[id] = combo;
+    }
+    this.persist();
+  },
+
+  resetAll() {
+    this.overrides = {};
+    this.persist();
+  },
+
+  // Markup for a combination, one <kbd> per key
+  format(combo) {
+    if (!combo) return DomRenderer.html`<span class="shortcut-none">None</span>`;
+    return new SafeHtml(combo.split(/\+(?!$)/).map(key => DomRenderer.html`<kbd>${key}</kbd>`.markup).join('+'));
+  },
+
+  // Every shortcut, with buttons to change, remove and reset bindings. A
+  // change listens for the next key combination; Escape cancels it.
+  buildHelp() {
+    const body = document.createElement('div');
+    body.className = 'shortcuts-help';
+    let recording = null;
+
+    // focus: selector of the control to focus after rendering
+    const render = (message = '', focus = null) => {
+      body.innerHTML = DomRenderer.html`
+        <table class="shortcuts-table">
+          <tbody>
+            ${this.COMMANDS.map(command => DomRenderer.html`
+              <tr data-command="${command.id}">
+                <th scope="row">${command.name}</th>
+                <td class="shortcut-keys">${recording === command.id ? DomRenderer.html`<span class="shortcut-recording">Press keys…</span>` : this.format(this.binding(command.id))}</td>
+                <td class="shortcut-actions">
+                  <button type="button" class="btn btn-small btn-secondary" data-shortcut="change" aria-label="Change the shortcut for ${command.name}">${recording === command.id ? 'Cancel' : 'Change'}</button>
+                  <button type="button" class="icon-btn" data-shortcut="remove" title="Remove shortcut" aria-label="Remove the shortcut for ${command.name}"><i class="fas fa-times"></i></button>
+                </td>
+              </tr>
+            `)}
+            ${this.FIXED.map(({ keys, name }) => DomRenderer.html`
+              <tr class="shortcut-fixed">
+                <th scope="row">${name}</th>
+                <td class="shortcut-keys">${new SafeHtml(keys.map(combo => this.format(combo).markup).join(' or '))}</td>
+                <td></td>
+              </tr>
+            `)}
+          </tbody>
+        </table>
+        <p class="field-error" role="alert">${message}</p>
+        <button type="button" class="btn btn-small btn-secondary" data-shortcut="reset">Reset to defaults</button>
+      `;
+      body.querySelector('.field-error').hidden = !message;
+      const target = focus && body.querySelector(focus);
+      if (target) target.focus();
+    };
+
+    body.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-shortcut]');
+      if (!button) return;
+      const action = button.getAttribute('data-shortcut');
+      const row = button.closest('[data-command]');
+      const id = row && row.getAttribute('data-command');
+      if (action === 'change') {
+        recording = recording === id ? null : id;
+      } else if (action === 'remove') {
+        recording = null;
+        this.rebind(id, null);
+      } else if (action === 'reset') {
+        recording = null;
+        this.resetAll();
+      }
+      render('', id ? `[data-command="${id}"] [data-shortcut="${action}"]` : '[data-shortcut="reset"]');
+    });
+    // Keys pressed while recording never reach the dialog or the app;
+    // Escape and Tab cancel
+    body.addEventListener('keydown', (e) => {
+      if (!recording) return;
+      e.preventDefault();
+      e.stopPropagation();
+      const id = recording;
+      const combo = this.comboFor(e);
+      if (e.key === 'Escape' || e.key === 'Tab') {
+        recording = null;
+      } else if (!combo) {
+        return;
+      }
+      const problem = recording && this.conflict(recording, combo);
+      if (recording && !problem) {
+        this.rebind(recording, combo);
+        recording = null;
+      }
+      render(problem || '', `[data-command="${id}"] [data-shortcut="change"]`);
+    });
+    render();
+    return body;
+  }
+};
+
+const CommandPalette = {
+  RESULT_LIMIT: 50,
+  GROUPS: { action: 'Action', board: 'Board', list: 'List', card: 'Card' },
+
+  // Fuzzy match: every query character must appear in order. Runs of
+  // consecutive characters and matches at word starts score higher. Returns
+  // { score, positions } or null.
+  match(query, text) {
+    const needle = query.toLowerCase().replace(/\s+/g, '');
+    const haystack = text.toLowerCase();
+    const positions = [];
+    let score = 0;
+    let from = 0;
+    for (const ch of needle) {
+      const found = haystack.indexOf(ch, from);
+      if (found === -1) return null;
+      score += 1;
+      if (positions.length > 0 && found === positions[positions.length - 1] + 1) score += 4;
+      if (found === 0 || /[\s\-_/"(]/.test(haystack[found - 1])) score += 6;
+      positions.push(found);
+      from = found + 1;
+    }
+    return { score: score - haystack.length / 100, positions };
+  },
+
+  // Items matching the query, best first; all of them for an empty query
+  search(items, query) {
+    if (!query.trim()) return items.slice(0, this.RESULT_LIMIT).map(item => ({ item, positions: [] }));
+    return items
+      .map(item => ({ item, found: this.match(query, item.title) }))
+      .filter(({ found }) => found)
+      .sort((a, b) => b.found.score - a.found.score)
+      .slice(0, this.RESULT_LIMIT)
+      .map(({ item, found }) => ({ item, positions: found.positions }));
+  },
+
+  // Title markup with the matched characters in <mark>
+  highlight(text, positions) {
+    const marked = new Set(positions);
+    return new SafeHtml([...text].map((ch, i) => (
+      marked.has(i) ? DomRenderer.html`<mark>${ch}</mark>`.markup : DomRenderer.escape(ch)
+    )).join(''));
+  },
+
+  // Open the palette over items ({ type, title, detail, run }), listed in
+  // the given order until something is typed
+  open(items) {
+    const body = document.createElement('div');
+    body.className = 'command-palette';
+    body.innerHTML = DomRenderer.html`
+      <input type="text" class="command-palette-input" placeholder="Type a command, board, list or card…" role="combobox" aria-expanded="true" aria-controls="command-palette-results" aria-autocomplete="list" aria-label="Command">
+      <ul id="command-palette-results" class="command-palette-results" role="listbox" aria-label="Commands"></ul>
+    `;
+    const input = body.querySelector('input');
+    const list = body.querySelector('ul');
+    let results = [];
+    let active = 0;
+
+    const setActive = (index) => {
+      active = index;
+      list.querySelectorAll('[role="option"]').forEach((option, i) => {
+        option.setAttribute('aria-selected', String(i === active));
+        if (i === active) option.scrollIntoView({ block: 'nearest' });
+      });
+      if (results.length > 0) {
+        input.setAttribute('aria-activedescendant', `command-palette-option-${active}`);
+      } else {
+        input.removeAttribute('aria-activedescendant');
+      }
+    };
+    const render = () => {
+      results = this.search(items, input.value);
+      list.innerHTML = results.length > 0
+        ? DomRenderer.html`${results.map(({ item, positions }, i) => DomRenderer.html`
+            <li id="command-palette-option-${i}" class="command-palette-option" role="option" aria-selected="false" data-index="${i}">
+              <span class="command-palette-type">${this.GROUPS[item.type]}</span>
+              <span class="command-palette-title">${this.highlight(item.title, positions)}</span>
+              ${item.detail ? DomRenderer.html`<span class="command-palette-detail">${item.detail}</span>` : ''}
+            </li>
+          `)}`
+        : DomRenderer.html`<li class="command-palette-empty">No matches.</li>`;
+      setActive(0);
+    };
+    // The palette closes first, so whatever the command opens gets focus
+    const run = (index) => {
+      const result = results[index];
+      if (!result) return;
+      dialog.close('submit');
+      result.item.run();
+    };
+
+    input.addEventListener('input', render);
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (results.length === 0) return;
+        setActive((active + (e.key === 'ArrowDown' ? 1 : -1) + results.length) % results.length);
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        run(active);
+      }
+    });
+    list.addEventListener('click', (e) => {
+      const option = e.target.closest('[data-index]');
+      if (option) run(Number(option.getAttribute('data-index')));
+    });
+
+    render();
+    const dialog = Modal.open({
+      id: 'command-palette-modal',
+      title: 'Command Palette',
+      body,
+      initialFocus: input
+    });
+    return dialog;
+  }
+};
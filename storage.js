@@ -0,0 +1,321 @@
+/**
+ * Task Board Pilot - Versioned storage layer
+ * Implements:
+ * - Schema version stamped into the saved data
+ * - A chain of migration steps run on load
+ * - Quarantine of corrupt or unreadable data under a backup key
+ * - Pluggable backends: localStorage, IndexedDB and in-memory
+ *
+ * Every backend exposes the same promise-based interface:
+ *   getItem(key) -> Promise<string|null>
+ *   setItem(key, value) -> Promise<void>
+ *   removeItem(key) -> Promise<void>
+ */
+
+// Backend adapters
+const StorageAdapters = {
+  // Browser localStorage (the default)
+  localStorage() {
+    return {
+      name: 'localStorage',
+      async getItem(key) {
+        return window.localStorage.getItem(key);
+      },
+      async setItem(key, value) {
+        window.localStorage.setItem(key, value);
+      },
+      async removeItem(key) {
+        window.localStorage.removeItem(key);
+      }
+    };
+  },
+
+  // Plain object store, used by tests and when no persistent storage exists
+  memory(initial = {}) {
+    const store = { ...initial };
+    return {
+      name: 'memory',
+      async getItem(key) {
+        return Object.prototype.hasOwnProperty.call(store, key) ? store[key] : null;
+      },
+      async setItem(key, value) {
+        store[key] = String(value);
+      },
+      async removeItem(key) {
+        delete store[key];
+      }
+    };
+  },
+
+  // IndexedDB key/value store for larger data sets
+  indexedDB(dbName = 'taskBoardPilot', storeName = 'keyval') {
+    let dbPromise = null;
+
+    const open = () => {
+      if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+          const request = window.indexedDB.open(dbName, 1);
+          request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+      }
+      return dbPromise;
+    };
+
+    const run = async (mode, action) => {
+      const db = await open();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = action(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+    };
+
+    return {
+      name: 'indexedDB',
+      async getItem(key) {
+        const value = await run('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+      },
+      async setItem(key, value) {
+        await run('readwrite', store => store.put(String(value), key));
+      },
+      async removeItem(key) {
+        await run('readwrite', store => store.delete(key));
+      }
+    };
+  }
+};
+
+const BoardStorage = {
+  KEY: 'taskBoardPilot-boards',
+  BACKUP_PREFIX: 'taskBoardPilot-backup-',
+  SCHEMA_VERSION: 11,
+  adapter: null,
+  // Set when unreadable data couldn't be backed up; blocks saves over it
+  locked: false,
+
+  // Migration steps, keyed by the version they produce.
+  // Each step receives the data at (version - 1) and returns it at version.
+  migrations: {
+    // v0 stored the bare boards array without a version field
+    1(data) {
+      return { version: 1, boards: data };
+    },
+    // v1 used Date.now() ids, which could collide. The integrity pass that
+    // follows every load gives duplicates fresh ids, and the result is saved.
+    2(data) {
+      return { version: 2, boards: data.boards };
+    },
+    // v3 adds board labels/members and card labels, members, due dates and checklists
+    3(data) {
+      data.boards.forEach(board => CardDetails.applyDefaults(board));
+      return { version: 3, boards: data.boards };
+    },
+    // v4 adds an updatedAt timestamp to every board, list and card for sync
+    4(data) {
+      const now = Date.now();
+      data.boards.forEach(board => {
+        board.updatedAt = board.updatedAt || now;
+        board.lists.forEach(list => {
+          list.updatedAt = list.updatedAt || now;
+          list.cards.forEach(card => {
+            card.updatedAt = card.updatedAt || now;
+          });
+        });
+      });
+      return { version: 4, boards: data.boards };
+    },
+    // v5 adds the board activity log (which also holds card comments)
+    5(data) {
+      data.boards.forEach(board => ActivityLog.applyDefaults(board));
+      return { version: 5, boards: data.boards };
+    },
+    // v6 adds the board archive of lists and cards
+    6(data) {
+      data.boards.forEach(board => BoardArchive.applyDefaults(board));
+      return { version: 6, boards: data.boards };
+    },
+    // v7 adds list WIP limits and done lists
+    7(data) {
+      data.boards.forEach(board => {
+        board.lists.forEach(list => ListPolicies.applyDefaults(list));
+        board.archive.lists.forEach(({ list }) => ListPolicies.applyDefaults(list));
+      });
+      return { version: 7, boards: data.boards };
+    },
+    // v8 adds the history of lists each card has been in, for board metrics.
+    // Existing cards are taken to have been in their current list all along.
+    8(data) {
+      const seed = (card, listId) => {
+        if (!Array.isArray(card.transitions)) {
+          card.transitions = [{ listId, at: card.createdAt || card.updatedAt || Date.now() }];
+        }
+      };
+      data.boards.forEach(board => {
+        board.lists.forEach(list => list.cards.forEach(card => seed(card, list.id)));
+        board.archive.lists.forEach(({ list }) => list.cards.forEach(card => seed(card, list.id)));
+        board.archive.cards.forEach(({ card, listId }) => seed(card, listId));
+      });
+      return { version: 8, boards: data.boards };
+    },
+    // v9 adds card attachments and covers
+    9(data) {
+      data.boards.forEach(board => CardDetails.applyDefaults(board));
+      return { version: 9, boards: data.boards };
+    },
+    // v10 adds board automation rules and recurring cards
+    10(data) {
+      data.boards.forEach(board => BoardAutomation.applyDefaults(board));
+      return { version: 10, boards: data.boards };
+    },
+    // v11 adds the data plugins keep on cards
+    11(data) {
+      data.boards.forEach(board => CardDetails.applyDefaults(board));
+      return { version: 11, boards: data.boards };
+    }
+  },
+
+  // Select the backend; falls back to memory when localStorage is unavailable
+  use(adapter) {
+    this.adapter = adapter;
+  },
+
+  getAdapter() {
+    if (!this.adapter) {
+      try {
+        window.localStorage.getItem(this.KEY);
+        this.adapter = StorageAdapters.localStorage();
+      } catch (err) {
+        this.adapter = StorageAdapters.memory();
+      }
+    }
+    return this.adapter;
+  },
+
+  // Load boards. Resolves to { boards, recovery, integrity, migrated, revision }
+  // where recovery is null on success, or { backupKey, reason, raw } when the
+  // stored data was quarantined, integrity is the BoardIntegrity.repair()
+  // report, migrated is true when the data was upgraded from an older schema
+  // and revision is the sync revision the data was saved with, if any.
+  // trash: BoardTrash entries, repaired along with the boards.
+  async load(trash = []) {
+    const adapter = this.getAdapter();
+    let raw;
+    try {
+      raw = await adapter.getItem(this.KEY);
+    } catch (err) {
+      this.locked = true;
+      return { boards: [], recovery: { backupKey: null, reason: `Storage could not be read: ${err.message}`, raw: null }, integrity: null };
+    }
+
+    if (raw === null || raw === undefined || raw === '') {
+      return { boards: [], recovery: null, integrity: null };
+    }
+
+    try {
+      const parsed = JSON.parse(raw);
+      const data = this.migrate(parsed);
+      this.validate(data);
+      const integrity = BoardIntegrity.repair(data.boards, trash);
+      return { boards: data.boards, recovery: null, integrity, migrated: parsed.version !== data.version, revision: data.revision || null };
+    } catch (err) {
+      const backupKey = await this.quarantine(raw);
+      return { boards: [], recovery: { backupKey, reason: err.message, raw }, integrity: null };
+    }
+  },
+
+  // Persist boards stamped with the current schema version, plus any extra
+  // envelope fields (e.g. the sync revision). Resolves to the payload written.
+  async save(boards, extra = {}) {
+    if (this.locked) {
+      throw new Error('Saving is disabled until the unreadable data has been recovered');
+    }
+    const payload = JSON.stringify({ version: this.SCHEMA_VERSION, ...extra, boards });
+    await this.getAdapter().setItem(this.KEY, payload);
+    return payload;
+  },
+
+  // Migrated, validated data from a saved payload, such as one written by
+  // another tab. Throws if it can't be read.
+  parse(raw) {
+    const data = this.migrate(JSON.parse(raw));
+    this.validate(data);
+    return data;
+  },
+
+  // Run every migration step between the stored version and the current one
+  migrate(data) {
+    let version = Array.isArray(data) ? 0 : data && data.version;
+    if (!Number.isInteger(version) || version < 0) {
+      throw new Error('Saved data has no valid schema version');
+    }
+    if (version > this.SCHEMA_VERSION) {
+      throw new Error(`Saved data uses schema version ${version}, newer than this app supports (${this.SCHEMA_VERSION})`);
+    }
+
+    while (version < this.SCHEMA_VERSION) {
+      const step = this.migrations[version + 1];
+      if (!step) {
+        throw new Error(`No migration from schema version ${version} to ${version + 1}`);
+      }
+      data = step(data);
+      version += 1;
+    }
+    return data;
+  },
+
+  // Throw a descriptive error if data doesn't match the current schema.
+  // Ids are not checked here; BoardIntegrity repairs missing or duplicate ones.
+  validate(data) {
+    if (!data || !Array.isArray(data.boards)) {
+      throw new Error('Saved data has no boards array');
+    }
+    data.boards.forEach((board, b) => {
+      if (!board || typeof board.name !== 'string' || !Array.isArray(board.lists)) {
+        throw new Error(`Board #${b + 1} is malformed`);
+      }
+      board.lists.forEach((list, l) => {
+        if (!list || typeof list.name !== 'string' || !Array.isArray(list.cards)) {
+          throw new Error(`List #${l + 1} on board "${board.name}" is malformed`);
+        }
+        list.cards.forEach((card, c) => {
+          if (!card || typeof card.title !== 'string') {
+            throw new Error(`Card #${c + 1} in list "${list.name}" is malformed`);
+          }
+        });
+      });
+    });
+  },
+
+  // Move unreadable data out of the way so the app can start fresh
+  async quarantine(raw) {
+    const adapter = this.getAdapter();
+    const backupKey = this.BACKUP_PREFIX + Date.now();
+    try {
+      await adapter.setItem(backupKey, raw);
+      await adapter.removeItem(this.KEY);
+      return backupKey;
+    } catch (err) {
+      // Leave the original in place rather than lose it
+      this.locked = true;
+      return null;
+    }
+  },
+
+  async readBackup(backupKey) {
+    return this.getAdapter().getItem(backupKey);
+  },
+
+  async discardBackup(backupKey) {
+    await this.getAdapter().removeItem(backupKey);
+  },
+
+  // Allow saving again once the user has dealt with unreadable data
+  unlock() {
+    this.locked = false;
+  }
+};
@@ -0,0 +1,67 @@
+/**
+ * Task Board Pilot - Service worker
+ * Implements:
+ * - Caching the app shell (page, styles, scripts, icons and manifest) on
+ *   install, so the app opens and works without a network
+ * - Answering shell requests and page loads from that cache
+ * - Switching to a new version only when the page asks it to
+ *
+ * A new version is one with a different VERSION, a hash of the shell files
+ * that `npm run shell-version` writes (see tools/shell-version.js). The new
+ * worker installs beside the old one and waits until the user accepts the
+ * update (see offline.js), which posts 'skip-waiting'. The files cached are
+ * those listed in app-shell.js.
+ *
+ * Anything outside the shell, the sync API included, goes to the network
+ * untouched, so RestSync still notices when the server is unreachable.
+ */
+
+const VERSION = '435680666cc0f6ec';
+const CACHE_PREFIX = 'taskBoardPilot-shell-';
+const CACHE_NAME = `${CACHE_PREFIX}${VERSION}`;
+importScripts('app-shell.js');
+const SHELL = ['./', ...APP_SHELL];
+const SHELL_URLS = new Set(SHELL.map(path => new URL(path, self.registration.scope).href));
+
+self.addEventListener('install', (event) => {
+  // cache: 'reload' skips the HTTP cache, so a new version never stores old files
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache => cache.addAll(SHELL.map(path => new Request(path, { cache: 'reload' }))))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'skip-waiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  // Every page in scope is the app; routes live in the hash
+  if (request.mode === 'navigate' && request.url.startsWith(self.registration.scope)) {
+    event.respondWith(
+      caches.match(new URL('index.html', self.registration.scope).href)
+        .then(cached => cached || fetch(request))
+    );
+    return;
+  }
+
+  const url = new URL(request.url);
+  url.search = '';
+  url.hash = '';
+  if (!SHELL_URLS.has(url.href)) return;
+  event.respondWith(
+    caches.match(request, { ignoreSearch: true }).then(cached => cached || fetch(request))
+  );
+});
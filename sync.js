@@ -0,0 +1,216 @@
+/**
+ * Task Board Pilot - Live sync between tabs
+ * Implements:
+ * - Change notifications through the storage event (localStorage) and a
+ *   BroadcastChannel (any backend, including IndexedDB)
+ * - Three-way merge of another tab's boards with this tab's, per board,
+ *   list and card, so concurrent edits to different items are both kept
+ *
+ * Every save is stamped with a revision id and the revision it was based on
+ * (its parent). The parent of an incoming save is the common ancestor for a
+ * three-way merge: for an item both tabs changed, fields changed here win
+ * over fields changed there, and an item deleted on either side stays
+ * deleted. Board labels, members, rules, recurring cards and archive records
+ * are merged item by item in the same way. Recent revisions are kept in
+ * memory to serve as merge bases.
+ */
+
+const TabSync = {
+  CHANNEL_NAME: 'taskBoardPilot-sync',
+  REVISION_HISTORY: 20,
+  // Board fields holding items with ids, merged like lists and cards
+  BOARD_COLLECTIONS: ['labels', 'members', 'rules', 'recurring'],
+  manager: null,
+  channel: null,
+  // Revision of the data this tab last saved or took from another tab
+  head: null,
+  // revision id -> boards, oldest first
+  revisions: new Map(),
+  // Last payload written or received, to skip duplicate notifications
+  lastPayload: null,
+
+  // Called once at startup with the BoardManager, after its boards are
+  // loaded from the saved data with the given revision (null for none)
+  init(manager, revision) {
+    this.manager = manager;
+    this.remember(revision || 'initial', manager.boards);
+
+    window.addEventListener('storage', (e) => {
+      if (e.key === BoardStorage.KEY && e.newValue) {
+        this.receive(e.newValue);
+      }
+    });
+    if (typeof BroadcastChannel === 'function') {
+      this.channel = new BroadcastChannel(this.CHANNEL_NAME);
+      this.channel.onmessage = (e) => {
+        if (e.data && e.data.type === 'saved') {
+          this.receive(e.data.payload);
+        }
+      };
+    }
+  },
+
+  remember(revision, boards) {
+    this.head = revision;
+    this.revisions.delete(revision);
+    this.revisions.set(revision, this.clone(boards));
+    if (this.revisions.size > this.REVISION_HISTORY) {
+      this.revisions.delete(this.revisions.keys().next().value);
+    }
+  },
+
+  // Revision fields stamped into the next save
+  nextRevision() {
+    return { revision: IdGenerator.next(), parent: this.head };
+  },
+
+  // Called after this tab saved `payload`
+  published(payload) {
+    const data = JSON.parse(payload);
+    this.lastPayload = payload;
+    if (data.revision) {
+      this.remember(data.revision, data.boards);
+    }
+    if (this.channel) {
+      this.channel.postMessage({ type: 'saved', payload });
+    }
+  },
+
+  // Merge boards saved by another tab into this one
+  receive(payload) {
+    if (payload === this.lastPayload || BoardStorage.locked) return;
+    this.lastPayload = payload;
+
+    let data;
+    try {
+      data = BoardStorage.parse(payload);
+    } catch (err) {
+      console.error('Ignoring unreadable boards from another tab:', err);
+      return;
+    }
+
+    // Without a known parent, merge against what this tab last agreed on
+    const base = this.revisions.get(data.parent) || this.revisions.get(this.head);
+    const merged = this.merge(base, this.manager.boards, data.boards);
+    if (data.revision) {
+      this.remember(data.revision, data.boards);
+    }
+    this.manager.applyRemoteBoards(merged, {
+      // Anything here that the other tab doesn't have yet is saved back
+      unsaved: JSON.stringify(merged) !== JSON.stringify(data.boards)
+    });
+  },
+
+  clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  },
+
+  merge(base, local, remote) {
+    const mergeItem = (b, l, r) => this.mergeFields(b, l, r);
+    const items = (b, l, r) => this.mergeCollection(b, l || [], r || [], mergeItem);
+    const boards = this.mergeCollection(base, local, remote, (b, l, r) => {
+      const collections = Object.fromEntries(this.BOARD_COLLECTIONS.map(key => [key, items]));
+      return this.mergeFields(b, l, r, {
+        ...collections,
+        // Activity entries are only ever added or removed, so keep both sides'
+        activity: (ba, la, ra) => ActivityLog.merge(ra, la).filter(e => !this.removedFrom(ba, la, ra, e.id)),
+        archive: (ba, la, ra) => this.mergeArchive(ba, la, ra),
+        lists: (bl, ll, rl) => this.mergeCollection(bl, ll, rl, (bList, lList, rList) => this.mergeFields(bList, lList, rList, {
+          cards: (bc, lc, rc) => this.mergeCollection(bc, lc, rc, mergeItem)
+        }))
+      });
+    });
+    this.removeDuplicateCards(boards);
+    return boards;
+  },
+
+  // Archive records are identified by the list or card they hold
+  mergeArchive(base, local, remote) {
+    const records = (key, idOf) => this.mergeCollection(
+      base && base[key],
+      (local && local[key]) || [],
+      (remote && remote[key]) || [],
+      (b, l, r) => this.mergeFields(b, l, r),
+      idOf
+    ).sort((a, b) => a.archivedAt - b.archivedAt);
+    return {
+      lists: records('lists', record => record.list.id),
+      cards: records('cards', record => record.card.id)
+    };
+  },
+
+  // Merge two edited copies of an ordered array of items with ids
+  mergeCollection(base, local, remote, mergeItem, idOf = item => item.id) {
+    const byId = (items) => new Map((items || []).map(item => [idOf(item), item]));
+    const baseItems = byId(base);
+    const localItems = byId(local);
+    const remoteItems = byId(remote);
+
+    // Keep whichever side reordered; otherwise the other tab's order
+    const sameOrder = (a, b) => a.length === b.length && a.every((id, i) => id === b[i]);
+    const baseOrder = (base || []).map(idOf);
+    const localOrder = local.map(idOf);
+    const remoteOrder = remote.map(idOf);
+    const [primary, secondary] = sameOrder(localOrder, baseOrder) ? [remoteOrder, localOrder] : [localOrder, remoteOrder];
+
+    // Items only the secondary side has go after their predecessor there
+    const order = [...primary];
+    secondary.forEach((id, i) => {
+      if (order.includes(id)) return;
+      const after = order.indexOf(secondary[i - 1]);
+      order.splice(after + 1, 0, id);
+    });
+
+    return order
+      .filter(id => {
+        // Deleted on either side
+        if (baseItems.has(id)) return localItems.has(id) && remoteItems.has(id);
+        return true;
+      })
+      .map(id => {
+        const l = localItems.get(id);
+        const r = remoteItems.get(id);
+        if (l && r) return mergeItem(baseItems.get(id) || r, l, r);
+        return this.clone(l || r);
+      });
+  },
+
+  // Field-by-field merge of one item. children maps the keys of fields that
+  // are merged item by item to a (base, local, remote) => value function.
+  mergeFields(base, local, remote, children = {}) {
+    const merged = {};
+    // Remote key order first, so a merge that changed nothing compares equal
+    const keys = new Set([...Object.keys(remote), ...Object.keys(local)]);
+    keys.forEach(key => {
+      if (Object.prototype.hasOwnProperty.call(children, key)) {
+        merged[key] = children[key](base[key], local[key], remote[key]);
+        return;
+      }
+      const changedHere = JSON.stringify(local[key]) !== JSON.stringify(base[key]);
+      const value = changedHere || !(key in remote) ? local[key] : remote[key];
+      if (value !== undefined) merged[key] = this.clone(value);
+    });
+    return merged;
+  },
+
+  // Whether an entry that existed in the base was removed on either side
+  removedFrom(base, local, remote, id) {
+    const has = (entries) => (entries || []).some(e => e.id === id);
+    return has(base) && (!has(local) || !has(remote));
+  },
+
+  // A card moved to different lists in both tabs would show up twice;
+  // keep its first occurrence
+  removeDuplicateCards(boards) {
+    const seen = new Set();
+    boards.forEach(board => {
+      board.lists.forEach(list => {
+        list.cards = list.cards.filter(card => {
+          if (seen.has(card.id)) return false;
+          seen.add(card.id);
+          return true;
+        });
+      });
+    });
+  }
+};
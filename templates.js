@@ -0,0 +1,196 @@
+/**
+ * Task Board Pilot - Board templates and copies
+ * Implements:
+ * - Built-in board templates and templates saved from existing boards
+ * - Deep copies of boards, lists and cards with fresh ids, with or without
+ *   the cards
+ *
+ * A template is { id, name, builtIn?, board } where board holds lists (and
+ * possibly cards), labels and members. Boards are created from a template
+ * by copying its board, so templates can use any ids or none at all.
+ */
+
+const BoardTemplates = {
+  KEY: 'taskBoardPilot-templates',
+  BUILT_IN: [
+    {
+      id: 'builtin-kanban',
+      name: 'Kanban',
+      builtIn: true,
+      board: {
+        lists: [
+          { name: 'To Do', cards: [] },
+          { name: 'Doing', cards: [] },
+          { name: 'Done', cards: [] }
+        ]
+      }
+    },
+    {
+      id: 'builtin-sprint',
+      name: 'Sprint',
+      builtIn: true,
+      board: {
+        labels: [
+          { id: 'feature', name: 'Feature', color: 'green' },
+          { id: 'bug', name: 'Bug', color: 'red' },
+          { id: 'chore', name: 'Chore', color: 'blue' }
+        ],
+        lists: [
+          { name: 'Backlog', cards: [] },
+          {
+            name: 'To Do',
+            cards: [{
+              title: 'Sprint ceremonies',
+              checklists: [{
+                title: 'Ceremonies',
+                items: ['Sprint planning', 'Daily stand-ups', 'Sprint review', 'Retrospective'].map(text => ({ text, done: false }))
+              }]
+            }]
+          },
+          { name: 'In Progress', cards: [] },
+          { name: 'Review', cards: [] },
+          { name: 'Done', cards: [] }
+        ]
+      }
+    },
+    {
+      id: 'builtin-bugs',
+      name: 'Bug tracking',
+      builtIn: true,
+      board: {
+        labels: [
+          { id: 'critical', name: 'Critical', color: 'red' },
+          { id: 'major', name: 'Major', color: 'orange' },
+          { id: 'minor', name: 'Minor', color: 'yellow' }
+        ],
+        lists: [
+          { name: 'Reported', cards: [] },
+          { name: 'Confirmed', cards: [] },
+          { name: 'Fixing', cards: [] },
+          { name: 'Verified', cards: [] }
+        ]
+      }
+    }
+  ],
+  // Templates saved by the user, oldest first
+  saved: [],
+
+  // Called once at startup; keeps saved templates current across tabs
+  async init() {
+    await this.load();
+    window.addEventListener('storage', (e) => {
+      if (e.key === this.KEY) this.load();
+    });
+  },
+
+  async load() {
+    try {
+      const raw = await BoardStorage.getAdapter().getItem(this.KEY);
+      this.saved = raw ? JSON.parse(raw) : [];
+    } catch (err) {
+      console.error('Could not read the saved templates:', err);
+      this.saved = [];
+    }
+    if (!Array.isArray(this.saved)) this.saved = [];
+  },
+
+  persist() {
+    return BoardStorage.getAdapter().setItem(this.KEY, JSON.stringify(this.saved)).catch(err => {
+      console.error('Failed to save the templates:', err);
+    });
+  },
+
+  all() {
+    return [...this.BUILT_IN, ...this.saved];
+  },
+
+  get(templateId) {
+    return this.all().find(template => template.id === templateId) || null;
+  },
+
+  // Save a board as a template; a saved template with the same name is replaced
+  save(name, board, { includeCards }) {
+    const { lists, labels, members } = this.copyBoard(board, { includeCards });
+    const template = { id: IdGenerator.next(), name, board: { lists, labels, members } };
+    this.saved = this.saved.filter(t => t.name !== name).concat(template);
+    this.persist();
+    return template;
+  },
+
+  remove(templateId) {
+    this.saved = this.saved.filter(t => t.id !== templateId);
+    this.persist();
+  },
+
+  // A new board from a template
+  createBoard(template, name) {
+    return this.copyBoard(template.board, { name, includeCards: true });
+  },
+
+  // Deep copy of a board with fresh ids for it and everything inside. Cards
+  // keep their labels and members, which are copied too. Activity, archive
+  // and sync timestamps are not carried over.
+  copyBoard(board, { name = board.name, includeCards = true } = {}) {
+    const refs = { labels: new Map(), members: new Map() };
+    const copyRefs = (items, map) => (items || []).map(item => {
+      const id = IdGenerator.next();
+      map.set(item.id, id);
+      return { ...item, id };
+    });
+    const labels = copyRefs(board.labels, refs.labels);
+    const members = copyRefs(board.members, refs.members);
+    const { id, updatedAt, lists, activity, archive, ...fields } = board;
+    const copy = {
+      ...this.clone(fields),
+      id: IdGenerator.next(),
+      name,
+      lists: (board.lists || []).map(list => this.copyList(list, { includeCards, refs })),
+      labels,
+      members,
+      activity: [],
+      archive: { lists: [], cards: [] }
+    };
+    // Rules and recurring cards follow their lists and labels to the copies
+    const renamed = new Map(refs.labels);
+    (board.lists || []).forEach((list, i) => renamed.set(list.id, copy.lists[i].id));
+    return BoardAutomation.remap(copy, renamed);
+  },
+
+  // refs maps label and member ids when copying onto another board
+  copyList(list, { name = list.name, includeCards = true, refs = null } = {}) {
+    const { id, updatedAt, cards, ...fields } = list;
+    const copy = ListPolicies.applyDefaults({
+      ...this.clone(fields),
+      id: IdGenerator.next(),
+      name,
+      cards: includeCards ? (list.cards || []).map(card => this.copyCard(card, { refs })) : []
+    });
+    copy.cards.forEach(card => {
+      card.transitions = [{ listId: copy.id, at: card.createdAt }];
+    });
+    return copy;
+  },
+
+  // The copy's list history starts over; callers record the list it goes in
+  copyCard(card, { title = card.title, refs = null } = {}) {
+    const { updatedAt, transitions, dueHandled, ...fields } = CardDetails.applyCardDefaults(this.clone(card));
+    const mapIds = (ids, map) => (map ? ids.map(id => map.get(id)).filter(Boolean) : ids);
+    return {
+      ...fields,
+      id: IdGenerator.next(),
+      title,
+      createdAt: Date.now(),
+      labelIds: mapIds(fields.labelIds, refs && refs.labels),
+      memberIds: mapIds(fields.memberIds, refs && refs.members),
+      checklists: fields.checklists.map(checklist => ({
+        ...checklist,
+        id: IdGenerator.next(),
+        items: (checklist.items || []).map(item => ({ ...item, id: IdGenerator.next() }))
+      }))
+    };
+  },
+
+  clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+};
@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+const RENDERS = 10;
+
+// Count calls to a BoardManager method without running it
+function spy(manager, method) {
+  const spied = { calls: 0 };
+  manager[method] = () => {
+    spied.calls++;
+  };
+  return spied;
+}
+
+test('a click runs its action once however often the board is rendered', async () => {
+  const { window, document, manager } = await loadApp();
+  test.after(() => window.close());
+  manager.createBoard('Board');
+  manager.createList(manager.boards[0].id, 'To do');
+  manager.openBoard(manager.boards[0].id);
+  for (let i = 0; i < RENDERS; i++) manager.renderBoard();
+
+  const addList = spy(manager, 'showAddListModal');
+  const editBoard = spy(manager, 'showEditBoardModal');
+  const addCard = spy(manager, 'showAddCardModal');
+  document.getElementById('add-list-btn').click();
+  document.getElementById('edit-board-btn').click();
+  document.querySelector('.list [data-action="add-card"]').click();
+
+  assert.strictEqual(addList.calls, 1);
+  assert.strictEqual(editBoard.calls, 1);
+  assert.strictEqual(addCard.calls, 1);
+});
+
+test('a click on the dashboard runs its action once after repeated renders', async () => {
+  const { window, document, manager } = await loadApp();
+  test.after(() => window.close());
+  for (let i = 0; i < RENDERS; i++) manager.renderDashboard();
+
+  const createBoard = spy(manager, 'showAddBoardModal');
+  document.getElementById('create-board-btn').click();
+
+  assert.strictEqual(createBoard.calls, 1);
+});
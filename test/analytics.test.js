@@ -0,0 +1,10 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+test('CSV cells that a spreadsheet could read as a formula are quoted as text', async () => {
+  const { window } = await loadApp();
+  test.after(() => window.close());
+  const csv = window.eval('BoardAnalytics').toCsv([['=1+1', '+1', '-1', '@SUM(A1)', '\t=1', '\r=1', 'plain']]);
+  assert.strictEqual(csv, `'=1+1,'+1,'-1,'@SUM(A1),'\t=1,"'\r=1",plain\r\n`);
+});
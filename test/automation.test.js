@@ -0,0 +1,18 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+test('a recurring card with no next occurrence is turned off instead of added on every tick', async () => {
+  const { window, manager } = await loadApp();
+  test.after(() => window.close());
+  const BoardAutomation = window.eval('BoardAutomation');
+  manager.createBoard('Board');
+  const board = manager.boards[0];
+  manager.createList(board.id, 'To do');
+  board.recurring.push({ ...BoardAutomation.newRecurring(board), title: 'Report', time: 'noon' });
+
+  BoardAutomation.createRecurringCards(board, Date.now());
+  BoardAutomation.createRecurringCards(board, Date.now());
+  assert.strictEqual(board.recurring[0].enabled, false);
+  assert.strictEqual(board.lists[0].cards.length, 0);
+});
@@ -0,0 +1,21 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+test('Ctrl+Z does nothing while a dialog is open', async () => {
+  const { window, document, manager } = await loadApp();
+  test.after(() => window.close());
+  manager.createBoard('Board');
+  const board = manager.boards[0];
+  manager.openBoard(board.id);
+  manager.createList(board.id, 'To do');
+  const undo = () => document.body.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'z', ctrlKey: true, bubbles: true }));
+
+  manager.showEditBoardModal(board.id);
+  undo();
+  assert.strictEqual(board.lists.length, 1);
+
+  window.eval('Modal').top().close();
+  undo();
+  assert.strictEqual(board.lists.length, 0);
+});
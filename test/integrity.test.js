@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+test('archived and trashed items are repaired along with the live boards', async () => {
+  const { window } = await loadApp();
+  test.after(() => window.close());
+  const BoardIntegrity = window.eval('BoardIntegrity');
+  const card = (id, labelIds) => ({ id, title: id, labelIds, memberIds: [] });
+  const board = {
+    id: 'board',
+    name: 'Board',
+    labels: [{ id: 'bug', name: 'Bug' }, { id: 'bug', name: 'Defect' }],
+    members: [],
+    lists: [{ id: 'list', name: 'To do', cards: [card('card', ['bug'])] }],
+    archive: {
+      lists: [{ list: { id: 'list', name: 'Done', cards: [card('archived-in-list', ['gone'])] }, index: 1, archivedAt: 1 }],
+      cards: [{ card: card('card', ['bug', 'gone']), listId: 'list', index: 0, archivedAt: 2 }]
+    }
+  };
+  const trash = [{ id: 'entry', type: 'card', item: card('archived-in-list', ['gone']), boardId: 'board', listId: 'list', index: 0, deletedAt: 3 }];
+
+  const report = BoardIntegrity.repair([board], trash);
+
+  const [bug, defect] = board.labels;
+  assert.strictEqual(bug.id, 'bug');
+  assert.notStrictEqual(defect.id, 'bug');
+  // Live items keep their ids
+  assert.strictEqual(board.lists[0].id, 'list');
+  assert.strictEqual(board.lists[0].cards[0].id, 'card');
+  const archivedList = board.archive.lists[0].list;
+  const archivedCard = board.archive.cards[0].card;
+  assert.notStrictEqual(archivedList.id, 'list');
+  assert.notStrictEqual(archivedCard.id, 'card');
+  assert.strictEqual(archivedList.cards[0].id, 'archived-in-list');
+  assert.notStrictEqual(trash[0].item.id, 'archived-in-list');
+  assert.deepStrictEqual([...archivedList.cards[0].labelIds], []);
+  assert.deepStrictEqual([...archivedCard.labelIds], ['bug']);
+  assert.deepStrictEqual([...trash[0].item.labelIds], []);
+  assert.strictEqual(report.repaired, 7);
+});
+
+test('saved boards and trash are repaired before the app first renders them', async () => {
+  const saved = {
+    version: 11,
+    boards: [{
+      id: 'board',
+      name: 'Board',
+      labels: [],
+      members: [],
+      lists: [{ id: 'list', name: 'To do', cards: [{ id: 'card', title: 'X', labelIds: [], memberIds: [] }] }]
+    }]
+  };
+  const trash = [{ id: 'entry', type: 'card', item: { id: 'card', title: 'Y', labelIds: ['gone'], memberIds: [] }, boardId: 'board', listId: 'list', index: 0, deletedAt: Date.now() }];
+  let atStart = null;
+  const { window } = await loadApp({
+    beforeStart(window) {
+      window.localStorage.setItem('taskBoardPilot-boards', JSON.stringify(saved));
+      window.localStorage.setItem('taskBoardPilot-trash', JSON.stringify(trash));
+      const Router = window.eval('Router');
+      const start = Router.start;
+      Router.start = function () {
+        atStart = JSON.parse(JSON.stringify(window.eval('BoardTrash').entries[0].item));
+        return start.call(this);
+      };
+    }
+  });
+  test.after(() => window.close());
+  assert.notStrictEqual(atStart.id, 'card');
+  assert.deepStrictEqual(atStart.labelIds, []);
+});
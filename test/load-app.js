@@ -0,0 +1,55 @@
+/**
+ * Loads index.html and its scripts into jsdom and waits for BoardManager to
+ * start, for tests that drive the app through its DOM. Call window.close()
+ * when done so the app's timers stop.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+// hash: optional location hash to open the app at
+// globals: optional properties to add to the window before the app loads
+// beforeStart: optional function called with the window once the scripts
+// have loaded, before the app starts
+// failStart: true when the app is expected to fail to start
+async function loadApp({ hash = '', globals = {}, beforeStart = null, failStart = false } = {}) {
+  const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  const scripts = [...html.matchAll(/<script src="([^"]+)"><\/script>/g)].map(match => match[1]);
+  const dom = new JSDOM(html.replace(/<script src="[^"]+"><\/script>/g, ''), {
+    url: `http://localhost/${hash}`,
+    runScripts: 'dangerously',
+    pretendToBeVisual: true
+  });
+  const { window } = dom;
+  window.confirm = () => true;
+  Object.assign(window, globals);
+  // Inline, so they share one global scope as they do in the page
+  scripts.forEach(file => {
+    const script = window.document.createElement('script');
+    script.textContent = `${fs.readFileSync(path.join(ROOT, file), 'utf8')}\n//# sourceURL=${file}`;
+    window.document.body.appendChild(script);
+  });
+  if (beforeStart) beforeStart(window);
+  // The app starts itself on DOMContentLoaded; wait for that start to finish
+  const manager = window.eval('BoardManager');
+  const init = manager.init;
+  const started = new Promise(resolve => {
+    manager.init = function () {
+      const running = init.call(this);
+      resolve(running);
+      return running;
+    };
+  });
+  if (window.document.readyState !== 'loading') manager.init();
+  try {
+    await started;
+  } catch (err) {
+    if (!failStart) throw err;
+  }
+  return { window, document: window.document, manager };
+}
+
+module.exports = { loadApp };
@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+// Values from the page's realm, as plain values of this one
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+test('moving a card to another board drops label and member ids its board no longer has', async () => {
+  const { window, manager } = await loadApp();
+  test.after(() => window.close());
+  manager.createBoard('From');
+  manager.createBoard('To');
+  const [from, to] = manager.boards;
+  manager.createList(from.id, 'To do');
+  manager.createList(to.id, 'To do');
+  manager.createCard(from.id, from.lists[0].id, 'X');
+  const card = from.lists[0].cards[0];
+  from.labels.push({ id: 'label-1', name: 'Bug', color: 'red' });
+  card.labelIds = ['label-1', 'missing-label'];
+  card.memberIds = ['missing-member'];
+
+  assert.notStrictEqual(manager.moveCard(from.id, from.lists[0].id, card.id, to.id, to.lists[0].id, 0), false);
+  const moved = to.lists[0].cards[0];
+  assert.deepStrictEqual(plain(moved.labelIds), [to.labels.find(label => label.name === 'Bug').id]);
+  assert.deepStrictEqual(plain(moved.memberIds), []);
+});
@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+// An app with a board open, then a plugin vetoing every hook in `hooks`
+async function setup(hooks) {
+  const app = await loadApp();
+  const { window, manager } = app;
+  manager.createBoard('Board');
+  const board = manager.boards[0];
+  manager.createList(board.id, 'To do');
+  manager.createList(board.id, 'Done');
+  manager.createCard(board.id, board.lists[0].id, 'X', '', { dueDate: '2026-10-20' });
+  manager.openBoard(board.id);
+  window.eval('BoardPlugins').register({
+    id: 'freeze',
+    setup(api) {
+      hooks.forEach(hook => api.before(hook, (change, veto) => veto('Frozen')));
+    }
+  });
+  const announced = [];
+  manager.announce = (message) => announced.push(message);
+  return { ...app, board, announced };
+}
+
+test('a vetoed keyboard list move is not announced as a move', async () => {
+  const { window, document, board, announced } = await setup(['list:move']);
+  test.after(() => window.close());
+  const [first] = board.lists;
+  window.eval('CardMovement').moveFocusedList(document.querySelector(`.list[data-list-id="${first.id}"]`), 'right');
+  assert.strictEqual(board.lists[0], first);
+  assert.deepStrictEqual(announced.filter(message => message.startsWith('Moved')), []);
+});
+
+test('a vetoed calendar drop keeps the due date and is not announced', async () => {
+  const { window, document, board, announced } = await setup(['card:update']);
+  test.after(() => window.close());
+  const card = board.lists[0].cards[0];
+  const mode = document.getElementById('view-mode');
+  mode.value = 'calendar';
+  mode.dispatchEvent(new window.Event('change'));
+  window.eval('BoardViews').months[board.id] = '2026-10';
+  window.eval('BoardManager').renderBoard();
+
+  document.querySelector(`.view-card[data-card-id="${card.id}"]`).dispatchEvent(new window.Event('dragstart', { bubbles: true }));
+  document.querySelector('.calendar-day[data-date="2026-10-22"]').dispatchEvent(new window.Event('drop', { bubbles: true, cancelable: true }));
+  assert.strictEqual(card.dueDate, '2026-10-20');
+  assert.deepStrictEqual(announced.filter(message => message.includes('due')), []);
+  assert.ok(document.querySelector(`.calendar-day[data-date="2026-10-20"] .view-card[data-card-id="${card.id}"]`));
+});
+
+test('copies, restores and new labels and members go through the create hooks', async () => {
+  const { window, board, announced } = await setup(['board:create', 'list:create', 'card:create', 'label:create', 'member:create']);
+  test.after(() => window.close());
+  const manager = window.eval('BoardManager');
+  const BoardTrash = window.eval('BoardTrash');
+  const [list] = board.lists;
+  const card = list.cards[0];
+
+  assert.strictEqual(manager.copyBoard(board.id, 'Copy', true), false);
+  assert.strictEqual(manager.copyList(board.id, list.id, 'Copy', true), false);
+  assert.strictEqual(manager.copyCard(board.id, list.id, card.id), false);
+  assert.strictEqual(manager.createLabel(board.id, 'Bug', 'red'), null);
+  assert.strictEqual(manager.createMember(board.id, 'Ann'), null);
+  manager.deleteCard(board.id, list.id, card.id);
+  assert.strictEqual(manager.restoreFromTrash(BoardTrash.entries[0].id), false);
+
+  assert.strictEqual(manager.boards.length, 1);
+  assert.strictEqual(board.lists.length, 2);
+  assert.strictEqual(list.cards.length, 0);
+  assert.strictEqual(board.labels.length + board.members.length, 0);
+  assert.strictEqual(BoardTrash.entries.length, 1);
+  assert.strictEqual(announced.filter(message => message === 'Frozen').length, 6);
+});
+
+test('a copy takes the name a create hook gives it and tells it what is copied', async () => {
+  const { window, board } = await setup([]);
+  test.after(() => window.close());
+  const manager = window.eval('BoardManager');
+  const seen = [];
+  window.eval('BoardPlugins').register({
+    id: 'rename',
+    setup(api) {
+      api.before('list:create', (change) => {
+        seen.push(change.copyOf);
+        return { ...change, name: `${change.name}!` };
+      });
+    }
+  });
+  const [list] = board.lists;
+
+  manager.copyList(board.id, list.id, 'Copy', true);
+  assert.deepStrictEqual(seen, [list.id]);
+  assert.strictEqual(board.lists[1].name, 'Copy!');
+});
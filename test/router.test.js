@@ -0,0 +1,12 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+test('a link with a malformed escape opens the dashboard and the app finishes starting', async () => {
+  const { window, manager } = await loadApp({ hash: '#/board/%E0%A4%A' });
+  test.after(() => window.close());
+  assert.strictEqual(window.eval('Router').currentPath(), '/');
+  assert.strictEqual(manager.currentView, 'dashboard');
+  // Set up by the last steps of init
+  assert.strictEqual(window.eval('BoardAutomation').manager, manager);
+});
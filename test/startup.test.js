@@ -0,0 +1,24 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+test('a storage failure while starting shows the recovery notice', async () => {
+  const errors = [];
+  const { window, document } = await loadApp({
+    failStart: true,
+    beforeStart(window) {
+      window.console.error = (...args) => errors.push(args);
+      window.eval('BoardTemplates').init = () => Promise.reject(new Error('Storage is gone'));
+    }
+  });
+  test.after(() => window.close());
+  // The app's own .catch runs after the rejection reaches the test
+  await new Promise(resolve => window.setTimeout(resolve, 0));
+
+  const notice = document.getElementById('recovery-notice');
+  assert.ok(notice);
+  assert.match(notice.textContent, /The app could not start: Storage is gone/);
+  assert.strictEqual(document.getElementById('dashboard').style.display, 'block');
+  assert.strictEqual(window.eval('BoardStorage').locked, true);
+  assert.strictEqual(errors.length, 1);
+});
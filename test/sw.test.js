@@ -0,0 +1,7 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { shellVersion, currentVersion } = require('../tools/shell-version');
+
+test('the service worker version matches the app shell files', () => {
+  assert.strictEqual(currentVersion(), shellVersion(), 'A shell file changed: run `npm run shell-version`');
+});
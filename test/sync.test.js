@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+// Values from the page's realm, as plain values of this one
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+// Boards as another tab and this tab see them, both starting from base
+async function setup() {
+  const app = await loadApp();
+  const { window, manager } = app;
+  manager.createBoard('Board');
+  const board = manager.boards[0];
+  manager.createList(board.id, 'To do');
+  manager.createCard(board.id, board.lists[0].id, 'X');
+  manager.createCard(board.id, board.lists[0].id, 'Y');
+  const TabSync = window.eval('TabSync');
+  const base = TabSync.clone(manager.boards);
+  return { ...app, TabSync, base, local: TabSync.clone(base), remote: TabSync.clone(base) };
+}
+
+test('cards archived in different tabs both stay in the archive', async () => {
+  const { window, TabSync, base, local, remote } = await setup();
+  test.after(() => window.close());
+  const archive = (boards, title) => {
+    const [board] = boards;
+    const list = board.lists[0];
+    const index = list.cards.findIndex(card => card.title === title);
+    const [card] = list.cards.splice(index, 1);
+    board.archive.cards.push({ card, listId: list.id, index, archivedAt: Date.now() });
+  };
+  archive(local, 'X');
+  archive(remote, 'Y');
+
+  const [merged] = TabSync.merge(base, local, remote);
+  assert.deepStrictEqual(plain(merged.lists[0].cards.map(card => card.title)), []);
+  assert.deepStrictEqual(plain(merged.archive.cards.map(record => record.card.title).sort()), ['X', 'Y']);
+});
+
+test('labels and members added in different tabs are both kept', async () => {
+  const { window, TabSync, base, local, remote } = await setup();
+  test.after(() => window.close());
+  local[0].labels.push({ id: 'label-local', name: 'Bug', color: 'red' });
+  local[0].lists[0].cards[0].labelIds.push('label-local');
+  remote[0].labels.push({ id: 'label-remote', name: 'Idea', color: 'blue' });
+  remote[0].members.push({ id: 'member-remote', name: 'Sam' });
+  remote[0].lists[0].cards[1].memberIds.push('member-remote');
+
+  const [merged] = TabSync.merge(base, local, remote);
+  assert.deepStrictEqual(plain(merged.labels.map(label => label.id).sort()), ['label-local', 'label-remote']);
+  assert.deepStrictEqual(plain(merged.members.map(member => member.id)), ['member-remote']);
+  assert.deepStrictEqual(plain(merged.lists[0].cards[0].labelIds), ['label-local']);
+  assert.deepStrictEqual(plain(merged.lists[0].cards[1].memberIds), ['member-remote']);
+});
+
+test('a label removed in one tab is removed from cards that use it in the other', async () => {
+  const { window, manager, TabSync } = await setup();
+  test.after(() => window.close());
+  const board = manager.boards[0];
+  manager.createLabel(board.id, 'Bug', 'red');
+  const base = TabSync.clone(manager.boards);
+  const local = TabSync.clone(base);
+  const remote = TabSync.clone(base);
+  local[0].lists[0].cards[0].labelIds.push(base[0].labels[0].id);
+  remote[0].labels = [];
+
+  const merged = TabSync.merge(base, local, remote);
+  manager.applyRemoteBoards(merged, { unsaved: false });
+  assert.deepStrictEqual(plain(manager.boards[0].labels), []);
+  assert.deepStrictEqual(plain(manager.boards[0].lists[0].cards[0].labelIds), []);
+});
+
+test('boards changed by another tab clear the undo history', async () => {
+  const { window, manager, TabSync } = await setup();
+  test.after(() => window.close());
+  const UndoHistory = window.eval('UndoHistory');
+
+  manager.applyRemoteBoards(TabSync.clone(manager.boards), { unsaved: false });
+  assert.strictEqual(UndoHistory.canUndo(), true);
+
+  const remote = TabSync.clone(manager.boards);
+  remote[0].name = 'Renamed elsewhere';
+  manager.applyRemoteBoards(remote, { unsaved: false });
+  assert.strictEqual(UndoHistory.canUndo(), false);
+  assert.strictEqual(UndoHistory.canRedo(), false);
+  assert.strictEqual(manager.boards[0].name, 'Renamed elsewhere');
+});
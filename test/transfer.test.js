@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+test('picking a file settles with null when the dialog is cancelled', { timeout: 5000 }, async () => {
+  const { window } = await loadApp();
+  test.after(() => window.close());
+  let input = null;
+  const click = window.HTMLInputElement.prototype.click;
+  window.HTMLInputElement.prototype.click = function () {
+    input = this;
+  };
+  const picked = window.eval('BoardTransfer').pickFile();
+  window.HTMLInputElement.prototype.click = click;
+
+  input.dispatchEvent(new window.Event('cancel'));
+  assert.strictEqual(await picked, null);
+});
+
+test('a board imported while its exported original is in the trash gets new ids', async () => {
+  const { window, manager } = await loadApp();
+  test.after(() => window.close());
+  const BoardTransfer = window.eval('BoardTransfer');
+  const BoardTrash = window.eval('BoardTrash');
+  manager.createBoard('Board');
+  const board = manager.boards[0];
+  manager.createList(board.id, 'To do');
+  manager.createCard(board.id, board.lists[0].id, 'X');
+  const exported = BoardTransfer.serialize([board]);
+
+  manager.deleteBoard(board.id);
+  BoardTransfer.pickFile = () => Promise.resolve(exported);
+  await manager.importFromFile();
+  manager.restoreFromTrash(BoardTrash.entries[0].id);
+
+  assert.strictEqual(manager.boards.length, 2);
+  const ids = manager.boards.flatMap(b => [b.id, ...b.lists.flatMap(list => [list.id, ...list.cards.map(card => card.id)])]);
+  assert.strictEqual(new Set(ids).size, 6);
+});
@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+test('another tab sees trash changes saved to a backend without storage events', { timeout: 5000 }, async () => {
+  const tabs = [await loadApp({ globals: { BroadcastChannel } }), await loadApp({ globals: { BroadcastChannel } })];
+  const [here, there] = tabs.map(({ window }) => ({
+    window,
+    BoardStorage: window.eval('BoardStorage'),
+    BoardTrash: window.eval('BoardTrash'),
+    TabSync: window.eval('TabSync')
+  }));
+  test.after(() => [here, there].forEach(tab => {
+    [tab.BoardTrash.channel, tab.TabSync.channel].forEach(channel => channel && channel.close());
+    tab.window.close();
+  }));
+  // Both tabs on one backend that, like IndexedDB, fires no storage events
+  const shared = here.window.eval('StorageAdapters').memory();
+  here.BoardStorage.use(shared);
+  there.BoardStorage.use(shared);
+  const changed = new Promise(resolve => there.BoardTrash.onChange(resolve));
+
+  here.BoardTrash.add(here.BoardTrash.entry('card', { id: 'card', title: 'X' }, 0, { boardId: 'board', listId: 'list' }));
+  await changed;
+  assert.deepStrictEqual([...there.BoardTrash.entries.map(entry => entry.item.title)], ['X']);
+});
@@ -0,0 +1,48 @@
+/**
+ * Task Board Pilot - Service worker version
+ * Derives VERSION in sw.js from the contents of the app shell files, so an
+ * installed app picks up every change to them. The browser only installs a
+ * new service worker when sw.js itself changes, so the version has to be
+ * written into it.
+ *
+ * Run with:  npm run shell-version
+ * (test/sw.test.js fails while VERSION is out of date)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const SW_FILE = path.join(ROOT, 'sw.js');
+const VERSION_LINE = /^const VERSION = '[^']*';$/m;
+
+// Hash of every shell file's name and contents
+function shellVersion() {
+  const hash = crypto.createHash('sha256');
+  ['app-shell.js', ...require('../app-shell.js')].forEach(file => {
+    hash.update(`${file}\0`);
+    hash.update(fs.readFileSync(path.join(ROOT, file)));
+    hash.update('\0');
+  });
+  return hash.digest('hex').slice(0, 16);
+}
+
+// VERSION as written in sw.js
+function currentVersion() {
+  const match = fs.readFileSync(SW_FILE, 'utf8').match(VERSION_LINE);
+  return match ? match[0].slice("const VERSION = '".length, -2) : null;
+}
+
+function writeVersion() {
+  const version = shellVersion();
+  const source = fs.readFileSync(SW_FILE, 'utf8');
+  fs.writeFileSync(SW_FILE, source.replace(VERSION_LINE, `const VERSION = '${version}';`));
+  return version;
+}
+
+if (require.main === module) {
+  console.log(`sw.js VERSION is ${writeVersion()}`);
+}
+
+module.exports = { shellVersion, currentVersion, writeVersion };
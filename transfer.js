@@ -0,0 +1,236 @@
+/**
+ * Task Board Pilot - Board export and import
+ * Implements:
+ * - Export of one or all boards to a versioned JSON file
+ * - Import of our own export files (any schema version with a migration path)
+ * - Import of Trello board exports (lists, cards, descriptions, labels,
+ *   members, due dates and checklists)
+ * - Remapping of ids that collide with existing data or with each other
+ */
+
+const BoardTransfer = {
+  FORMAT: 'taskBoardPilot',
+
+  // Build the export document for the given boards
+  serialize(boards) {
+    return JSON.stringify({
+      format: this.FORMAT,
+      version: BoardStorage.SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      boards
+    }, null, 2);
+  },
+
+  // Offer the boards as a downloadable JSON file
+  download(boards, filename) {
+    this.downloadText(this.serialize(boards), filename);
+  },
+
+  downloadText(text, filename, type = 'application/json') {
+    const blob = new Blob([text], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+  },
+
+  // Build a safe download file name from a board name
+  filenameFor(name, extension = 'json') {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `${slug || 'board'}.${extension}`;
+  },
+
+  // Parse an import file. Returns the boards it contains, with ids remapped so
+  // none collide with takenIds (a Set of ids already in use) or with each other.
+  // Throws an Error with a user-facing message when the file can't be used.
+  parse(text, takenIds = new Set()) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      throw new Error('The file is not valid JSON');
+    }
+
+    let boards;
+    if (this.isTrelloExport(data)) {
+      boards = [this.fromTrello(data)];
+    } else if (Array.isArray(data) || (data && data.format === this.FORMAT)) {
+      // Our own format: reuse the storage migrations and validation
+      const migrated = BoardStorage.migrate(Array.isArray(data) ? data : { version: data.version, boards: data.boards });
+      BoardStorage.validate(migrated);
+      boards = migrated.boards;
+    } else {
+      throw new Error('The file is neither a Task Board Pilot export nor a Trello board export');
+    }
+
+    return this.remapIds(boards, takenIds);
+  },
+
+  isTrelloExport(data) {
+    return Boolean(data) && !Array.isArray(data) && typeof data.name === 'string'
+      && Array.isArray(data.lists) && Array.isArray(data.cards)
+      && data.lists.every(list => list && typeof list.id === 'string' && !('cards' in list));
+  },
+
+  // Map a Trello board export onto our board/list/card structure, including
+  // labels, members, due dates and checklists. Archived ("closed") lists and
+  // cards are left out.
+  fromTrello(data) {
+    const byPos = (a, b) => (a.pos || 0) - (b.pos || 0);
+    const openLists = data.lists.filter(list => !list.closed).sort(byPos);
+    const checklists = Array.isArray(data.checklists) ? data.checklists : [];
+
+    const labels = (Array.isArray(data.labels) ? data.labels : [])
+      .filter(label => label && label.id)
+      .map(label => ({
+        id: label.id,
+        name: label.name || label.color || 'Label',
+        color: label.color in CardDetails.LABEL_COLORS ? label.color : 'blue'
+      }));
+    const members = (Array.isArray(data.members) ? data.members : [])
+      .filter(member => member && member.id)
+      .map(member => ({ id: member.id, name: member.fullName || member.username || 'Member' }));
+
+    const mapCard = (card) => CardDetails.applyCardDefaults({
+      id: String(card.id || ''),
+      title: card.name || 'Untitled card',
+      description: card.desc || '',
+      labelIds: Array.isArray(card.idLabels) ? card.idLabels : [],
+      memberIds: Array.isArray(card.idMembers) ? card.idMembers : [],
+      dueDate: card.due ? CardDetails.toDateString(new Date(card.due)) : null,
+      checklists: checklists
+        .filter(checklist => checklist.idCard === card.id)
+        .sort(byPos)
+        .map(checklist => ({
+          id: IdGenerator.next(),
+          title: checklist.name || 'Checklist',
+          items: (checklist.checkItems || []).slice().sort(byPos).map(item => ({
+            id: IdGenerator.next(),
+            text: item.name || '',
+            done: item.state === 'complete'
+          }))
+        }))
+    });
+
+    const board = {
+      id: String(data.id || ''),
+      name: data.name || 'Imported board',
+      labels,
+      members,
+      lists: openLists.map(list => ListPolicies.applyDefaults({
+        id: list.id,
+        name: list.name || 'Untitled list',
+        cards: data.cards
+          .filter(card => card && card.idList === list.id && !card.closed)
+          .sort(byPos)
+          .map(mapCard)
+      }))
+    };
+    // Drop references to labels or members missing from the export
+    BoardIntegrity.repair([board]);
+    return board;
+  },
+
+  // Give every board, list and card an id that is not taken yet
+  remapIds(boards, takenIds) {
+    const taken = new Set(takenIds);
+    const claim = (id) => {
+      let next = IdGenerator.isValid(id) ? id : IdGenerator.next();
+      while (taken.has(next)) {
+        next = IdGenerator.next();
+      }
+      taken.add(next);
+      return next;
+    };
+
+    return boards.map(board => {
+      // Activity entries follow their list and card to the new ids
+      const renamed = new Map();
+      const claimFor = (id) => {
+        const next = claim(id);
+        renamed.set(id, next);
+        return next;
+      };
+      const remapped = {
+        ...board,
+        id: claim(board.id),
+        lists: board.lists.map(list => ({
+          ...list,
+          id: claimFor(list.id),
+          cards: list.cards.map(card => ({ ...card, id: claimFor(card.id) }))
+        }))
+      };
+      // Archived lists and cards need fresh ids too, and archived cards
+      // follow their list
+      const archive = BoardArchive.applyDefaults({ archive: board.archive }).archive;
+      remapped.archive = {
+        lists: archive.lists.map(record => ({
+          ...record,
+          list: { ...record.list, id: claimFor(record.list.id), cards: record.list.cards.map(card => ({ ...card, id: claimFor(card.id) })) }
+        })),
+        cards: archive.cards.map(record => ({
+          ...record,
+          card: { ...record.card, id: claimFor(record.card.id) },
+          listId: renamed.get(record.listId) || record.listId
+        }))
+      };
+      // List transitions follow their lists, once every list has its new id
+      const remapTransitions = (card) => {
+        if (Array.isArray(card.transitions)) {
+          card.transitions = card.transitions.map(t => ({ ...t, listId: renamed.get(t.listId) || t.listId }));
+        }
+      };
+      remapped.lists.forEach(list => list.cards.forEach(remapTransitions));
+      remapped.archive.lists.forEach(({ list }) => list.cards.forEach(remapTransitions));
+      remapped.archive.cards.forEach(({ card }) => remapTransitions(card));
+      BoardAutomation.remap(remapped, renamed);
+      remapped.activity = (board.activity || []).map(entry => ({
+        ...entry,
+        cardId: renamed.get(entry.cardId) || entry.cardId,
+        listId: renamed.get(entry.listId) || entry.listId
+      }));
+      return remapped;
+    });
+  },
+
+  // Collect every board, list and card id in use, including those of
+  // trashed items (BoardTrash entries), which can be restored
+  collectIds(boards, trash = []) {
+    const ids = new Set();
+    const addList = (list) => {
+      ids.add(list.id);
+      list.cards.forEach(card => ids.add(card.id));
+    };
+    const addBoard = (board) => {
+      ids.add(board.id);
+      board.lists.forEach(addList);
+      BoardArchive.cards([board]).forEach(({ card }) => ids.add(card.id));
+      (board.archive ? board.archive.lists : []).forEach(({ list }) => ids.add(list.id));
+    };
+    boards.forEach(addBoard);
+    trash.forEach(({ type, item }) => {
+      if (type === 'board') addBoard(item);
+      else if (type === 'list') addList(item);
+      else if (type === 'card') ids.add(item.id);
+    });
+    return ids;
+  },
+
+  // Let the user pick a file; resolves with its text, or null if cancelled
+  pickFile() {
+    return new Promise((resolve) => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = 'application/json,.json';
+      input.addEventListener('change', () => {
+        const file = input.files[0];
+        resolve(file ? file.text() : null);
+      });
+      input.addEventListener('cancel', () => resolve(null));
+      input.click();
+    });
+  }
+};